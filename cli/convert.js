@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * 현대차 발주서 변환 CLI (브라우저 앱과 같은 변환/검증/출력 로직)
+ * 사용 예: node cli/convert.js --origin a.xlsx --mapping m.xlsx --out dir/ [--format csv] [--engine wasm|js]
+ *         node cli/convert.js --origin a.xlsx --mapping m.xlsx --parity (JS/WASM 결과 비교, 결과 파일 없음)
+ * 결과 파일은 --out 폴더에 쓰고, 표준 출력에는 JSON 요약만 출력 (로그는 표준 오류)
+ * 종료 코드: 0 완료 (검증 통과/경고), 1 검증 실패 (--parity는 엔진 결과 차이), 2 사용법 오류,
+ *           3 변환 오류 (일괄 변환은 파일 하나라도 실패)
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { fileOf, loadWasm } from './node-env.js';
+import { ExcelCore } from '../src/js/core.js?v=10';
+import { ConvertError } from '../src/js/errors.js?v=10';
+import { OUTPUT_FORMATS } from '../src/js/output-profiles.js?v=10';
+import { ValidationEngine } from '../src/js/validation.js?v=10';
+import { StoreNameRules } from '../src/js/store-matcher.js?v=10';
+import { ProductRows } from '../src/js/product-master.js?v=10';
+import { HYUNDAI_RULES } from '../src/js/converters/hyundai-rules.js?v=10';
+import hyundaiConverter, { HYUNDAI_TASKS, countWarnings, loadMappingSource } from '../src/js/converters/hyundai.js?v=10';
+
+// 표준 출력은 JSON 요약 전용 (모듈 안의 console.log도 표준 오류로)
+console.log = console.error;
+
+const EXIT = { ok: 0, validation: 1, usage: 2, error: 3 };
+
+// --parity 요약에 넣을 차이 항목 수 (파일별, 건수는 전체)
+const PARITY_LIMIT = 100;
+
+const USAGE = `사용법: node cli/convert.js --origin <원본.xlsx> [--origin ...] --mapping <매핑.xlsx> --out <폴더> [옵션]
+       node cli/convert.js --origin <원본.xlsx> [--origin ...] --mapping <매핑.xlsx> --parity [옵션]
+
+  --origin <파일>          원본 파일 (여러 번 지정하면 일괄 변환)
+  --mapping <파일>         매핑 테이블 (xlsx/xls)
+  --out <폴더>             결과 파일 폴더 (없으면 생성)
+  --format <형식>          ${Object.keys(OUTPUT_FORMATS).join(' | ')} (기본 xlsx)
+  --engine <엔진>          auto | wasm | js (기본 auto: 요일별 시트 xlsx는 WASM)
+  --batch <형식>           일괄 변환 결과: combined (통합 파일, 기본) | zip (파일별 결과)
+  --week-start <날짜>      주 시작일 직접 지정 (YYYY-MM-DD, 모든 원본 파일에 적용)
+  --product-master <파일>  단품 마스터 (xlsx/xls)
+  --store-rules <파일>     매장명 정규화 규칙 (한 줄에 "이름 | 정규식 | 치환", 없으면 기본 규칙)
+  --rules <파일>           검증 규칙 설정 JSON ({ blockOnFail, rules: { 규칙 ID: { enabled, severity, params } } })
+  --previous <파일>        이전 결과 파일 (변경사항 시트 추가, 통합 파일만)
+  --trace                  원본 추적 시트 추가 (xlsx)
+  --fail-on <심각도>       종료 코드 1 기준: fail (기본) | warn
+  --force                  검증 실패로 다운로드가 차단되어도 결과 파일 쓰기
+  --parity                 원본 파일마다 JS와 WASM으로 변환해 데이터/검증/매장별 상세를 필드별로 비교
+  -h, --help               도움말`;
+
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            origin: { type: 'string', multiple: true },
+            mapping: { type: 'string' },
+            out: { type: 'string' },
+            format: { type: 'string', default: 'xlsx' },
+            engine: { type: 'string', default: 'auto' },
+            batch: { type: 'string', default: 'combined' },
+            'week-start': { type: 'string' },
+            'product-master': { type: 'string' },
+            'store-rules': { type: 'string' },
+            rules: { type: 'string' },
+            previous: { type: 'string' },
+            trace: { type: 'boolean', default: false },
+            'fail-on': { type: 'string', default: 'fail' },
+            force: { type: 'boolean', default: false },
+            parity: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) return values;
+
+    const oneOf = (name, allowed) => {
+        if (!allowed.includes(values[name])) {
+            throw new Error(`--${name}는 ${allowed.join(', ')} 중 하나여야 합니다: ${values[name]}`);
+        }
+    };
+    if (!values.origin) throw new Error('--origin을 지정하세요');
+    if (!values.mapping) throw new Error('--mapping을 지정하세요');
+    if (!values.out && !values.parity) throw new Error('--out을 지정하세요');
+    oneOf('format', Object.keys(OUTPUT_FORMATS));
+    oneOf('engine', ['auto', 'wasm', 'js']);
+    oneOf('batch', ['combined', 'zip']);
+    oneOf('fail-on', ['fail', 'warn']);
+    if (values['week-start'] && !/^\d{4}-\d{2}-\d{2}$/.test(values['week-start'])) {
+        throw new Error(`--week-start는 YYYY-MM-DD 형식이어야 합니다: ${values['week-start']}`);
+    }
+    return values;
+}
+
+async function loadOptions(values) {
+    const options = { engine: values.engine };
+    options.storeNameRules = values['store-rules']
+        ? StoreNameRules.parse(await readFile(values['store-rules'], 'utf8'))
+        : StoreNameRules.defaults;
+    if (values['product-master']) {
+        options.productMaster = ProductRows.fromWorkbook(await ExcelCore.readFile(await fileOf(values['product-master'])));
+    }
+    return options;
+}
+
+async function loadValidationSettings(path) {
+    const saved = path ? JSON.parse(await readFile(path, 'utf8')) : null;
+    return ValidationEngine.normalize(saved, HYUNDAI_RULES);
+}
+
+// 검증 결과 → 요약 (문제 항목은 규칙 ID/심각도/위치/내용)
+function summarizeReport(report) {
+    return {
+        status: report.status,
+        text: ValidationEngine.describe(report.issues),
+        blocked: report.blocked,
+        counts: report.counts,
+        issues: report.issues.map(({ ruleId, severity, fileName, date, store, ref, message }) => ({
+            rule: ruleId, severity, fileName, date, store, ref, message
+        }))
+    };
+}
+
+// 엔진 비교: 원본 파일별 JS/WASM 결과 차이 (파일별 오류는 기록하고 계속)
+async function runParity(values) {
+    const startTime = performance.now();
+    const wasm = await loadWasm();
+    const mappingSource = await loadMappingSource(await fileOf(values.mapping));
+    const options = await loadOptions(values);
+    if (values['week-start']) {
+        options.dateChoice = { source: 'override', weekStart: values['week-start'] };
+    }
+
+    const parity = [];
+    for (const path of values.origin) {
+        try {
+            const { differences, ...result } = await HYUNDAI_TASKS.parity({ file: await fileOf(path), mappingSource, options });
+            parity.push({ ...result, differences: differences.slice(0, PARITY_LIMIT) });
+        } catch (error) {
+            console.error(`[${path}]`, error);
+            parity.push({ fileName: basename(path), equal: false, error: error.message, errorInfo: ConvertError.describe(error) });
+        }
+    }
+
+    const exitCode = parity.some(p => p.error) ? EXIT.error : parity.some(p => !p.equal) ? EXIT.validation : EXIT.ok;
+    return {
+        exitCode,
+        summary: {
+            ok: exitCode === EXIT.ok,
+            exitCode,
+            wasm,
+            mapping: mappingSource.name,
+            parity,
+            elapsed: Number(((performance.now() - startTime) / 1000).toFixed(2))
+        }
+    };
+}
+
+async function run(values) {
+    if (values.parity) return runParity(values);
+
+    const startTime = performance.now();
+    const wasm = values.engine === 'js' ? false : await loadWasm();
+
+    // 변환/검증/결과 파일 생성은 컨버터 매니페스트의 convert (브라우저 기본 화면과 같은 경로)
+    const files = await Promise.all(values.origin.map(fileOf));
+    const { conversion, mappingSource, report, output: result } = await hyundaiConverter.convert({
+        origin: files,
+        mapping: await fileOf(values.mapping),
+        previous: values.previous ? await fileOf(values.previous) : null
+    }, {
+        ...await loadOptions(values),
+        weekStart: values['week-start'],
+        format: values.format,
+        batchOutput: values.batch,
+        validationSettings: await loadValidationSettings(values.rules),
+        traceSheet: values.trace,
+        force: values.force
+    });
+
+    const sources = conversion.batch
+        ? conversion.result.sources.map(({ fileName, mode, format, dateSource, error, errorInfo }) => ({ fileName, mode, format, dateSource, error, errorInfo }))
+        : [{ fileName: files[0].name, mode: conversion.mode, dateSource: conversion.dates.label, error: '', errorInfo: null }];
+    const failedFiles = sources.filter(source => source.error).length;
+
+    let output = null;
+    if (result) {
+        await mkdir(values.out, { recursive: true });
+        output = resolve(join(values.out, result.fileName));
+        await writeFile(output, Buffer.from(await result.blob.arrayBuffer()));
+    }
+
+    const failed = report.counts.fail > 0 || (values['fail-on'] === 'warn' && report.counts.warn > 0);
+    const exitCode = failedFiles > 0 ? EXIT.error : failed ? EXIT.validation : EXIT.ok;
+
+    return {
+        exitCode,
+        summary: {
+            ok: exitCode === EXIT.ok,
+            exitCode,
+            wasm,
+            mode: conversion.mode,
+            mapping: mappingSource.name,
+            inputs: sources,
+            count: conversion.count,
+            output,
+            blocked: report.blocked && !values.force,
+            mappingFailures: conversion.result.mappingFailures.map(f => f['매장명']),
+            validation: summarizeReport(report),
+            warnings: {
+                counts: Object.fromEntries(countWarnings(conversion.result.warnings).map(({ code, count }) => [code, count])),
+                items: conversion.result.warnings
+            },
+            elapsed: Number(((performance.now() - startTime) / 1000).toFixed(2))
+        }
+    };
+}
+
+async function main() {
+    let values;
+    try {
+        values = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.stdout.write(JSON.stringify({ ok: false, exitCode: EXIT.usage, error: error.message }, null, 2) + '\n');
+        return EXIT.usage;
+    }
+    if (values.help) {
+        console.error(USAGE);
+        return EXIT.ok;
+    }
+
+    try {
+        const { exitCode, summary } = await run(values);
+        process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        return exitCode;
+    } catch (error) {
+        console.error(error);
+        const summary = { ok: false, exitCode: EXIT.error, error: error.message, errorInfo: ConvertError.describe(error) };
+        process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        return EXIT.error;
+    }
+}
+
+process.exitCode = await main();
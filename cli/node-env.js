@@ -0,0 +1,31 @@
+/**
+ * Node 실행 환경 (CLI, 회귀 테스트 공통)
+ * 브라우저에서는 <script>로 로드하는 라이브러리를 전역으로 등록하고, 파일 경로를 File로 읽음
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import * as XLSX from 'xlsx';
+import { initWasm } from '../src/js/converters/hyundai.js?v=10';
+
+// ExcelCore가 변환 중에 전역으로 사용
+globalThis.ExcelJS = ExcelJS;
+globalThis.JSZip = JSZip;
+globalThis.XLSX = XLSX;
+
+const WASM_PATH = new URL('../src/wasm/excel_converter_wasm_bg.wasm', import.meta.url);
+
+// 경로 → File (브라우저에서 선택한 파일과 같은 형식)
+async function fileOf(path) {
+    return new File([await readFile(path)], basename(path));
+}
+
+// WASM 초기화 (fetch로 파일 URL을 읽을 수 없으므로 .wasm 바이트 전달, 빌드가 없으면 false)
+async function loadWasm() {
+    const bytes = await readFile(WASM_PATH).catch(() => null);
+    return bytes ? initWasm(bytes) : false;
+}
+
+export { fileOf, loadWasm };
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * 브라우저용 라이브러리 복사 (node_modules → src/vendor)
+ * 웹 앱은 CDN 대신 src/vendor 파일을 로드하고 서비스 워커가 캐시 (오프라인 사용). npm install 후 자동 실행
+ * 버전은 package.json dependencies (CLI와 같은 버전)
+ */
+
+import { copyFile, mkdir } from 'node:fs/promises';
+import { basename } from 'node:path';
+
+const NODE_MODULES = new URL('../node_modules/', import.meta.url);
+const VENDOR_DIR = new URL('../src/vendor/', import.meta.url);
+
+// 패키지 안의 파일 (index.html, hyundai-worker.js, core.js, sw.js PRECACHE가 파일 이름으로 참조)
+const FILES = [
+    'exceljs/dist/exceljs.min.js',
+    'file-saver/dist/FileSaver.min.js',
+    'jszip/dist/jszip.min.js',
+    'xlsx/dist/xlsx.full.min.js'
+];
+
+await mkdir(VENDOR_DIR, { recursive: true });
+for (const file of FILES) {
+    await copyFile(new URL(file, NODE_MODULES), new URL(basename(file), VENDOR_DIR));
+    console.log(`src/vendor/${basename(file)} ← ${file}`);
+}
@@ -1,54 +1,67 @@
 /**
  * 엑셀 변환 앱 - 탭 관리 및 컨버터 레지스트리
+ * 컨버터 모듈은 탭을 처음 열 때 불러오고 (converter-manifest.js 형식), 열린 탭은 URL 해시(#hyundai)로 공유
  */
 
-// 컨버터 임포트
-import hyundaiConverter from './converters/hyundai.js?v=10';
+import { StatusManager } from './core.js?v=10';
+import { ConverterManifest, ConverterForm } from './converter-manifest.js?v=10';
+import { OfflineSupport } from './offline.js?v=10';
 
-// 등록된 컨버터 목록
+// 등록된 컨버터 목록 { id, name, load: () => import(...) } (탭 이름만 먼저 그리고 모듈은 지연 로드)
 const converters = [
-    hyundaiConverter,
-    // 새 컨버터 추가시 여기에 임포트하여 추가
-    // import newConverter from './converters/new.js';
+    { id: 'hyundai', name: '현대차', load: () => import('./converters/hyundai.js?v=10') },
+    // 새 컨버터 추가시 여기에 항목 추가
+    // { id: 'new', name: '새 컨버터', load: () => import('./converters/new.js?v=10') },
 ];
 
 // 현재 활성 탭
 let activeTab = null;
+// 탭 UI 생성 여부 (그 전에 등록한 컨버터는 createTabs가 함께 그림)
+let tabsCreated = false;
+
+// URL 해시의 탭 id (없거나 등록되지 않은 id면 null)
+function tabFromHash() {
+    const id = decodeURIComponent(location.hash.replace(/^#/, ''));
+    return converters.some(c => c.id === id) ? id : null;
+}
 
 // 탭 UI 생성
 function createTabs() {
+    converters.forEach(addTab);
+    tabsCreated = true;
+
+    // 해시로 지정한 탭, 없으면 첫 번째 탭
+    const initial = tabFromHash() || (converters[0] && converters[0].id);
+    if (initial) switchTab(initial);
+}
+
+// 단일 컨버터 탭 추가 (버튼 + 콘텐츠 영역, 활성 상태는 switchTab이 관리)
+function addTab(converter) {
     const tabList = document.getElementById('tab-list');
     const tabContents = document.getElementById('tab-contents');
 
-    converters.forEach((converter, index) => {
-        // 탭 버튼 생성
-        const tabBtn = document.createElement('button');
-        tabBtn.className = 'tab-btn' + (index === 0 ? ' active' : '');
-        tabBtn.dataset.tab = converter.id;
-        tabBtn.textContent = converter.name;
-        tabBtn.addEventListener('click', () => switchTab(converter.id));
-        tabList.appendChild(tabBtn);
-
-        // 탭 콘텐츠 영역 생성
-        const tabContent = document.createElement('div');
-        tabContent.className = 'tab-content' + (index === 0 ? ' active' : '');
-        tabContent.id = `tab-${converter.id}`;
-        tabContent.dataset.initialized = 'false';
-        tabContents.appendChild(tabContent);
+    const tabBtn = document.createElement('button');
+    tabBtn.className = 'tab-btn';
+    tabBtn.dataset.tab = converter.id;
+    tabBtn.textContent = converter.name;
+    tabBtn.addEventListener('click', () => {
+        // 해시를 바꾸면 hashchange에서 전환 (같은 해시면 직접 전환)
+        if (location.hash === `#${converter.id}`) switchTab(converter.id);
+        else location.hash = converter.id;
     });
+    tabList.appendChild(tabBtn);
 
-    // 첫 번째 탭 초기화
-    if (converters.length > 0) {
-        initializeTab(converters[0].id);
-        activeTab = converters[0].id;
-    }
+    const tabContent = document.createElement('div');
+    tabContent.className = 'tab-content';
+    tabContent.id = `tab-${converter.id}`;
+    tabContent.dataset.initialized = 'false';
+    tabContents.appendChild(tabContent);
 }
 
 // 탭 전환
 function switchTab(tabId) {
     if (activeTab === tabId) return;
 
-    // 이전 탭 비활성화
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.tab === tabId);
     });
@@ -57,59 +70,79 @@ function switchTab(tabId) {
         content.classList.toggle('active', content.id === `tab-${tabId}`);
     });
 
+    activeTab = tabId;
     // 탭 초기화 (최초 접근시)
     initializeTab(tabId);
-    activeTab = tabId;
 }
 
-// 탭 초기화
-function initializeTab(tabId) {
+// 컨버터 모듈 로드 (지연 로드 항목은 default export 매니페스트, 이미 매니페스트면 그대로)
+async function loadConverter(converter) {
+    if (!converter.load) return converter;
+    const module = await converter.load();
+    return module.default;
+}
+
+// 탭 초기화: 모듈 로드 → 매니페스트 확인 → 파일 입력 → 전용 화면(init) 또는 기본 화면
+async function initializeTab(tabId) {
     const tabContent = document.getElementById(`tab-${tabId}`);
-    if (tabContent.dataset.initialized === 'true') return;
+    if (tabContent.dataset.initialized !== 'false') return;
+    tabContent.dataset.initialized = 'loading';
 
     const converter = converters.find(c => c.id === tabId);
-    if (converter && converter.init) {
-        converter.init(tabContent);
-        tabContent.dataset.initialized = 'true';
+    tabContent.innerHTML = `<div class="status" id="tab-${tabId}-loading"></div>`;
+    StatusManager.processing(`tab-${tabId}-loading`, `${converter.name} 컨버터 불러오는 중...`);
+
+    let manifest;
+    try {
+        manifest = ConverterManifest.validate(await loadConverter(converter));
+    } catch (error) {
+        console.error(error);
+        StatusManager.error(`tab-${tabId}-loading`, `${converter.name} 컨버터를 불러오지 못했습니다: ${error.message}`);
+        // 다시 열면 재시도
+        tabContent.dataset.initialized = 'false';
+        return;
     }
+
+    tabContent.innerHTML = '';
+    const { element, inputs } = ConverterForm.render(manifest);
+    tabContent.appendChild(element);
+    if (manifest.init) {
+        manifest.init(tabContent, { inputs });
+    } else {
+        ConverterForm.setup(tabContent, manifest, { inputs });
+    }
+    tabContent.dataset.initialized = 'true';
 }
 
 // 컨버터 등록 API (동적 추가용)
+// converter: 매니페스트 또는 { id, name, load: () => import(...) }
 function registerConverter(converter) {
+    if (converters.some(c => c.id === converter.id)) {
+        throw new Error(`이미 등록된 컨버터입니다: ${converter.id}`);
+    }
     converters.push(converter);
-    // 이미 DOM이 로드되었으면 탭 추가
-    if (document.getElementById('tab-list')) {
-        addConverterTab(converter);
+    // 탭 UI가 이미 있으면 탭 추가 (해시가 이 컨버터를 가리키면 바로 전환)
+    if (tabsCreated) {
+        addTab(converter);
+        if (tabFromHash() === converter.id) switchTab(converter.id);
     }
 }
 
-// 단일 컨버터 탭 추가
-function addConverterTab(converter) {
-    const tabList = document.getElementById('tab-list');
-    const tabContents = document.getElementById('tab-contents');
-
-    const tabBtn = document.createElement('button');
-    tabBtn.className = 'tab-btn';
-    tabBtn.dataset.tab = converter.id;
-    tabBtn.textContent = converter.name;
-    tabBtn.addEventListener('click', () => switchTab(converter.id));
-    tabList.appendChild(tabBtn);
-
-    const tabContent = document.createElement('div');
-    tabContent.className = 'tab-content';
-    tabContent.id = `tab-${converter.id}`;
-    tabContent.dataset.initialized = 'false';
-    tabContents.appendChild(tabContent);
-}
-
 // 앱 초기화
 document.addEventListener('DOMContentLoaded', () => {
     createTabs();
+    OfflineSupport.register();
+});
+
+// 뒤로/앞으로 가기, 공유받은 링크 (#컨버터 id)
+window.addEventListener('hashchange', () => {
+    const tabId = tabFromHash();
+    if (tabId) switchTab(tabId);
 });
 
 // 외부 API 노출
 window.ExcelConverterApp = {
     registerConverter,
     switchTab,
-    getConverters: () => [...converters]
+    getConverters: () => converters.map(({ id, name }) => ({ id, name }))
 };
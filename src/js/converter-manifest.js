@@ -0,0 +1,159 @@
+/**
+ * 컨버터 매니페스트와 기본 변환 화면
+ * 컨버터 모듈(converters/<id>.js)은 아래 형식의 매니페스트를 default export 하고, app.js는 탭을 처음 열 때 불러옴
+ *
+ * {
+ *   id: 'hyundai',                  // 탭 id, URL 해시(#hyundai), 저장소 키
+ *   name: '현대차',                  // 탭 이름
+ *   description: '...',
+ *   inputs: [                       // 입력 파일 (app.js가 순서대로 파일 입력을 그림, id: <컨버터 id>-<key>File)
+ *     { key, label, hint?, accept: '.xlsx,.xls', multiple?, folderDrop?, required? }
+ *   ],
+ *   output: {                       // 결과 형식
+ *     formats: ['xlsx', ...],       // 결과 파일 형식 (output-profiles.js OUTPUT_FORMATS 키)
+ *     sheets: [{ name, description }],
+ *     columns: [{ key, date?, text? }]  // 데이터 시트 컬럼
+ *   },
+ *   convert(files, options),        // 화면 없이 변환 (CLI/기본 화면). files: { [key]: File, multiple은 File[] }
+ *                                   // options.format: 결과 파일 형식, 그 외는 컨버터별
+ *                                   // 반환: { output: { fileName, blob } | null, summary: 결과 요약 문구, ... }
+ *   init?(container, { inputs })    // 전용 화면 (inputs: key → { wrapper, input, name } 파일 입력 요소)
+ *                                   // 없으면 기본 화면 (파일 입력 + 형식 선택 + 변환/다운로드)
+ * }
+ */
+
+import { StatusManager, FileInputManager } from './core.js?v=10';
+import { OUTPUT_FORMATS } from './output-profiles.js?v=10';
+import { ConvertError, ErrorPanel } from './errors.js?v=10';
+
+const ConverterManifest = {
+    // 매니페스트 형식 확인 (문제가 있으면 항목을 모두 모아 오류)
+    validate(manifest) {
+        const problems = [];
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('컨버터 매니페스트가 없습니다 (모듈의 default export 확인)');
+        }
+        if (!manifest.id || !/^[a-z0-9-]+$/.test(manifest.id)) problems.push('id (영문 소문자, 숫자, -)');
+        if (!manifest.name) problems.push('name');
+        if (!Array.isArray(manifest.inputs) || manifest.inputs.length === 0) {
+            problems.push('inputs');
+        } else {
+            manifest.inputs.forEach((input, index) => {
+                if (!input.key || !input.label) problems.push(`inputs[${index}].key/label`);
+            });
+        }
+        if (!manifest.output || !Array.isArray(manifest.output.formats)) {
+            problems.push('output.formats');
+        } else {
+            manifest.output.formats
+                .filter(format => !OUTPUT_FORMATS[format])
+                .forEach(format => problems.push(`output.formats: 알 수 없는 형식 ${format}`));
+        }
+        if (typeof manifest.convert !== 'function') problems.push('convert(files, options)');
+        if (manifest.init !== undefined && typeof manifest.init !== 'function') problems.push('init(container, context)');
+
+        if (problems.length > 0) {
+            throw new Error(`컨버터 매니페스트 오류 (${manifest.id || '?'}): ${problems.join(', ')}`);
+        }
+        return manifest;
+    }
+};
+
+const ConverterForm = {
+    // 매니페스트 입력 파일 → 파일 입력 요소 (번호, 이름, 설명, accept)
+    // 반환: { element: .converter-form, inputs: key → { wrapper, input, name } }
+    render(manifest) {
+        const element = document.createElement('div');
+        element.className = 'converter-form';
+        const inputs = {};
+
+        manifest.inputs.forEach((def, index) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'file-input-wrapper';
+            wrapper.dataset.input = def.key;
+
+            const label = document.createElement('label');
+            label.htmlFor = `${manifest.id}-${def.key}File`;
+            label.textContent = `${index + 1}. ${def.label}` + (def.hint ? ` (${def.hint})` : '');
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.id = `${manifest.id}-${def.key}File`;
+            input.className = 'file-input';
+            if (def.accept) input.accept = def.accept;
+
+            const name = document.createElement('div');
+            name.className = 'file-name';
+            name.id = `${manifest.id}-${def.key}FileName`;
+
+            wrapper.append(label, input, name);
+            element.appendChild(wrapper);
+            inputs[def.key] = { wrapper, input, name };
+        });
+
+        return { element, inputs };
+    },
+
+    // 전용 화면이 없는 컨버터의 기본 화면: 결과 형식 선택, 변환 후 결과 파일 다운로드, 오류 패널
+    setup(container, manifest, { inputs }) {
+        const form = container.querySelector('.converter-form');
+        const prefix = manifest.id;
+        form.insertAdjacentHTML('beforeend', `
+            <div class="file-input-wrapper">
+                <label for="${prefix}-format">${manifest.inputs.length + 1}. 결과 파일 형식</label>
+                <select id="${prefix}-format"></select>
+            </div>
+            <button class="btn" id="${prefix}-convertBtn" disabled>변환하기</button>
+            <div class="status" id="${prefix}-status"></div>
+            <div id="${prefix}-errors"></div>
+        `);
+
+        const formatSelect = document.getElementById(`${prefix}-format`);
+        manifest.output.formats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = OUTPUT_FORMATS[format].label;
+            formatSelect.appendChild(option);
+        });
+
+        const convertBtn = document.getElementById(`${prefix}-convertBtn`);
+        const errorPanel = ErrorPanel.setup(`${prefix}-errors`);
+        const files = {};
+
+        const updateButtonState = () => {
+            convertBtn.disabled = manifest.inputs.some(def =>
+                def.required && (def.multiple ? !(files[def.key] && files[def.key].length > 0) : !files[def.key])
+            );
+        };
+
+        manifest.inputs.forEach(def => {
+            FileInputManager.setup(inputs[def.key].input.id, inputs[def.key].name.id, (selected) => {
+                files[def.key] = selected;
+                updateButtonState();
+            }, { multiple: !!def.multiple, allowFolderDrop: !!def.folderDrop });
+        });
+
+        convertBtn.addEventListener('click', async () => {
+            convertBtn.disabled = true;
+            errorPanel.clear();
+            StatusManager.processing(`${prefix}-status`, '변환 중...');
+            try {
+                const result = await manifest.convert({ ...files }, { format: formatSelect.value });
+                if (result.output) {
+                    saveAs(result.output.blob, result.output.fileName);
+                    StatusManager.success(`${prefix}-status`, `${result.summary || '변환 완료'} - ${result.output.fileName}`);
+                } else {
+                    StatusManager.error(`${prefix}-status`, result.summary || '결과 파일이 없습니다');
+                }
+            } catch (error) {
+                console.error(error);
+                StatusManager.error(`${prefix}-status`, '오류: ' + error.message);
+                errorPanel.show([ConvertError.describe(error)]);
+            } finally {
+                updateButtonState();
+            }
+        });
+    }
+};
+
+export { ConverterManifest, ConverterForm };
@@ -0,0 +1,76 @@
+/**
+ * 현대차 일괄 변환 결과 형식 선택
+ * 원본 파일을 여러 개 선택했을 때만 표시하며, 다운로드 시 buildDownload의 batchOutput으로 전달
+ */
+
+// 일괄 변환 결과 형식 (첫 항목이 기본값)
+const BATCH_OUTPUTS = [
+    { value: 'combined', label: '통합 파일 (원본 파일 컬럼)' },
+    { value: 'zip', label: '파일별 결과 (zip)' }
+];
+
+const BATCH_STYLE = `
+    .batch-options {
+        display: none;
+        flex-wrap: wrap;
+        gap: 12px;
+        margin-bottom: 20px;
+        font-size: 13px;
+        color: #555;
+    }
+    .batch-options.has-data {
+        display: flex;
+    }
+    .batch-options span {
+        font-weight: 600;
+    }
+    .batch-options label {
+        display: inline;
+        margin: 0;
+        font-weight: normal;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = BATCH_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+const BatchOptions = {
+    setup(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('batch-options');
+
+        const title = document.createElement('span');
+        title.textContent = '일괄 결과 형식';
+        container.appendChild(title);
+        BATCH_OUTPUTS.forEach(({ value, label }, index) => {
+            const item = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `${containerId}-output`;
+            radio.value = value;
+            radio.checked = index === 0;
+            item.append(radio, ` ${label}`);
+            container.appendChild(item);
+        });
+
+        return {
+            // 선택한 원본 파일 수 (2개 이상이면 표시)
+            setFileCount(count) {
+                container.classList.toggle('has-data', count > 1);
+            },
+            getOutput: () => container.querySelector('input:checked').value
+        };
+    }
+};
+
+export { BatchOptions };
@@ -0,0 +1,144 @@
+/**
+ * 현대차 주간 비교 (변경사항 시트)
+ * 이전 결과 파일(_result.xlsx의 데이터 시트)과 현재 데이터 행을 요일별 매장/품목/Box 입수 기준으로 비교
+ * 행 형식은 convertDataJS 데이터 행과 같음 (일자, 원본 사업장명, 사업장명, 품목명, Box 입수)
+ */
+
+import { ExcelCore } from '../core.js?v=10';
+import { WEEKDAYS, DAY_OFFSETS, parseDate } from './hyundai-dates.js?v=10';
+
+const REQUIRED_COLUMNS = ['일자', '품목명', 'Box 입수'];
+
+// 이전 대비 변화율이 이 값 이상이면 수량 변경에 '급증'/'급감' 표시 (0.5 = 50%)
+const JUMP_RATIO = 0.5;
+
+// 일자 셀 → 요일 (문자열 'YYYY-MM-DD' 또는 Date)
+function weekdayOf(value) {
+    if (value instanceof Date) return WEEKDAYS[value.getDay()];
+    const match = String(value || '').match(/(\d{4})\D(\d{1,2})\D(\d{1,2})/);
+    if (!match) return null;
+    return WEEKDAYS[parseDate(`${match[1]}-${match[2]}-${match[3]}`).getDay()];
+}
+
+// 매장 기준: 공급사 원본 매장명 (매핑이 바뀌어도 주마다 같음), 없으면 시스템 사업장명
+function storeOf(row) {
+    return String(row['원본 사업장명'] || row['사업장명'] || '').trim();
+}
+
+// 데이터 행 → 요일/매장/품목별 Box 합계 [{ day, store, product, box }]
+function summarizeRows(rows) {
+    const totals = new Map();
+    rows.forEach(row => {
+        const day = weekdayOf(row['일자']);
+        const store = storeOf(row);
+        const product = String(row['품목명'] || '').trim();
+        if (!day || !product) return;
+        const key = `${day}|${store}|${product}`;
+        if (!totals.has(key)) totals.set(key, { day, store, product, box: 0 });
+        totals.get(key).box += Number(row['Box 입수']) || 0;
+    });
+    return [...totals.values()];
+}
+
+// 이전 결과 파일 읽기 → { name, weekStart, rows: summarizeRows 결과 }
+// 데이터 시트가 없으면 첫 번째 시트 사용 (출력 프로필로 컬럼명을 바꾼 파일은 비교 불가)
+async function loadPreviousResult(file) {
+    const workbook = await ExcelCore.readFile(file);
+    const sheetName = workbook.SheetNames.includes('데이터') ? '데이터' : workbook.SheetNames[0];
+    const rows = sheetName ? ExcelCore.sheetToJson(workbook.Sheets[sheetName]) : [];
+
+    if (rows.length === 0) {
+        throw new Error(`이전 결과 파일에 데이터가 없습니다 (${sheetName || '시트 없음'})`);
+    }
+
+    const headers = new Set(rows.flatMap(row => Object.keys(row)));
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.has(column));
+    if (!headers.has('원본 사업장명') && !headers.has('사업장명')) missing.push('원본 사업장명 또는 사업장명');
+    if (missing.length > 0) {
+        throw new Error(`이전 결과 파일에 필요한 컬럼이 없습니다: ${missing.join(', ')} (기본 출력 프로필의 결과 파일을 선택하세요)`);
+    }
+
+    const dates = rows.map(row => row['일자'] instanceof Date ? ExcelCore.formatDate(row['일자']) : String(row['일자'])).sort();
+    return { name: file.name, weekStart: dates[0], rows: summarizeRows(rows) };
+}
+
+// 이전/현재 비교 → 변경사항 행 (요일 순, 매장, 품목 순)
+// - 매장 추가/삭제: 해당 요일에 한쪽에만 있는 매장 (품목 행 없이 매장 합계 1행)
+// - 품목 추가/삭제: 양쪽에 있는 매장에서 한쪽에만 있는 품목 (이전 주 전체에 없던 품목은 '신규 품목')
+// - 수량 변경: Box 입수가 다름 (변화율이 JUMP_RATIO 이상이면 '급증'/'급감')
+function compareWeeks(previous, currentRows) {
+    const current = summarizeRows(currentRows);
+    const previousProducts = new Set(previous.rows.map(r => r.product));
+
+    const byDayStore = (entries) => {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const key = `${entry.day}|${entry.store}`;
+            if (!groups.has(key)) groups.set(key, { day: entry.day, store: entry.store, products: new Map() });
+            groups.get(key).products.set(entry.product, entry.box);
+        });
+        return groups;
+    };
+    const before = byDayStore(previous.rows);
+    const after = byDayStore(current);
+
+    const changes = [];
+    const push = (day, store, product, change, previousBox, currentBox, note = '') => {
+        changes.push({
+            '요일': day,
+            '매장': store,
+            '품목명': product,
+            '변경': change,
+            '이전 Box': previousBox,
+            '현재 Box': currentBox,
+            '차이': currentBox - previousBox,
+            '비고': note
+        });
+    };
+    const sum = products => [...products.values()].reduce((total, box) => total + box, 0);
+
+    new Set([...before.keys(), ...after.keys()]).forEach(key => {
+        const prev = before.get(key);
+        const next = after.get(key);
+        if (!prev) {
+            push(next.day, next.store, '', '매장 추가', 0, sum(next.products), `품목 ${next.products.size}개`);
+            return;
+        }
+        if (!next) {
+            push(prev.day, prev.store, '', '매장 삭제', sum(prev.products), 0, `품목 ${prev.products.size}개`);
+            return;
+        }
+
+        new Set([...prev.products.keys(), ...next.products.keys()]).forEach(product => {
+            const previousBox = prev.products.get(product);
+            const currentBox = next.products.get(product);
+            if (previousBox === undefined) {
+                push(next.day, next.store, product, '품목 추가', 0, currentBox, previousProducts.has(product) ? '' : '신규 품목');
+            } else if (currentBox === undefined) {
+                push(prev.day, prev.store, product, '품목 삭제', previousBox, 0);
+            } else if (previousBox !== currentBox) {
+                const ratio = previousBox > 0 ? (currentBox - previousBox) / previousBox : Infinity;
+                const note = Math.abs(ratio) >= JUMP_RATIO ? (ratio > 0 ? '급증' : '급감') : '';
+                push(next.day, next.store, product, '수량 변경', previousBox, currentBox, note);
+            }
+        });
+    });
+
+    return changes.sort((a, b) =>
+        DAY_OFFSETS[a['요일']] - DAY_OFFSETS[b['요일']] ||
+        a['매장'].localeCompare(b['매장'], 'ko') ||
+        a['품목명'].localeCompare(b['품목명'], 'ko')
+    );
+}
+
+// 변경사항 요약 문구 (예: "변경사항 12건 (매장 +1/-0, 신규 품목 2개, 급증/급감 3건)")
+function describeChanges(changes) {
+    if (changes.length === 0) return '이전 결과와 변경사항 없음';
+    const count = change => changes.filter(c => c['변경'] === change).length;
+    const newProducts = new Set(changes.filter(c => c['비고'] === '신규 품목').map(c => c['품목명'])).size;
+    const jumps = changes.filter(c => c['비고'] === '급증' || c['비고'] === '급감').length;
+    return `변경사항 ${changes.length}건 (매장 +${count('매장 추가')}/-${count('매장 삭제')}, ` +
+        `신규 품목 ${newProducts}개, 급증/급감 ${jumps}건)`;
+}
+
+export { loadPreviousResult, compareWeeks, describeChanges };
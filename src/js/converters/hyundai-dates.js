@@ -0,0 +1,296 @@
+/**
+ * 현대차 원본 날짜 결정
+ * 파일명, 요일 시트 날짜 셀(B2), ☆메뉴표 주간 범위(B3)에서 날짜 후보를 모으고
+ * 선택(또는 직접 입력한 주 시작일)에 따라 요일별 날짜를 결정. JS/WASM 결과에 같은 날짜를 적용
+ * 후보와 충돌은 변환 전에 날짜 선택 패널(DateChoicePanel)로 표시
+ */
+
+import { ExcelCore } from '../core.js?v=10';
+import { SheetLayout } from '../layout.js?v=10';
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+const DAY_OFFSETS = { '월': 0, '화': 1, '수': 2, '목': 3, '금': 4, '토': 5, '일': 6 };
+
+function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// 주 시작일 기준 요일별 날짜 (시작일이 월요일이 아니어도 요일 차이로 계산)
+function datesForWeek(weekStart, dayNames) {
+    const start = parseDate(weekStart);
+    const startOffset = DAY_OFFSETS[WEEKDAYS[start.getDay()]];
+    const dates = {};
+    dayNames.forEach(day => {
+        dates[day] = ExcelCore.formatDate(addDays(start, (DAY_OFFSETS[day] - startOffset + 7) % 7));
+    });
+    return dates;
+}
+
+// 파일명의 "(1.19~1.23)" 범위와 "26년 1월" 연도 (WASM extract_date_from_filename과 같은 규칙)
+function parseFileNameDate(fileName, fallbackYear) {
+    const range = fileName.match(/\((\d+)\.(\d+)~(\d+)\.(\d+)\)/);
+    if (!range) return null;
+
+    const yearMatch = fileName.match(/(\d+)년\s*(\d+)월/);
+    let year = yearMatch ? parseInt(yearMatch[1]) : fallbackYear;
+    if (year < 100) year += 2000;
+
+    return {
+        date: new Date(year, parseInt(range[1]) - 1, parseInt(range[2])),
+        text: range[0],
+        yearGuessed: !yearMatch
+    };
+}
+
+// 셀 날짜 (레이아웃 date 패턴, 캡처: 연, 월, 일)
+function readCellDate(sheet, dateDef) {
+    const match = SheetLayout.matchCell(sheet, dateDef.cell, dateDef.pattern);
+    if (!match) return null;
+    let year = parseInt(match[1]);
+    if (year < 100) year += 2000;
+    return new Date(year, parseInt(match[2]) - 1, parseInt(match[3]));
+}
+
+// 레이아웃에서 날짜가 필요한 요일 목록 (요일 시트 또는 요일 블록)
+function findDayNames(workbook, layout) {
+    if (layout.mode === 'sheetPerDay') {
+        return layout.daySheets.filter(day => workbook.SheetNames.includes(day));
+    }
+    const sheet = workbook.Sheets[layout.sheet];
+    if (!sheet) return [];
+    const days = SheetLayout.findBlocks(sheet, layout.block).map(block => block.match[1]);
+    return [...new Set(days)];
+}
+
+// 날짜 후보 수집
+// 반환: { days, candidates: [{ source, label, weekStart, dates, notes }], conflict, defaultSource }
+// - sheet: 요일 시트별 날짜 셀 (시트마다 날짜가 그대로 사용됨) / ☆메뉴표 주간 범위 시작일
+// - fileName: 파일명 범위 시작일
+function collectDateCandidates(fileName, workbook, layout) {
+    const days = findDayNames(workbook, layout);
+    const candidates = [];
+
+    if (layout.mode === 'sheetPerDay') {
+        const dates = {};
+        const weekStarts = new Set();
+        const notes = [];
+        days.forEach(day => {
+            const date = readCellDate(workbook.Sheets[day], layout.date);
+            if (!date) {
+                notes.push(`${day} 시트 ${layout.date.cell} 날짜 없음`);
+                return;
+            }
+            dates[day] = ExcelCore.formatDate(date);
+            weekStarts.add(ExcelCore.formatDate(addDays(date, -DAY_OFFSETS[day])));
+        });
+        if (weekStarts.size > 1) notes.push('시트별 날짜가 한 주로 이어지지 않음');
+        if (Object.keys(dates).length > 0) {
+            candidates.push({
+                source: 'sheet',
+                label: `시트 날짜 셀 (${layout.date.cell})`,
+                weekStart: [...weekStarts].sort()[0],
+                dates,
+                notes
+            });
+        }
+    } else {
+        const sheet = workbook.Sheets[layout.sheet];
+        const date = sheet ? readCellDate(sheet, layout.date) : null;
+        if (date) {
+            const weekStart = ExcelCore.formatDate(date);
+            candidates.push({
+                source: 'sheet',
+                label: `${layout.sheet} 주간 범위 (${layout.date.cell})`,
+                weekStart,
+                dates: datesForWeek(weekStart, days),
+                notes: []
+            });
+        }
+    }
+
+    const sheetCandidate = candidates[0];
+    const fallbackYear = sheetCandidate ? parseDate(sheetCandidate.weekStart).getFullYear() : new Date().getFullYear();
+    const fromName = parseFileNameDate(fileName, fallbackYear);
+    if (fromName) {
+        const weekStart = ExcelCore.formatDate(fromName.date);
+        candidates.push({
+            source: 'fileName',
+            label: `파일명 ${fromName.text}`,
+            weekStart,
+            dates: datesForWeek(weekStart, days),
+            notes: fromName.yearGuessed ? [`연도 없음 (${fromName.date.getFullYear()}년으로 가정)`] : []
+        });
+    }
+
+    // 후보끼리 요일별 날짜가 다르거나, 시트별 날짜가 서로 맞지 않으면 충돌
+    const signatures = new Set(candidates.map(c => days.map(day => c.dates[day] || '').join('|')));
+    const conflict = signatures.size > 1 || candidates.some(c => c.notes.length > 0 && c.source === 'sheet');
+
+    return {
+        days,
+        candidates,
+        conflict,
+        defaultSource: candidates.length > 0 ? candidates[0].source : 'override'
+    };
+}
+
+// 선택에 따라 요일별 날짜 결정
+// choice: { source } (후보 선택) 또는 { source: 'override', weekStart: 'YYYY-MM-DD' }
+// 반환: { source, label, weekStart, dates } (dates: 요일 → 'YYYY-MM-DD'), 결정할 수 없으면 null
+function resolveDates(collected, choice) {
+    const source = (choice && choice.source) || collected.defaultSource;
+    if (source === 'override') {
+        if (!choice || !choice.weekStart) return null;
+        return {
+            source,
+            label: `직접 입력 (${choice.weekStart} 시작)`,
+            weekStart: choice.weekStart,
+            dates: datesForWeek(choice.weekStart, collected.days)
+        };
+    }
+
+    const candidate = collected.candidates.find(c => c.source === source);
+    if (!candidate) return null;
+    return {
+        source,
+        label: candidate.label,
+        weekStart: candidate.weekStart,
+        dates: { ...candidate.dates }
+    };
+}
+
+const DATE_CHOICE_STYLE = `
+    .date-choice {
+        display: none;
+        margin-top: 10px;
+        padding: 10px 12px;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        font-size: 12px;
+        color: #555;
+    }
+    .date-choice.has-data {
+        display: block;
+    }
+    .date-choice.conflict {
+        border-color: #ffcdd2;
+        background: #fffafa;
+    }
+    .date-choice h4 {
+        font-size: 13px;
+        margin-bottom: 6px;
+        color: #333;
+    }
+    .date-choice .conflict-note {
+        color: #c62828;
+        margin-bottom: 6px;
+    }
+    .date-choice label {
+        display: block;
+        margin: 0;
+        padding: 4px 0;
+        border-top: 1px solid #f0f0f0;
+        font-weight: normal;
+    }
+    .date-choice .dates {
+        color: #888;
+    }
+    .date-choice input[type="date"] {
+        margin-left: 6px;
+        padding: 2px 4px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = DATE_CHOICE_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+const DateChoicePanel = {
+    // 날짜 기준 패널 (collectDateCandidates 결과의 후보 선택 또는 주 시작일 직접 입력)
+    setup(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('date-choice');
+        let choice = null;  // { source, weekStart } - resolveDates에 넘길 선택
+
+        function addOption(source, text, detail) {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `${containerId}-source`;
+            radio.value = source;
+            radio.checked = source === choice.source;
+            radio.addEventListener('change', () => { choice.source = source; });
+            label.append(radio, ` ${text} `);
+            if (detail) {
+                const dates = document.createElement('span');
+                dates.className = 'dates';
+                dates.textContent = detail;
+                label.appendChild(dates);
+            }
+            container.appendChild(label);
+            return label;
+        }
+
+        // collected: collectDateCandidates 결과 (null이면 숨김), 선택은 기본 후보로 초기화
+        function show(collected) {
+            choice = collected ? { source: collected.defaultSource, weekStart: '' } : null;
+            container.innerHTML = '';
+            container.classList.toggle('has-data', !!collected);
+            container.classList.toggle('conflict', !!collected && collected.conflict);
+            if (!collected) return;
+
+            const title = document.createElement('h4');
+            title.textContent = '날짜 기준';
+            container.appendChild(title);
+
+            if (collected.conflict) {
+                const note = document.createElement('div');
+                note.className = 'conflict-note';
+                note.textContent = '날짜 후보가 서로 다릅니다 - 변환에 사용할 날짜를 확인하세요';
+                container.appendChild(note);
+            }
+
+            collected.candidates.forEach(c => {
+                const days = collected.days.map(day => `${day} ${c.dates[day] ? c.dates[day].slice(5) : '-'}`).join(', ');
+                const notes = c.notes.length > 0 ? ` / ${c.notes.join(', ')}` : '';
+                addOption(c.source, `${c.label}: ${c.weekStart} 시작`, `(${days}${notes})`);
+            });
+
+            const override = addOption('override', '직접 입력: 주 시작일');
+            const dateInput = document.createElement('input');
+            dateInput.type = 'date';
+            dateInput.addEventListener('change', () => {
+                choice.weekStart = dateInput.value;
+                choice.source = 'override';
+                override.querySelector('input').checked = true;
+            });
+            override.appendChild(dateInput);
+        }
+
+        return {
+            show,
+            clear: () => show(null),
+            getChoice: () => choice
+        };
+    }
+};
+
+export { WEEKDAYS, DAY_OFFSETS, collectDateCandidates, resolveDates, datesForWeek, parseDate, DateChoicePanel };
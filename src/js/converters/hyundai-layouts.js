@@ -0,0 +1,109 @@
+/**
+ * 현대차 원본 파일 레이아웃 정의
+ * JSON 호환 값만 사용 (정규식은 문자열, 열은 문자, 셀은 주소). 공급사 양식이 바뀌면 여기만 수정
+ *
+ * - mode: 'sheetPerDay' (요일별 시트) / 'blockPerDay' (한 시트에 요일 블록이 가로로 배치)
+ * - match: 시트 구성 조건 (anySheets 중 하나 이상 + allSheets 모두 + noSheets 없음), 형식 판별 점수의 일부
+ * - date: 날짜 셀과 패턴 (캡처: 연, 월, 일, weekdayGroup이 있으면 해당 캡처가 표기 요일)
+ * - block.anchor: 블록 시작 셀 패턴 (캡처 1: 매장명 또는 요일), columns 생략 시 모든 열 검색
+ * - block.columns: 앵커 열 기준 오프셋 / block.rows: 앵커 행 기준 데이터 시작 오프셋과 최대 행 수
+ * - total: 원본 합계 (cell: 고정 셀, rowOffset/column: 블록 기준)
+ * - blockTotal: 매장 블록별 계 행 (블록 기준, 숫자가 있는 블록만 검증 규칙에서 비교)
+ * - productSheet: 단품코드 시트 (헤더 셀에 header 문자열이 있는 시트, 데이터는 headerCell 다음 행부터)
+ */
+
+import { SheetLayout } from '../layout.js?v=10';
+import { ConvertError } from '../errors.js?v=10';
+
+const DAY_NAMES = ['월', '화', '수', '목', '금', '토', '일'];
+
+// 공통: 층별 단품코드 시트 (C7 "단품코드", C열 코드 / D열 단품명)
+const PRODUCT_SHEET = {
+    headerCell: 'C7',
+    header: '단품코드',
+    codeColumn: 'C',
+    nameColumn: 'D',
+    skipSheets: DAY_NAMES,
+    skipPattern: '^[☆※★]'
+};
+
+const HYUNDAI_LAYOUTS = [
+    {
+        id: 'day-sheets',
+        name: '요일별 시트 (3열 매장 블록)',
+        mode: 'sheetPerDay',
+        match: { anySheets: DAY_NAMES },
+        daySheets: DAY_NAMES,
+        // B2 예시: "... (26.1.19 월요일)", "... (26.1.24 토요일)" (캡처 4: 표기 요일)
+        date: { cell: 'B2', pattern: '\\((\\d+)\\.(\\d+)\\.(\\d+)\\s*([월화수목금토일])요일\\)', weekdayGroup: 4 },
+        block: {
+            anchor: { columns: ['B', 'K', 'T'], pattern: '※\\s*(.+?)\\s*:\\s*\\d*' },
+            columns: { no: 0, afternoon: 1, product: 3, box: 4 },
+            rows: { startOffset: 4, maxRows: 25, stopOnInvalidNo: true }
+        },
+        total: { cell: 'F8' },
+        blockTotal: { rowOffset: 3, column: 'box' },
+        productSheet: PRODUCT_SHEET
+    },
+    {
+        id: 'menu-horizontal',
+        name: '☆메뉴표 가로 요일 블록 (단일 매장)',
+        mode: 'blockPerDay',
+        match: { allSheets: ['☆메뉴표'], noSheets: DAY_NAMES },
+        sheet: '☆메뉴표',
+        // B3 예시: "... 양재 3F (기자실) 메뉴 (26.5.18~5.22)" (주 시작일)
+        date: { cell: 'B3', pattern: '\\((\\d+)\\.(\\d+)\\.(\\d+)\\s*~' },
+        // 라벨 기준: NO(+0), 오후진열(+1), 종류(+2), 상품명(+3), BOX(+4) / 헤더 +1~+2, 계 +3, 데이터 +4
+        block: {
+            anchor: { pattern: '^(월|화|수|목|금|토|일)요일$', skipMergedRepeat: true },
+            columns: { no: 0, afternoon: 1, product: 3, box: 4 },
+            rows: { startOffset: 4, maxRows: 30, textOnly: true }
+        },
+        total: { rowOffset: 3, column: 'box' },
+        productSheet: PRODUCT_SHEET,
+        // 매장명: 단품코드 시트 상단의 "※ <매장> :" 셀
+        store: { columns: ['A', 'D'], maxRow: 10, pattern: '※\\s*(.+?)\\s*:\\s*\\d*' }
+    }
+];
+
+// 판별 결과를 이 신뢰도 미만이면 변환하지 않음
+const MIN_CONFIDENCE = 0.6;
+
+function getLayout(id) {
+    const layout = HYUNDAI_LAYOUTS.find(l => l.id === id);
+    if (!layout) throw new Error(`알 수 없는 레이아웃: ${id}`);
+    return layout;
+}
+
+// 모든 레이아웃으로 워크북을 평가하여 형식 판별 ({ layout|null, confidence, evidence, candidates })
+function detectLayout(workbook) {
+    return SheetLayout.detect(workbook, HYUNDAI_LAYOUTS, MIN_CONFIDENCE);
+}
+
+// 판별 결과 요약 (예: "요일별 시트 (3열 매장 블록), 신뢰도 100%")
+function describeDetection(detection) {
+    const best = detection.candidates[0];
+    return `${best.layout.name}, 신뢰도 ${Math.round(best.confidence * 100)}%`;
+}
+
+// 형식을 판별하지 못한 경우의 오류 (후보별 근거/부족 항목 포함, error.detection에 판별 결과)
+function createDetectionError(detection) {
+    const lines = detection.candidates.map(c =>
+        `${c.layout.name} ${Math.round(c.confidence * 100)}%: ` +
+        [...c.evidence.map(e => `✓ ${e}`), ...c.missing.map(m => `✗ ${m}`)].join(', ')
+    );
+    const best = detection.candidates[0];
+    const error = ConvertError.create(
+        'layout-unknown',
+        `원본 파일 형식을 판별할 수 없습니다 (가장 가까운 형식: ${describeDetection(detection)}). ` +
+        lines.join(' / '),
+        {
+            expected: `${best.layout.name}: ${best.missing.join(', ') || '근거 부족'}`,
+            found: best.evidence.join(', ') || '근거 없음'
+        }
+    );
+    error.detection = detection;
+    return error;
+}
+
+export { HYUNDAI_LAYOUTS, getLayout, detectLayout, describeDetection, createDetectionError };
@@ -0,0 +1,96 @@
+/**
+ * 현대차 변환 결과 비교 (엔진 동등성 / 회귀 테스트)
+ * 두 결과의 데이터/검증/매장별 상세 시트를 행 키로 맞춰 필드별로 비교 (행 순서는 무시)
+ * 엔진 비교는 JS 결과 기준으로 WASM 결과를, 회귀 테스트는 기대 결과 기준으로 변환 결과를 비교
+ */
+
+// 비교할 시트: 결과 속성, 행 키 (같은 키가 여러 행이면 나온 순서로 구분)
+const PARITY_SHEETS = [
+    {
+        name: '데이터',
+        property: 'data',
+        key: row => [row['원본 파일'], row['일자'], row['원본 사업장명'], row['품목명']]
+    },
+    {
+        name: '검증',
+        property: 'validation',
+        key: row => [row['원본 파일'], row['일자'], row['요일']]
+    },
+    {
+        name: '매장별 상세',
+        property: 'storeDaily',
+        key: row => [row['일자'], row['코드'], row['사업장명']]
+    }
+];
+
+// 출력 행 (_로 시작하는 내부 필드 제외, 빈값은 '')
+function visibleRow(row) {
+    const visible = {};
+    Object.keys(row).filter(key => !key.startsWith('_')).forEach(key => {
+        visible[key] = row[key] == null ? '' : row[key];
+    });
+    return visible;
+}
+
+// 행 목록 → Map (행 키 → 행), 중복 키는 '#2', '#3' ...
+function indexRows(rows, keyOf) {
+    const indexed = new Map();
+    const counts = new Map();
+    rows.forEach(row => {
+        const base = keyOf(row).filter(part => part != null && part !== '').join(' / ');
+        const count = (counts.get(base) || 0) + 1;
+        counts.set(base, count);
+        indexed.set(count > 1 ? `${base} #${count}` : base, visibleRow(row));
+    });
+    return indexed;
+}
+
+// 결과 비교 (expected 기준)
+// 반환: { equal, sheets: [{ sheet, expected, actual, differences }], differences: [{ sheet, key, field, expected, actual }] }
+// - 한쪽에만 있는 행은 field '(행)', 값은 '있음'/'없음'
+function diffResults(expected, actual) {
+    const differences = [];
+    const sheets = PARITY_SHEETS.map(({ name, property, key }) => {
+        const expectedRows = indexRows(expected[property] || [], key);
+        const actualRows = indexRows(actual[property] || [], key);
+        const before = differences.length;
+
+        new Set([...expectedRows.keys(), ...actualRows.keys()]).forEach(rowKey => {
+            const left = expectedRows.get(rowKey);
+            const right = actualRows.get(rowKey);
+            if (!left || !right) {
+                differences.push({ sheet: name, key: rowKey, field: '(행)', expected: left ? '있음' : '없음', actual: right ? '있음' : '없음' });
+                return;
+            }
+            new Set([...Object.keys(left), ...Object.keys(right)]).forEach(field => {
+                const a = field in left ? left[field] : '';
+                const b = field in right ? right[field] : '';
+                if (a !== b) differences.push({ sheet: name, key: rowKey, field, expected: a, actual: b });
+            });
+        });
+
+        return { sheet: name, expected: expectedRows.size, actual: actualRows.size, differences: differences.length - before };
+    });
+
+    return { equal: differences.length === 0, sheets, differences };
+}
+
+// 비교 요약 문구 (예: "차이 없음", "데이터 3건 · 검증 1건 차이")
+function describeDiff(diff) {
+    if (diff.equal) return '차이 없음';
+    return diff.sheets
+        .filter(sheet => sheet.differences > 0)
+        .map(sheet => `${sheet.sheet} ${sheet.differences}건`)
+        .join(' · ') + ' 차이';
+}
+
+// 기대 결과 파일(JSON)에 저장할 형식 (내부 필드 제외)
+function toExpected(result) {
+    const expected = {};
+    PARITY_SHEETS.forEach(({ property }) => {
+        expected[property] = (result[property] || []).map(visibleRow);
+    });
+    return expected;
+}
+
+export { diffResults, describeDiff, toExpected };
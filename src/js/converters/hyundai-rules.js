@@ -0,0 +1,186 @@
+/**
+ * 현대차 변환 결과 검증 규칙
+ * 실행/설정은 validation.js의 ValidationEngine. context: { data, validation, blocks, productConflicts, productSuggestions }
+ * - data: 데이터 행 (미리보기 편집 반영), validation: 요일별 검증 행 (재계산됨)
+ * - blocks: 원본 매장 블록 [{ fileName?, date, day, storeName, total, ref }] (total: 블록 계 행, 없으면 null)
+ * - productConflicts: 단품코드 충돌 행, productSuggestions: 매핑실패 단품명 → 유사 단품 [{ name, code, score }]
+ * 일괄 변환 결과는 '원본 파일'(blocks는 fileName)로 파일을 구분
+ */
+
+const PRODUCT_CODE_FAILED = '단품코드 매핑실패';
+
+// 같은 파일/일자/매장 키
+function storeKey(fileName, date, storeName) {
+    return `${fileName || ''}|${date}|${storeName}`;
+}
+
+// 키별로 묶기 (Map, 삽입 순서 유지)
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+const HYUNDAI_RULES = [
+    {
+        id: 'day-total',
+        name: '요일 합계',
+        description: '요일별 추출 Box 합계와 원본 합계 셀 비교',
+        severity: 'fail',
+        check({ validation }) {
+            return validation
+                .filter(row => String(row['검증 결과']).startsWith('불일치'))
+                .map(row => ({
+                    fileName: row['원본 파일'],
+                    date: row['일자'],
+                    message: `추출 ${row['추출 Box 합계']} / 원본 ${row['원본 Box 합계']} (${row['검증 결과']})`
+                }));
+        }
+    },
+    {
+        id: 'block-total',
+        name: '매장 블록 합계',
+        description: '매장 블록별 추출 Box 합계와 블록 계 행 비교 (같은 날 같은 매장 블록이 여러 개면 합쳐서 비교)',
+        severity: 'fail',
+        check({ data, blocks }) {
+            const extracted = new Map();
+            data.forEach(row => {
+                const key = storeKey(row['원본 파일'], row['일자'], row['원본 사업장명']);
+                extracted.set(key, (extracted.get(key) || 0) + (Number(row['Box 입수']) || 0));
+            });
+
+            const issues = [];
+            groupBy(blocks, b => storeKey(b.fileName, b.date, b.storeName)).forEach((group, key) => {
+                // 계 행이 없는 블록이 섞여 있으면 비교할 수 없음
+                if (group.some(b => b.total === null)) return;
+                const total = group.reduce((sum, b) => sum + b.total, 0);
+                const sum = extracted.get(key) || 0;
+                if (sum === total) return;
+                issues.push({
+                    fileName: group[0].fileName,
+                    date: group[0].date,
+                    store: group[0].storeName,
+                    ref: group.map(b => b.ref).join(', '),
+                    message: `추출 ${sum} / 블록 계 ${total} (차이: ${sum - total})`
+                });
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'duplicate-store',
+        name: '매장 중복',
+        description: '같은 날 같은 매장 블록이 두 번 이상 있음',
+        severity: 'warn',
+        check({ blocks }) {
+            const issues = [];
+            groupBy(blocks, b => storeKey(b.fileName, b.date, b.storeName)).forEach(group => {
+                if (group.length < 2) return;
+                issues.push({
+                    fileName: group[0].fileName,
+                    date: group[0].date,
+                    store: group[0].storeName,
+                    ref: group.map(b => b.ref).join(', '),
+                    message: `${group[0].day}요일에 ${group.length}개 블록`
+                });
+            });
+            return issues;
+        }
+    },
+    {
+        id: 'box-threshold',
+        name: 'Box 입수 상한',
+        description: '한 품목의 Box 입수가 상한을 넘음 (입력 실수 확인)',
+        severity: 'warn',
+        params: [{ key: 'max', label: '상한', default: 100 }],
+        check({ data }, { max }) {
+            return data
+                .filter(row => (Number(row['Box 입수']) || 0) > max)
+                .map(row => ({
+                    fileName: row['원본 파일'],
+                    date: row['일자'],
+                    store: row['원본 사업장명'],
+                    message: `${row['품목명']} ${row['Box 입수']}박스 (상한 ${max})`
+                }));
+        }
+    },
+    {
+        id: 'missing-product-code',
+        name: '단품코드 누락',
+        description: '층별 단품코드 시트와 단품 마스터에 없는 품목 (품목별 1건, 유사 단품 추천)',
+        severity: 'warn',
+        check({ data, productSuggestions = {} }) {
+            const missing = data.filter(row => row['단품코드'] === PRODUCT_CODE_FAILED);
+            return [...groupBy(missing, row => `${row['원본 파일'] || ''}|${row['품목명']}`).values()].map(rows => {
+                const [suggestion] = productSuggestions[rows[0]['품목명']] || [];
+                return {
+                    fileName: rows[0]['원본 파일'],
+                    message: `${rows[0]['품목명']}: ${rows.length}행 (${[...new Set(rows.map(r => r['일자']))].join(', ')})` +
+                        (suggestion ? ` - 추천: ${suggestion.name} (${suggestion.code})` : '')
+                };
+            });
+        }
+    },
+    {
+        id: 'product-code-conflict',
+        name: '단품코드 충돌',
+        description: '같은 단품명에 층별 시트/단품 마스터의 단품코드가 서로 다름 (먼저 나온 층별 시트 코드 적용)',
+        severity: 'warn',
+        check({ productConflicts = [] }) {
+            return productConflicts.map(row => ({
+                fileName: row['원본 파일'],
+                message: `${row['단품명']}: ${row['적용 단품코드']} (${row['적용 출처']}) 적용, 다른 코드 ${row['다른 단품코드']}`
+            }));
+        }
+    },
+    {
+        id: 'mapping-failure',
+        name: '매장 매핑실패',
+        description: '매핑 테이블에서 찾지 못한 매장 (매장별 1건)',
+        severity: 'warn',
+        check({ data }) {
+            const failed = data.filter(row => row['_isMappingFailed']);
+            return [...groupBy(failed, row => `${row['원본 파일'] || ''}|${row['원본 사업장명']}`).values()].map(rows => ({
+                fileName: rows[0]['원본 파일'],
+                store: rows[0]['원본 사업장명'],
+                message: `${rows.length}행`
+            }));
+        }
+    },
+    {
+        id: 'empty-day',
+        name: '데이터 없는 요일',
+        description: '추출된 행이 없는 요일',
+        severity: 'warn',
+        check({ validation }) {
+            return validation
+                .filter(row => row['추출 Box 합계'] === 0)
+                .map(row => ({
+                    fileName: row['원본 파일'],
+                    date: row['일자'],
+                    message: `${row['요일']}요일 추출 0건` + (row['원본 Box 합계'] > 0 ? ` (원본 합계 ${row['원본 Box 합계']})` : '')
+                }));
+        }
+    },
+    {
+        id: 'weekday-mismatch',
+        name: '요일 불일치',
+        description: '날짜의 요일과 시트/블록 요일 표기가 다름',
+        severity: 'warn',
+        check({ validation }) {
+            return validation
+                .filter(row => row['요일 확인'] && row['요일 확인'] !== '일치')
+                .map(row => ({
+                    fileName: row['원본 파일'],
+                    date: row['일자'],
+                    message: row['요일 확인']
+                }));
+        }
+    }
+];
+
+export { HYUNDAI_RULES };
@@ -0,0 +1,42 @@
+/**
+ * 현대차 변환 워커
+ * 원본 읽기/시트 파싱/변환과 결과 파일 생성을 메인 스레드 밖에서 실행 (WASM, ExcelJS 모두 사용)
+ * 메시지 규약은 worker-client.js 참고. 작업 목록은 hyundai.js의 HYUNDAI_TASKS
+ */
+
+// index.html과 같은 ExcelJS/JSZip (워커에는 페이지 스크립트가 없으므로 별도 로드, 경로는 이 파일 기준)
+importScripts(
+    '../../vendor/exceljs.min.js',
+    '../../vendor/jszip.min.js'
+);
+
+const tasksReady = import('./hyundai.js?v=10').then(async (module) => {
+    const wasm = await module.initWasm();
+    self.postMessage({ type: 'ready', wasm });
+    return module.HYUNDAI_TASKS;
+});
+
+// 모듈 로드 실패 시 메인 스레드 실행으로 전환
+tasksReady.catch(error => {
+    self.postMessage({ type: 'failed', message: error.message });
+});
+
+self.onmessage = async (e) => {
+    const { id, task, payload } = e.data;
+    try {
+        const tasks = await tasksReady;
+        if (!tasks[task]) throw new Error(`알 수 없는 작업: ${task}`);
+        const result = await tasks[task](payload, progress => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        console.error(error);
+        // 구조화된 오류 속성(code, severity, sheet, cell, expected, found, hint, errors.js)도 함께 전달
+        self.postMessage({
+            id,
+            type: 'error',
+            error: { ...error, message: error.message, detection: error.detection || null }
+        });
+    }
+};
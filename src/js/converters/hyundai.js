@@ -4,6 +4,25 @@
  */
 
 import { ExcelCore, StatusManager, FileInputManager } from '../core.js?v=10';
+import { PreviewGrid } from '../preview.js?v=10';
+import { MappingResolver } from '../mapping-resolver.js?v=10';
+import { MappingStore } from '../mapping-store.js?v=10';
+import { MappingEditor, MappingRows, MAPPING_HEADER_ALIASES } from '../mapping-editor.js?v=10';
+import { StoreMatcher, StoreNameRules } from '../store-matcher.js?v=10';
+import { WorkerClient } from '../worker-client.js?v=10';
+import { OutputProfiles, OutputProfileEditor, OUTPUT_FORMATS } from '../output-profiles.js?v=10';
+import { ValidationEngine, ValidationSettingsEditor } from '../validation.js?v=10';
+import { LocalStore } from '../storage.js?v=10';
+import { ConvertError, ErrorPanel } from '../errors.js?v=10';
+import { HistoryStore, HistoryPanel } from '../history.js?v=10';
+import { ProductRows, ProductCodes, ProductMasterPanel } from '../product-master.js?v=10';
+import { SheetLayout, READ_WARNINGS } from '../layout.js?v=10';
+import { getLayout, detectLayout, describeDetection, createDetectionError } from './hyundai-layouts.js?v=10';
+import { WEEKDAYS, collectDateCandidates, resolveDates, datesForWeek, parseDate, DateChoicePanel } from './hyundai-dates.js?v=10';
+import { HYUNDAI_RULES } from './hyundai-rules.js?v=10';
+import { loadPreviousResult, compareWeeks, describeChanges } from './hyundai-compare.js?v=10';
+import { diffResults, describeDiff } from './hyundai-parity.js?v=10';
+import { BatchOptions } from './hyundai-batch.js?v=10';
 
 // 컨버터 설정
 const config = {
@@ -12,16 +31,62 @@ const config = {
     description: '현대차 간식서비스 원본 엑셀을 시스템 입력용 형식으로 변환'
 };
 
+// 데이터 시트 컬럼 (출력 프로필 기본값, date: 날짜 형식 적용 / text: 선행 0 보존)
+const DATA_COLUMNS = [
+    { key: '일자', date: true },
+    { key: '코드', text: true },
+    { key: '원본 사업장명' },
+    { key: '사업장명' },
+    { key: '단품코드', text: true },
+    { key: '품목명' },
+    { key: 'Box 입수' },
+    { key: '오후 진열' },
+    // 원본 시트/셀 범위 (예: "월!B14:F14"), 기본 프로필에는 포함하지 않음
+    { key: '원본 위치', optional: true }
+];
+
+// 입력 파일 (매니페스트 inputs, app.js가 순서대로 파일 입력을 그림)
+const INPUTS = [
+    { key: 'origin', label: '원본 엑셀 파일', hint: '여러 개 선택 또는 폴더 드롭 가능', accept: '.xlsx,.xls', multiple: true, folderDrop: true, required: true },
+    { key: 'mapping', label: '매핑 테이블 파일', hint: '저장된 매핑이 있으면 생략 가능', accept: '.xlsx,.xls', required: true },
+    { key: 'previous', label: '이전 결과 파일', hint: '선택, 지난 결과와 비교해 변경사항 시트 추가', accept: '.xlsx,.xls' }
+];
+
+// 결과 시트 (조건부 시트는 해당 항목이 있을 때만)
+const OUTPUT_SHEETS = [
+    { name: '데이터', description: '출력 프로필 컬럼 (기본: 일자, 코드, 사업장명, 단품코드, 품목명, Box 입수, 오후 진열)' },
+    { name: '검증', description: '요일별 건수와 판정' },
+    { name: '검증 요약', description: '검증 규칙별 결과' },
+    { name: '검증 상세', description: '규칙 위반 항목 (있을 때)' },
+    { name: '매장별 상세', description: '요일/매장별 Box 입수 합계' },
+    { name: '매장 매칭', description: '원본 매장명과 매핑된 사업장명' },
+    { name: '매핑실패 매장 리스트', description: '매핑 테이블에 없는 매장 (있을 때)' },
+    { name: '단품코드 매핑실패', description: '단품코드를 찾지 못한 품목 (있을 때)' },
+    { name: '단품코드 충돌', description: '매핑 테이블과 단품 마스터의 코드가 다른 품목 (있을 때)' },
+    { name: '경고', description: '추출 경고 (있을 때)' },
+    { name: '변경사항', description: '이전 결과 대비 변경 (이전 결과 파일이 있을 때)' },
+    { name: '배치 요약', description: '원본 파일별 결과 (일괄 변환)' },
+    { name: '원본 추적', description: '행별 원본 위치 (숨김, 출력 프로필에서 선택)' }
+];
+
 // WASM 모듈
 let wasmModule = null;
 let wasmReady = false;
 
+// WASM 입출력 형식 버전 (wasm/src/lib.rs의 format_version과 같아야 사용, 다르면 오래된 빌드로 보고 JS 사용)
+const WASM_FORMAT_VERSION = 2;
+
 // WASM 초기화
-async function initWasm() {
+// wasmBytes: .wasm 파일 내용 (Node CLI는 fetch로 파일 URL을 읽을 수 없으므로 직접 전달, 없으면 모듈 옆 .wasm URL)
+async function initWasm(wasmBytes) {
     try {
         const wasm = await import('../../wasm/excel_converter_wasm.js?v=10');
         const wasmUrl = new URL('../../wasm/excel_converter_wasm_bg.wasm?v=10', import.meta.url);
-        await wasm.default(wasmUrl);
+        await wasm.default(wasmBytes || wasmUrl);
+        const version = typeof wasm.format_version === 'function' ? wasm.format_version() : 1;
+        if (version !== WASM_FORMAT_VERSION) {
+            throw new Error(`WASM 빌드 형식 ${version}, 필요 ${WASM_FORMAT_VERSION} (wasm/build.sh로 다시 빌드)`);
+        }
         wasmModule = wasm;
         wasmReady = true;
         console.log('WASM module loaded successfully');
@@ -33,26 +98,42 @@ async function initWasm() {
 }
 
 // 상태
-let originFile = null;
-let mappingFile = null;
-
-// 파일을 ArrayBuffer로 읽기
-function readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(new Uint8Array(reader.result));
-        reader.onerror = reject;
-        reader.readAsArrayBuffer(file);
-    });
+let originFiles = [];
+let mappingSource = null;  // { name, data, mapping, version? } - 업로드 또는 저장된 매핑
+let storeNameRules = StoreNameRules.defaults;  // 매장명 정규화 규칙 (브라우저에 저장)
+
+const RULES_KEY = `storeNameRules:${config.id}`;
+
+// 파일을 바이트로 읽기 (File/Blob, 브라우저와 Node 공통)
+async function readFileAsArrayBuffer(file) {
+    return new Uint8Array(await file.arrayBuffer());
 }
 
 // ========== WASM 변환 ==========
-async function convertWithWasm(originData, mappingData, filename) {
+// 요일별 시트 레이아웃 → WASM 옵션 형식 (시트 기준 좌표, A1 = 0/0. WASM은 사용 범위 시작 셀과 관계없이 이 좌표로 읽음)
+function toWasmLayout(layout) {
+    const total = SheetLayout.cell(layout.total.cell);
+    return {
+        daySheets: layout.daySheets,
+        anchorColumns: layout.block.anchor.columns.map(col => SheetLayout.column(col) - 1),
+        storePattern: layout.block.anchor.pattern,
+        columns: layout.block.columns,
+        dataRowOffset: layout.block.rows.startOffset,
+        maxRows: layout.block.rows.maxRows,
+        totalRow: total.row - 1,
+        totalCol: total.col - 1
+    };
+}
+
+async function convertWithWasm(originData, mappingData, filename, layout) {
     // WASM으로 파싱 (JSON 결과 반환)
-    const result = wasmModule.convert_excel(originData, mappingData, filename);
+    const result = wasmModule.convert_excel(originData, mappingData, filename, {
+        headerAliases: MAPPING_HEADER_ALIASES,
+        layout: toWasmLayout(layout)
+    });
 
     if (!result.success) {
-        throw new Error(result.error || '변환 실패');
+        throw ConvertError.fromWasm(result);
     }
 
     return result;
@@ -60,26 +141,28 @@ async function convertWithWasm(originData, mappingData, filename) {
 
 // ========== JS Fallback ==========
 
-// 매장명 추출
-function extractStoreName(cellValue) {
-    if (!cellValue || typeof cellValue !== 'string') return null;
-    if (!cellValue.includes('※')) return null;
-
-    const match = cellValue.match(/※\s*(.+?)\s*:\s*\d*/);
-    return match ? match[1].trim() : null;
-}
-
-// 날짜 추출 (시트 B2 셀에서)
-// B2 예시: "... (26.1.19 월요일)", "... (26.11.1 목요일)"
-function extractDateFromSheet(sheet, sheetName) {
-    const b2 = ExcelCore.getCellValue(sheet, 2, 2);
-    if (!b2 || typeof b2 !== 'string') {
-        throw new Error(`[${sheetName}] 시트 B2 셀에 날짜 정보가 없습니다.`);
+// 레이아웃 날짜 셀에서 날짜 추출 (패턴 캡처: 연, 월, 일)
+// 요일 시트 B2 예시: "... (26.1.19 월요일)", ☆메뉴표 B3 예시: "... (26.5.18~5.22)"
+function extractDateFromSheet(sheet, sheetName, dateDef) {
+    const { row, col } = SheetLayout.cell(dateDef.cell);
+    const value = ExcelCore.getCellValue(sheet, row, col);
+    if (!value || typeof value !== 'string') {
+        throw ConvertError.create('date-missing', `[${sheetName}] 시트 ${dateDef.cell} 셀에 날짜 정보가 없습니다.`, {
+            sheet: sheetName,
+            cell: dateDef.cell,
+            expected: `날짜 표기 (패턴 ${dateDef.pattern})`,
+            found: value == null ? '' : value
+        });
     }
 
-    const match = b2.match(/\((\d+)\.(\d+)\.(\d+)\s*[월화수목금]요일\)/);
+    const match = value.match(new RegExp(dateDef.pattern));
     if (!match) {
-        throw new Error(`[${sheetName}] 시트 B2 셀에서 날짜를 인식할 수 없습니다: "${b2}"`);
+        throw ConvertError.create('date-invalid', `[${sheetName}] 시트 ${dateDef.cell} 셀에서 날짜를 인식할 수 없습니다.`, {
+            sheet: sheetName,
+            cell: dateDef.cell,
+            expected: `날짜 표기 (패턴 ${dateDef.pattern})`,
+            found: value
+        });
     }
 
     let year = parseInt(match[1]);
@@ -90,191 +173,225 @@ function extractDateFromSheet(sheet, sheetName) {
     return new Date(year, month - 1, day);
 }
 
-// 매핑 테이블 파싱
-function parseMappingTable(workbook) {
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const data = ExcelCore.sheetToJson(sheet);
-
-    const mapping = {};
-    data.forEach(row => {
-        const originalName = row['원본 사업장명'];
-        if (originalName) {
-            mapping[originalName] = {
-                code: row['코드'] || '',
-                systemName: row['사업장명'] || ''
-            };
-        }
-    });
+// 날짜 셀의 표기 요일 (레이아웃에 weekdayGroup이 없거나 인식 불가면 null)
+function extractWeekdayLabel(sheet, dateDef) {
+    if (!dateDef.weekdayGroup) return null;
+    const match = SheetLayout.matchCell(sheet, dateDef.cell, dateDef.pattern);
+    return match ? match[dateDef.weekdayGroup] : null;
+}
 
-    return mapping;
+// 날짜(YYYY-MM-DD)의 실제 요일과 표기 요일(시트명, 날짜 셀 등) 비교 → '일치' 또는 불일치 설명
+// labels: [{ source: '시트', value: '화' }, ...] (value가 없으면 비교하지 않음)
+function checkWeekday(dateStr, labels) {
+    const actual = WEEKDAYS[parseDate(dateStr).getDay()];
+    const wrong = labels.filter(label => label.value && label.value !== actual);
+    if (wrong.length === 0) return '일치';
+    return `불일치 (${dateStr}은 ${actual}요일, ${wrong.map(l => `${l.source} ${l.value}`).join(', ')})`;
 }
 
-// 매장 블록 찾기
-function findStoreBlocks(sheet) {
-    const blocks = [];
-    const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+// 요일별 시트의 요일 확인 (시트명, 날짜 셀 표기 요일)
+function checkSheetWeekday(sheet, dayName, dateStr, layout) {
+    return checkWeekday(dateStr, [
+        { source: '시트', value: dayName },
+        { source: layout.date.cell, value: sheet ? extractWeekdayLabel(sheet, layout.date) : null }
+    ]);
+}
 
-    for (let row = 1; row <= range.e.r + 1; row++) {
-        const bVal = ExcelCore.getCellValue(sheet, row, 2);
-        const bStore = extractStoreName(bVal);
-        if (bStore) {
-            blocks.push({
-                storeName: bStore,
-                row: row,
-                colNo: 2,
-                colAfternoon: 3,
-                colProduct: 5,
-                colBox: 6
-            });
-        }
+// 매핑 테이블 행 파싱 (편집기용, 중복 행 유지)
+// 헤더 별칭/헤더 행 위치/시트는 자동 탐지 (MAPPING_HEADER_ALIASES)
+function parseMappingRows(workbook) {
+    return MappingRows.fromWorkbook(workbook, MAPPING_HEADER_ALIASES);
+}
 
-        const kVal = ExcelCore.getCellValue(sheet, row, 11);
-        const kStore = extractStoreName(kVal);
-        if (kStore) {
-            blocks.push({
-                storeName: kStore,
-                row: row,
-                colNo: 11,
-                colAfternoon: 12,
-                colProduct: 14,
-                colBox: 15
-            });
-        }
+// 매핑 테이블 파싱
+function parseMappingTable(workbook) {
+    return MappingRows.toMapping(parseMappingRows(workbook));
+}
 
-        const tVal = ExcelCore.getCellValue(sheet, row, 20);
-        const tStore = extractStoreName(tVal);
-        if (tStore) {
-            blocks.push({
-                storeName: tStore,
-                row: row,
-                colNo: 20,
-                colAfternoon: 21,
-                colProduct: 23,
-                colBox: 24
-            });
-        }
+// 매핑 항목 → 매핑 결과 (항목이 없거나 코드/사업장명이 비어있으면 매핑실패)
+function resolveEntry(entry, storeName) {
+    if (!entry) {
+        return { code: 'MAPPING_FAILED', systemName: '[매핑실패] ' + storeName, isMappingFailed: true };
     }
-
-    return blocks;
+    if (!entry.code || !entry.systemName) {
+        // 매핑 테이블에 있지만 코드나 사업장명이 비어있는 경우
+        return { code: 'MAPPING_FAILED', systemName: '[매핑실패-빈값] ' + storeName, isMappingFailed: true };
+    }
+    return { code: entry.code, systemName: entry.systemName, isMappingFailed: false };
 }
 
-// 블록에서 상품 추출
-function extractProductsFromBlock(sheet, block, maxProducts = 25) {
-    const products = [];
-    const startRow = block.row + 4;
+// 매장명 → 매핑 결과 + 일치한 매핑 키/규칙 (정규화 규칙·별칭은 StoreMatcher)
+function lookupStore(matcher, storeName) {
+    const match = matcher.match(storeName);
+    return {
+        ...resolveEntry(match && match.entry, storeName),
+        matchedKey: match ? match.key : '',
+        matchRule: match ? match.rule : '매칭 없음'
+    };
+}
 
-    for (let row = startRow; row < startRow + maxProducts; row++) {
-        const noVal = ExcelCore.getCellValue(sheet, row, block.colNo);
-        if (noVal === null || isNaN(parseInt(noVal))) break;
+// 추출 경고 종류 (code → 구분): 레이아웃 해석기 경고 + 컨버터 경고
+// 경고: { code, sheet, store, cell, value, reason } (일괄 변환은 fileName 추가)
+const EXTRACTION_WARNINGS = {
+    ...READ_WARNINGS,
+    'store-not-found': '매장명 없음',
+    'wasm-failed': 'WASM 결과 불일치 (JS로 변환)'
+};
 
-        const productName = ExcelCore.getCellValue(sheet, row, block.colProduct);
-        if (!productName) continue;
+// 레이아웃 해석기 경고 콜백 (시트/매장을 붙여 warnings에 추가, warnings가 없으면 수집하지 않음)
+function collectWarnings(warnings, sheetName, storeName = '') {
+    return warnings ? warning => warnings.push({ sheet: sheetName, store: storeName, ...warning }) : null;
+}
 
-        let boxQty = ExcelCore.getCellValue(sheet, row, block.colBox);
-        boxQty = parseInt(boxQty) || 0;
-        if (boxQty === 0) continue;
+// 매장 블록 찾기 (앵커 셀의 "※ <매장명> :" 패턴)
+function findStoreBlocks(sheet, layout, onWarning) {
+    return SheetLayout.findBlocks(sheet, layout.block, onWarning).map(block => ({
+        ...block,
+        storeName: block.match[1].trim()
+    }));
+}
 
-        // 오후 진열 값 추출
-        const afternoonVal = ExcelCore.getCellValue(sheet, row, block.colAfternoon);
-        const afternoon = afternoonVal ? String(afternoonVal).trim() : '';
+// 데이터 행의 원본 위치 (시트, 블록 앵커 셀, 행, 블록 첫 열~Box 열 범위, 품목/Box/오후 진열 셀)
+function rowSource(sheetName, block, row) {
+    return {
+        sheet: sheetName,
+        anchor: ExcelCore._encodeCell(block.row - 1, block.col - 1),
+        row: row.row,
+        range: `${ExcelCore._encodeCell(row.row - 1, block.col - 1)}:${row.cells.box}`,
+        cells: { product: row.cells.product, box: row.cells.box, afternoon: row.cells.afternoon }
+    };
+}
 
-        products.push({
-            storeName: block.storeName,
-            productName: String(productName).trim(),
-            boxQty: boxQty,
-            afternoon: afternoon
-        });
-    }
+// 원본 위치 컬럼 값 (예: "월!B14:F14")
+function formatSource(source) {
+    return source ? `${source.sheet}!${source.range}` : '';
+}
 
-    return products;
+// 블록에서 상품 추출 (onWarning: 건너뛰거나 바꿔 읽은 셀 경고)
+function extractProductsFromBlock(sheet, block, layout, sheetName, onWarning) {
+    return SheetLayout.readRows(sheet, block, layout.block, onWarning).map(row => ({
+        storeName: block.storeName,
+        productName: row.productName,
+        boxQty: row.boxQty,
+        afternoon: row.afternoon,
+        source: rowSource(sheetName, block, row)
+    }));
 }
 
-// 층별 시트에서 단품명 → 단품코드(바코드) 매핑 구축
-function buildProductCodeMap(workbook) {
-    const productCodeMap = {};
-    const skipSheets = new Set(['월', '화', '수', '목', '금']);
+// 층별 시트에서 단품명 → 단품코드(바코드) 수집 (층별 시트마다 출처 하나, 시트 순서대로)
+function harvestProductCodes(workbook, layout) {
+    const def = layout.productSheet;
+    const headerRow = SheetLayout.cell(def.headerCell).row;
+    const codeCol = SheetLayout.column(def.codeColumn);
+    const nameCol = SheetLayout.column(def.nameColumn);
+    const sources = [];
 
     for (const sheetName of workbook.SheetNames) {
-        // 요일 시트 및 특수문자(☆※★) 시작 시트 제외
-        if (skipSheets.has(sheetName)) continue;
-        if (/^[☆※★]/.test(sheetName)) continue;
+        if (!SheetLayout.isProductSheet(workbook, sheetName, def)) continue;
 
         const sheet = workbook.Sheets[sheetName];
-
-        // Row 7 C열에 "단품코드" 헤더가 있는지 확인
-        const headerC = ExcelCore.getCellValue(sheet, 7, 3);
-        if (!headerC || !String(headerC).includes('단품코드')) continue;
-
         const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+        const entries = [];
 
-        for (let row = 8; row <= range.e.r + 1; row++) {
-            const productCode = ExcelCore.getCellValue(sheet, row, 3);  // C열: 단품코드
-            const productName = ExcelCore.getCellValue(sheet, row, 4);  // D열: 단품명
+        for (let row = headerRow + 1; row <= range.e.r + 1; row++) {
+            const productCode = ExcelCore.getCellValue(sheet, row, codeCol);
+            const productName = ExcelCore.getCellValue(sheet, row, nameCol);
             if (productCode && productName) {
-                const name = String(productName).trim();
-                if (name && !productCodeMap[name]) {
-                    productCodeMap[name] = String(productCode).trim();
-                }
+                entries.push({ name: String(productName).trim(), code: String(productCode).trim() });
             }
         }
 
-        // 하나의 층별 시트에서 충분 (모두 같은 단품 목록)
-        if (Object.keys(productCodeMap).length > 0) break;
+        if (entries.length > 0) sources.push({ label: `${sheetName} 시트`, entries });
+    }
+
+    return sources;
+}
+
+// 단품코드 변환기: 층별 시트 코드 우선, 없는 단품은 단품 마스터 (productMaster: 단품 마스터 행, 없으면 층별 시트만)
+function createProductCodes(workbook, layout, productMaster) {
+    const sources = harvestProductCodes(workbook, layout);
+    if (productMaster && productMaster.length > 0) {
+        sources.push({ label: ProductCodes.masterLabel, entries: ProductRows.toEntries(productMaster) });
     }
+    return ProductCodes.create(sources);
+}
+
+function productCodeOf(productCodes, productName) {
+    const match = productCodes.resolve(productName);
+    return match ? match.code : '단품코드 매핑실패';
+}
+
+// 단품코드 충돌/매핑실패 추천 (결과의 productConflicts, productSuggestions)
+// - productConflicts: 같은 단품명에 코드가 여러 개 (층별 시트끼리, 단품 마스터 포함)
+// - productSuggestions: 매핑실패 단품명 → 유사 단품 [{ name, code, source, score }]
+function describeProductCodes(productCodes, data) {
+    const productConflicts = productCodes.conflicts().map(conflict => ({
+        '단품명': conflict.name,
+        '적용 단품코드': conflict.code,
+        '적용 출처': conflict.source,
+        '다른 단품코드': conflict.others.map(other => `${other.code} (${other.source})`).join(', ')
+    }));
+
+    const productSuggestions = {};
+    data.forEach(row => {
+        const name = row['품목명'];
+        if (row['단품코드'] !== '단품코드 매핑실패' || name in productSuggestions) return;
+        productSuggestions[name] = productCodes.suggest(name);
+    });
 
-    return productCodeMap;
+    return { productConflicts, productSuggestions };
 }
 
-// 각 요일 시트에서 F8 셀의 Box 합계 추출
-function getOriginalBoxTotal(sheet) {
-    // F8 셀 (1-indexed: row=8, col=6)
-    const val = ExcelCore.getCellValue(sheet, 8, 6);
-    return parseInt(val) || 0;
+// WASM 결과에 단품코드 변환기 적용 (WASM은 첫 번째 층별 시트 코드만 사용)
+function applyProductCodes(result, productCodes) {
+    result.data.forEach(row => {
+        row['단품코드'] = productCodeOf(productCodes, row['품목명']);
+    });
+    Object.assign(result, describeProductCodes(productCodes, result.data));
 }
 
-// JS 변환 함수
-function convertDataJS(originWorkbook, mapping) {
-    const dayNames = ['월', '화', '수', '목', '금'];
+// JS 변환 함수 (요일별 시트 레이아웃)
+// options.storeNameRules: 매장명 정규화 규칙 (없으면 기본 규칙)
+// options.layout: 레이아웃 정의 (없으면 기본 요일별 시트 레이아웃)
+// options.dates: 요일 → 'YYYY-MM-DD' (날짜 결정 결과, 없는 요일은 시트 날짜 셀 사용)
+// options.productMaster: 단품 마스터 행 (층별 시트에 없는 단품코드 보완)
+// options.onProgress: 진행 상황 ({ stage: 'converting', current, total, sheet })
+function convertDataJS(originWorkbook, mapping, options = {}) {
+    const layout = options.layout || getLayout('day-sheets');
+    const matcher = StoreMatcher.create(mapping, options.storeNameRules);
 
-    // 층별 시트에서 단품명 → 단품코드(바코드) 매핑
-    const productCodeMap = buildProductCodeMap(originWorkbook);
+    // 층별 시트 + 단품 마스터에서 단품명 → 단품코드(바코드)
+    const productCodes = createProductCodes(originWorkbook, layout, options.productMaster);
 
     const dayDates = {};
-    for (const day of dayNames) {
+    for (const day of layout.daySheets) {
         if (!originWorkbook.SheetNames.includes(day)) continue;
         const sheet = originWorkbook.Sheets[day];
-        dayDates[day] = extractDateFromSheet(sheet, day);
+        dayDates[day] = options.dates && options.dates[day]
+            ? parseDate(options.dates[day])
+            : extractDateFromSheet(sheet, day, layout.date);
     }
 
     const allData = [];
     const mappingFailures = [];
+    const warnings = [];
 
-    for (const [dayName, date] of Object.entries(dayDates)) {
+    for (const [index, [dayName, date]] of Object.entries(dayDates).entries()) {
+        if (options.onProgress) {
+            options.onProgress({ stage: 'converting', current: index + 1, total: Object.keys(dayDates).length, sheet: dayName });
+        }
         const sheet = originWorkbook.Sheets[dayName];
-        const storeBlocks = findStoreBlocks(sheet);
+        const storeBlocks = findStoreBlocks(sheet, layout, collectWarnings(warnings, dayName));
 
         for (const block of storeBlocks) {
             const storeName = block.storeName;
 
-            let code, systemName, isMappingFailed;
-            if (!mapping[storeName]) {
-                mappingFailures.push({ day: dayName, storeName });
-                code = 'MAPPING_FAILED';
-                systemName = '[매핑실패] ' + storeName;
-                isMappingFailed = true;
-            } else if (!mapping[storeName].code || !mapping[storeName].systemName) {
-                // 매핑 테이블에 있지만 코드나 사업장명이 비어있는 경우
+            const { code, systemName, isMappingFailed, matchedKey, matchRule } = lookupStore(matcher, storeName);
+            if (isMappingFailed) {
                 mappingFailures.push({ day: dayName, storeName });
-                code = 'MAPPING_FAILED';
-                systemName = '[매핑실패-빈값] ' + storeName;
-                isMappingFailed = true;
-            } else {
-                code = mapping[storeName].code;
-                systemName = mapping[storeName].systemName;
-                isMappingFailed = false;
             }
 
-            const products = extractProductsFromBlock(sheet, block);
+            const products = extractProductsFromBlock(sheet, block, layout, dayName, collectWarnings(warnings, dayName, storeName));
 
             for (const product of products) {
                 allData.push({
@@ -282,17 +399,21 @@ function convertDataJS(originWorkbook, mapping) {
                     '코드': code,
                     '원본 사업장명': storeName,
                     '사업장명': systemName,
-                    '단품코드': productCodeMap[product.productName] || '단품코드 매핑실패',
+                    '단품코드': productCodeOf(productCodes, product.productName),
                     '품목명': product.productName,
                     'Box 입수': product.boxQty,
                     '오후 진열': product.afternoon,
-                    '_isMappingFailed': isMappingFailed  // 내부 플래그 (출력에서 제외됨)
+                    '원본 위치': formatSource(product.source),
+                    '_isMappingFailed': isMappingFailed,  // 내부 플래그 (출력에서 제외됨)
+                    '_matchedKey': matchedKey,
+                    '_matchRule': matchRule,
+                    '_source': product.source
                 });
             }
         }
     }
 
-    // 검증 데이터 (각 요일 시트의 F8 셀 기준)
+    // 검증 데이터 (각 요일 시트의 합계 셀 기준)
     const validationData = [];
 
     for (const [dayName, date] of Object.entries(dayDates)) {
@@ -304,7 +425,7 @@ function convertDataJS(originWorkbook, mapping) {
             .filter(row => row['일자'] === dateStr)
             .reduce((sum, row) => sum + row['Box 입수'], 0);
 
-        const originalBox = getOriginalBoxTotal(sheet);
+        const originalBox = SheetLayout.readTotal(sheet, layout.total);
 
         let matchResult;
         if (originalBox > 0) {
@@ -321,7 +442,7 @@ function convertDataJS(originWorkbook, mapping) {
         
         // 매핑실패 데이터 수 (해당 요일의 매핑실패 행 수)
         const mappingFailureRows = allData
-            .filter(row => row['일자'] === dateStr && row['매핑실패'] === 'Y')
+            .filter(row => row['일자'] === dateStr && row['_isMappingFailed'])
             .length;
 
         // 단품코드 매핑실패 수
@@ -335,32 +456,20 @@ function convertDataJS(originWorkbook, mapping) {
             '추출 Box 합계': extractedBox,
             '원본 Box 합계': originalBox,
             '검증 결과': matchResult,
+            '요일 확인': checkSheetWeekday(sheet, dayName, dateStr, layout),
             '매핑실패 매장수': uniqueDayFailures.length,
             '매핑실패 데이터수': mappingFailureRows,
             '단품코드 매핑실패': productCodeFailureRows
         });
     }
 
-    // 매장별 상세
-    const storeDaily = {};
-    allData.forEach(row => {
-        const key = `${row['일자']}_${row['코드']}_${row['사업장명']}`;
-        if (!storeDaily[key]) {
-            storeDaily[key] = {
-                '일자': row['일자'],
-                '코드': row['코드'],
-                '사업장명': row['사업장명'],
-                'Box 합계': 0
-            };
-        }
-        storeDaily[key]['Box 합계'] += row['Box 입수'];
-    });
-
     return {
         data: allData,
         validation: validationData,
-        storeDaily: Object.values(storeDaily),
-        mappingFailures: [...new Set(mappingFailures.map(f => f.storeName))].map(s => ({ '매장명': s }))
+        storeDaily: buildStoreDaily(allData),
+        mappingFailures: [...new Set(mappingFailures.map(f => f.storeName))].map(s => ({ '매장명': s })),
+        warnings,
+        ...describeProductCodes(productCodes, allData)
     };
 }
 
@@ -368,166 +477,104 @@ function convertDataJS(originWorkbook, mapping) {
 // 이 포맷은 별도의 월/화/수/목/금 시트가 없고, ☆메뉴표 시트 하나에
 // 가로 방향으로 요일 블록이 배치됨. 한 매장만 다루며 운영 요일도 일부만 있을 수 있음.
 
-function detectHorizontalFormat(workbook) {
-    const hasMenuSheet = workbook.SheetNames.includes('☆메뉴표');
-    const hasDaySheets = ['월', '화', '수', '목', '금'].some(d => workbook.SheetNames.includes(d));
-    return hasMenuSheet && !hasDaySheets;
-}
-
-// ☆메뉴표 B3에서 주의 시작일(월요일) 추출
-// 예: "■ 현대그린푸드 현대차 간식서비스 양재 3F (기자실) 메뉴 (26.5.18~5.22)"
-function extractWeekStartFromMenuSheet(sheet) {
-    const b3 = ExcelCore.getCellValue(sheet, 3, 2);
-    if (!b3 || typeof b3 !== 'string') {
-        throw new Error('☆메뉴표 시트 B3 셀에 날짜 정보가 없습니다.');
-    }
-    const match = b3.match(/\((\d+)\.(\d+)\.(\d+)\s*~/);
-    if (!match) {
-        throw new Error(`☆메뉴표 B3에서 날짜를 인식할 수 없습니다: "${b3}"`);
-    }
-    let year = parseInt(match[1]);
-    if (year < 100) year += 2000;
-    const month = parseInt(match[2]);
-    const day = parseInt(match[3]);
-    return new Date(year, month - 1, day);
-}
-
-// 매장 단품 시트(A6 또는 D2/D6에 "※ <매장> :" 패턴이 있는 시트)에서 매장명 추출
-function findStoreNameFromFloorSheet(workbook) {
-    const skipSheets = new Set(['월', '화', '수', '목', '금']);
+// 단품코드 시트 상단의 "※ <매장> :" 셀에서 매장명 추출
+function findStoreNameFromFloorSheet(workbook, layout) {
+    const def = layout.store;
+    const pattern = new RegExp(def.pattern);
+    const cols = def.columns.map(SheetLayout.column);
 
     for (const sheetName of workbook.SheetNames) {
-        if (skipSheets.has(sheetName)) continue;
-        if (/^[☆※★]/.test(sheetName)) continue;
+        if (!SheetLayout.isProductSheet(workbook, sheetName, layout.productSheet)) continue;
 
         const sheet = workbook.Sheets[sheetName];
-        const headerC = ExcelCore.getCellValue(sheet, 7, 3);
-        if (!headerC || !String(headerC).includes('단품코드')) continue;
-
-        for (let row = 1; row <= 10; row++) {
-            for (const col of [1, 4]) { // A 또는 D
+        for (let row = 1; row <= def.maxRow; row++) {
+            for (const col of cols) {
                 const v = ExcelCore.getCellValue(sheet, row, col);
-                if (v && typeof v === 'string') {
-                    const storeName = extractStoreName(v);
-                    if (storeName) return storeName;
-                }
+                if (!v || typeof v !== 'string') continue;
+                const match = v.match(pattern);
+                if (match) return match[1].trim();
             }
         }
     }
     return null;
 }
 
-// ☆메뉴표 시트 안의 가로 요일 블록을 모두 찾음.
-// 블록은 "월요일"/"화요일"/.../"금요일" 라벨이 있는 셀로 시작.
-// 라벨 기준 상대 위치: NO(+0), 오후진열(+1), 종류(+2), 상품명(+3), BOX(+4)
-// 헤더: row+1, row+2 / 계: row+3 / 데이터 시작: row+4
+// 메뉴 시트 안의 가로 요일 블록을 모두 찾음 ("월요일"~"금요일" 라벨 셀이 앵커)
 //
 // 주의: ExcelJS는 가로 병합 셀의 값을 병합 범위 내 모든 셀에 복제해 둘 수 있음.
 // (예: B6:I6 병합셀의 "월요일" 라벨이 B6~I6 8개 셀 모두에 노출될 수 있음)
-// 따라서 같은 행의 좌측 셀이 동일 값이면 병합 내부로 간주하고 스킵해야 한다.
-function findHorizontalDayBlocks(sheet) {
-    const blocks = [];
-    const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
-    const dayRe = /^(월|화|수|목|금)요일$/;
-
-    for (let row = 1; row <= range.e.r + 1; row++) {
-        for (let col = 1; col <= range.e.c + 1; col++) {
-            const val = ExcelCore.getCellValue(sheet, row, col);
-            if (!val || typeof val !== 'string') continue;
-            const m = val.trim().match(dayRe);
-            if (!m) continue;
-
-            // 좌측 셀이 동일 값이면 병합 범위 내부 → 블록 시작점이 아니므로 스킵.
-            if (col > 1) {
-                const leftVal = ExcelCore.getCellValue(sheet, row, col - 1);
-                if (leftVal === val) continue;
-            }
-
-            blocks.push({
-                dayName: m[1],
-                row,
-                colNo: col,
-                colAfternoon: col + 1,
-                colProduct: col + 3,
-                colBox: col + 4,
-            });
-        }
-    }
-    return blocks;
+// 따라서 레이아웃의 skipMergedRepeat로 같은 행 좌측 셀이 동일 값이면 스킵
+function findHorizontalDayBlocks(sheet, layout, onWarning) {
+    return SheetLayout.findBlocks(sheet, layout.block, onWarning).map(block => ({
+        ...block,
+        dayName: block.match[1]
+    }));
 }
 
 // 가로 일자 블록에서 상품 추출
-function extractProductsFromHorizontalBlock(sheet, block, maxProducts = 30) {
-    const products = [];
-    const startRow = block.row + 4;
-    const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
-    const endRow = range.e.r + 1;
-
-    for (let row = startRow; row < startRow + maxProducts && row <= endRow; row++) {
-        const productName = ExcelCore.getCellValue(sheet, row, block.colProduct);
-        if (productName == null) continue;
-        // 상품명은 반드시 문자열이어야 함. 객체(수식 셀이 ExcelJS에서 객체로 노출되는 경우)
-        // 나 숫자(메뉴표 사이 footer 행)는 모두 스킵하여 잘못된 "[object Object]" / 숫자 row 방지.
-        if (typeof productName !== 'string') continue;
-        const pnStr = productName.trim();
-        if (pnStr === '') continue;
-
-        let boxQty = ExcelCore.getCellValue(sheet, row, block.colBox);
-        boxQty = parseInt(boxQty) || 0;
-        if (boxQty === 0) continue;
-
-        const afternoonVal = ExcelCore.getCellValue(sheet, row, block.colAfternoon);
-        const afternoon = afternoonVal ? String(afternoonVal).trim() : '';
-
-        products.push({
-            productName: pnStr,
-            boxQty,
-            afternoon,
-        });
-    }
-
-    return products;
+// 상품명은 반드시 문자열이어야 함 (textOnly). 객체(수식 셀이 ExcelJS에서 객체로 노출되는 경우)
+// 나 숫자(메뉴표 사이 footer 행)는 모두 스킵하여 잘못된 "[object Object]" / 숫자 row 방지.
+function extractProductsFromHorizontalBlock(sheet, block, layout, onWarning) {
+    return SheetLayout.readRows(sheet, block, layout.block, onWarning).map(row => ({
+        productName: row.productName,
+        boxQty: row.boxQty,
+        afternoon: row.afternoon,
+        source: rowSource(layout.sheet, block, row)
+    }));
 }
 
-function convertHorizontalFormatJS(originWorkbook, mapping) {
-    const menuSheet = originWorkbook.Sheets['☆메뉴표'];
+// options.layout: 레이아웃 정의 (없으면 기본 ☆메뉴표 레이아웃)
+// options.dates: 요일 → 'YYYY-MM-DD' (날짜 결정 결과, 없으면 주간 범위 시작일 기준)
+// options.productMaster: 단품 마스터 행 (층별 시트에 없는 단품코드 보완)
+// options.onProgress: 진행 상황 ({ stage: 'converting', current, total, sheet })
+function convertHorizontalFormatJS(originWorkbook, mapping, options = {}) {
+    const layout = options.layout || getLayout('menu-horizontal');
+    const menuSheet = originWorkbook.Sheets[layout.sheet];
     if (!menuSheet) {
-        throw new Error('☆메뉴표 시트를 찾을 수 없습니다.');
-    }
-
-    const weekStart = extractWeekStartFromMenuSheet(menuSheet);
-    const productCodeMap = buildProductCodeMap(originWorkbook);
-    const storeName = findStoreNameFromFloorSheet(originWorkbook) || '알수없는 매장';
-
-    let code, systemName, isMappingFailed;
-    if (!mapping[storeName]) {
-        code = 'MAPPING_FAILED';
-        systemName = '[매핑실패] ' + storeName;
-        isMappingFailed = true;
-    } else if (!mapping[storeName].code || !mapping[storeName].systemName) {
-        code = 'MAPPING_FAILED';
-        systemName = '[매핑실패-빈값] ' + storeName;
-        isMappingFailed = true;
-    } else {
-        code = mapping[storeName].code;
-        systemName = mapping[storeName].systemName;
-        isMappingFailed = false;
+        throw ConvertError.create('sheet-missing', `${layout.sheet} 시트를 찾을 수 없습니다.`, {
+            sheet: layout.sheet,
+            expected: layout.sheet,
+            found: originWorkbook.SheetNames.join(', ')
+        });
+    }
+
+    const productCodes = createProductCodes(originWorkbook, layout, options.productMaster);
+    const warnings = [];
+    let storeName = findStoreNameFromFloorSheet(originWorkbook, layout);
+    if (!storeName) {
+        storeName = '알수없는 매장';
+        warnings.push({
+            code: 'store-not-found',
+            sheet: '',
+            store: storeName,
+            cell: `${layout.store.columns.join(', ')}열 1~${layout.store.maxRow}행`,
+            value: '',
+            reason: `단품코드 시트에서 매장명 셀("※ <매장> :")을 찾지 못해 '${storeName}'으로 변환`
+        });
     }
 
-    const dayOffsets = { '월': 0, '화': 1, '수': 2, '목': 3, '금': 4 };
-    const blocks = findHorizontalDayBlocks(menuSheet);
+    const matcher = StoreMatcher.create(mapping, options.storeNameRules);
+    const { code, systemName, isMappingFailed, matchedKey, matchRule } = lookupStore(matcher, storeName);
+
+    const blocks = findHorizontalDayBlocks(menuSheet, layout, collectWarnings(warnings, layout.sheet));
+
+    // 요일 블록 날짜 = 주 시작일 + 요일 차이 (공휴일 주처럼 시작일이 월요일이 아니어도 요일 기준으로 계산)
+    const dates = options.dates || datesForWeek(
+        ExcelCore.formatDate(extractDateFromSheet(menuSheet, layout.sheet, layout.date)),
+        blocks.map(block => block.dayName)
+    );
 
     const allData = [];
     const mappingFailures = [];
     const validation = [];
 
-    for (const block of blocks) {
-        const offset = dayOffsets[block.dayName];
-        const date = new Date(weekStart);
-        date.setDate(date.getDate() + offset);
-        const dateStr = ExcelCore.formatDate(date);
+    for (const [index, block] of blocks.entries()) {
+        if (options.onProgress) {
+            options.onProgress({ stage: 'converting', current: index + 1, total: blocks.length, sheet: `${block.dayName}요일` });
+        }
+        const dateStr = dates[block.dayName];
 
-        const products = extractProductsFromHorizontalBlock(menuSheet, block);
+        const products = extractProductsFromHorizontalBlock(menuSheet, block, layout, collectWarnings(warnings, layout.sheet, storeName));
 
         if (isMappingFailed && products.length > 0) {
             mappingFailures.push({ day: block.dayName, storeName });
@@ -539,16 +586,20 @@ function convertHorizontalFormatJS(originWorkbook, mapping) {
                 '코드': code,
                 '원본 사업장명': storeName,
                 '사업장명': systemName,
-                '단품코드': productCodeMap[product.productName] || '단품코드 매핑실패',
+                '단품코드': productCodeOf(productCodes, product.productName),
                 '품목명': product.productName,
                 'Box 입수': product.boxQty,
                 '오후 진열': product.afternoon,
+                '원본 위치': formatSource(product.source),
                 '_isMappingFailed': isMappingFailed,
+                '_matchedKey': matchedKey,
+                '_matchRule': matchRule,
+                '_source': product.source,
             });
         }
 
-        // 검증: 계 행(block.row + 3)의 BOX 컬럼 값과 추출 합계 비교
-        const originalBox = parseInt(ExcelCore.getCellValue(menuSheet, block.row + 3, block.colBox)) || 0;
+        // 검증: 계 행(레이아웃 total 기준)의 BOX 컬럼 값과 추출 합계 비교
+        const originalBox = SheetLayout.readTotal(menuSheet, layout.total, block);
         const extractedBox = products.reduce((sum, p) => sum + p.boxQty, 0);
 
         let matchResult;
@@ -573,51 +624,392 @@ function convertHorizontalFormatJS(originWorkbook, mapping) {
             '추출 Box 합계': extractedBox,
             '원본 Box 합계': originalBox,
             '검증 결과': matchResult,
+            '요일 확인': checkWeekday(dateStr, [{ source: '블록', value: block.dayName }]),
             '매핑실패 매장수': dayFailureSet.size,
             '매핑실패 데이터수': mappingFailureRows,
             '단품코드 매핑실패': productCodeFailureRows,
         });
     }
 
-    // 매장별 상세
+    return {
+        data: allData,
+        validation,
+        storeDaily: buildStoreDaily(allData),
+        mappingFailures: [...new Set(mappingFailures.map(f => f.storeName))].map(s => ({ '매장명': s })),
+        warnings,
+        ...describeProductCodes(productCodes, allData),
+    };
+}
+
+// 레이아웃 방식별 JS 변환 함수
+const LAYOUT_HANDLERS = {
+    sheetPerDay: { convert: convertDataJS, mode: 'JS' },
+    blockPerDay: { convert: convertHorizontalFormatJS, mode: 'JS (가로블록)' }
+};
+
+// 판별된 레이아웃의 JS 핸들러로 변환
+function convertWithLayout(originWorkbook, mapping, layout, options = {}) {
+    const handler = LAYOUT_HANDLERS[layout.mode];
+    return {
+        result: handler.convert(originWorkbook, mapping, { ...options, layout }),
+        mode: handler.mode
+    };
+}
+
+// ========== 원본 위치 ==========
+
+// WASM 결과 행에 원본 위치 연결 (WASM은 셀 위치를 돌려주지 않음)
+// JS와 같은 방식으로 블록 행을 읽어 일자/매장/품목/수량이 같은 행에 순서대로 배정
+// warnings: 같은 순회에서 추출 경고 수집 (WASM은 경고를 돌려주지 않음, 생략 가능)
+function attachRowSources(data, originWorkbook, layout, dates, warnings) {
+    const queues = new Map();
+    for (const day of layout.daySheets) {
+        if (!originWorkbook.SheetNames.includes(day) || !dates[day]) continue;
+        const sheet = originWorkbook.Sheets[day];
+        for (const block of findStoreBlocks(sheet, layout, collectWarnings(warnings, day))) {
+            for (const product of extractProductsFromBlock(sheet, block, layout, day, collectWarnings(warnings, day, block.storeName))) {
+                const key = `${dates[day]}|${block.storeName}|${product.productName}|${product.boxQty}`;
+                if (!queues.has(key)) queues.set(key, []);
+                queues.get(key).push(product.source);
+            }
+        }
+    }
+
+    data.forEach(row => {
+        const queue = queues.get(`${row['일자']}|${row['원본 사업장명']}|${row['품목명']}|${row['Box 입수']}`);
+        const source = queue ? queue.shift() : undefined;
+        row['원본 위치'] = formatSource(source);
+        row['_source'] = source || null;
+    });
+}
+
+// 원본 추적 시트 (데이터 시트 행 번호별 원본 셀, 일괄 변환은 원본 파일 포함)
+function buildTraceRows(data) {
+    return data.map((row, index) => {
+        const source = row['_source'] || { cells: {} };
+        const trace = { '데이터 행': index + 2 };
+        if (row['원본 파일'] !== undefined) trace['원본 파일'] = row['원본 파일'];
+        return Object.assign(trace, {
+            '시트': source.sheet || '',
+            '블록': source.anchor || '',
+            '원본 행': source.row || '',
+            '품목 셀': source.cells.product || '',
+            'Box 셀': source.cells.box || '',
+            '오후 진열 셀': source.cells.afternoon || ''
+        });
+    });
+}
+
+// 원본 위치 주변 셀 (블록 첫 열~Box 열, 앵커 행과 해당 행 위아래 margin행)
+// 반환: { title, columns: ['B', ...], rows: [{ row, cells: [{ ref, value }] }], highlight: [셀 주소] }
+function readOriginCells(workbook, source, margin = 3) {
+    const sheet = workbook.Sheets[source.sheet];
+    if (!sheet) {
+        throw ConvertError.create('sheet-missing', `원본 시트를 찾을 수 없습니다: ${source.sheet}`, {
+            sheet: source.sheet,
+            expected: source.sheet,
+            found: workbook.SheetNames.join(', ')
+        });
+    }
+
+    const [start, end] = source.range.split(':').map(SheetLayout.cell);
+    const anchor = SheetLayout.cell(source.anchor);
+    const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+    const firstRow = Math.max(anchor.row + 1, source.row - margin);
+    const lastRow = Math.min(source.row + margin, range.e.r + 1);
+    const rowNumbers = [anchor.row];
+    for (let row = firstRow; row <= lastRow; row++) rowNumbers.push(row);
+
+    const cols = [];
+    for (let col = start.col; col <= end.col; col++) cols.push(col);
+
+    const display = value => {
+        if (value == null) return '';
+        if (value instanceof Date) return ExcelCore.formatDate(value);
+        return typeof value === 'object' ? '' : value;
+    };
+
+    return {
+        title: `${formatSource(source)} (블록 ${source.sheet}!${source.anchor})`,
+        columns: cols.map(col => ExcelCore._encodeCell(0, col - 1).replace(/\d+$/, '')),
+        rows: rowNumbers.map(row => ({
+            row,
+            cells: cols.map(col => ({
+                ref: ExcelCore._encodeCell(row - 1, col - 1),
+                value: display(ExcelCore.getCellValue(sheet, row, col))
+            }))
+        })),
+        highlight: Object.values(source.cells)
+    };
+}
+
+// ========== 검증 규칙 ==========
+
+// 원본 매장 블록 목록 (검증 규칙용, 요일별 시트 레이아웃만)
+// 반환: [{ date, day, storeName, total, ref }] (total: 레이아웃 blockTotal 셀 값, 숫자가 아니면 null)
+function readStoreBlocks(originWorkbook, layout, dates) {
+    if (layout.mode !== 'sheetPerDay') return [];
+
+    const blocks = [];
+    for (const day of layout.daySheets) {
+        if (!originWorkbook.SheetNames.includes(day) || !dates[day]) continue;
+        const sheet = originWorkbook.Sheets[day];
+        for (const block of findStoreBlocks(sheet, layout)) {
+            let total = null;
+            if (layout.blockTotal) {
+                const { row, col } = SheetLayout.totalCell(layout.blockTotal, block);
+                const value = ExcelCore.getCellValue(sheet, row, col);
+                if (typeof value === 'number') total = value;
+            }
+            blocks.push({
+                date: dates[day],
+                day,
+                storeName: block.storeName,
+                total,
+                ref: `${day}!${ExcelCore._encodeCell(block.row - 1, block.col - 1)}`
+            });
+        }
+    }
+    return blocks;
+}
+
+// WASM 결과와 JS가 찾은 매장 블록 비교 (블록이 있는데 0행이거나, 블록에 없는 매장이 나오면 불일치)
+// 반환: 불일치 이유 (일치하면 '')
+function checkWasmBlocks(result, blocks) {
+    if (blocks.length === 0) return '';
+    if (result.data.length === 0) {
+        return `매장 블록 ${blocks.length}개를 찾았지만 WASM 결과가 0행입니다`;
+    }
+    // WASM 날짜(파일명 기준) → 요일 시트
+    const days = new Map(result.validation.map(r => [r.date, r.day_name]));
+    const known = new Set(blocks.map(block => `${block.day}|${block.storeName}`));
+    const unknown = new Set(result.data
+        .map(r => `${days.get(r.date)}|${r.original_store_name}`)
+        .filter(key => !known.has(key)));
+    if (unknown.size > 0) {
+        return `매장 블록에 없는 매장 ${unknown.size}개 (${[...unknown].slice(0, 3).join(', ')})`;
+    }
+    return '';
+}
+
+// 변환 결과 검증 (미리보기 편집 반영, settings가 없으면 기본 설정)
+function validateResult(result, settings) {
+    const context = {
+        data: result.data,
+        validation: refreshValidation(result.validation, result.data),
+        blocks: result.blocks || [],
+        productConflicts: result.productConflicts || [],
+        productSuggestions: result.productSuggestions || {}
+    };
+    return ValidationEngine.run(context, HYUNDAI_RULES, settings);
+}
+
+// ========== 결과 재계산 (미리보기 편집 반영) ==========
+
+// 매장별 상세 (일자/코드/사업장명 기준 Box 합계)
+function buildStoreDaily(data) {
     const storeDaily = {};
-    allData.forEach(row => {
+    data.forEach(row => {
         const key = `${row['일자']}_${row['코드']}_${row['사업장명']}`;
         if (!storeDaily[key]) {
             storeDaily[key] = {
                 '일자': row['일자'],
                 '코드': row['코드'],
                 '사업장명': row['사업장명'],
-                'Box 합계': 0,
+                'Box 합계': 0
             };
         }
-        storeDaily[key]['Box 합계'] += row['Box 입수'];
+        storeDaily[key]['Box 합계'] += Number(row['Box 입수']) || 0;
     });
+    return Object.values(storeDaily);
+}
 
-    return {
-        data: allData,
-        validation,
-        storeDaily: Object.values(storeDaily),
-        mappingFailures: [...new Set(mappingFailures.map(f => f.storeName))].map(s => ({ '매장명': s })),
+// 데이터 행 기준으로 검증 시트의 추출 합계/검증 결과/단품코드 매핑실패 재계산
+// 원본 Box 합계는 원본 파일 값이므로 그대로 유지 (일괄 변환은 '원본 파일'까지 일치하는 행만 집계)
+function refreshValidation(validation, data) {
+    return validation.map(row => {
+        const dayRows = data.filter(r => r['일자'] === row['일자'] && r['원본 파일'] === row['원본 파일']);
+        const extractedBox = dayRows.reduce((sum, r) => sum + (Number(r['Box 입수']) || 0), 0);
+        const refreshed = {
+            ...row,
+            '추출 Box 합계': extractedBox,
+            '단품코드 매핑실패': dayRows.filter(r => r['단품코드'] === '단품코드 매핑실패').length
+        };
+
+        if (extractedBox !== row['추출 Box 합계'] && row['원본 Box 합계'] > 0) {
+            const originalBox = row['원본 Box 합계'];
+            refreshed['검증 결과'] = extractedBox === originalBox
+                ? '일치'
+                : `불일치 (차이: ${extractedBox - originalBox})`;
+        }
+        return refreshed;
+    });
+}
+
+// 매장 매칭 (원본 사업장명별로 어떤 매핑 항목/규칙으로 일치했는지, 일괄 변환은 원본 파일별)
+function buildStoreMatches(data) {
+    const matches = new Map();
+    data.forEach(row => {
+        const key = `${row['원본 파일'] || ''}_${row['원본 사업장명']}`;
+        if (matches.has(key)) return;
+        const match = {};
+        if (row['원본 파일'] !== undefined) match['원본 파일'] = row['원본 파일'];
+        Object.assign(match, {
+            '원본 사업장명': row['원본 사업장명'],
+            '매칭 항목': row['_matchedKey'] || '',
+            '매칭 규칙': row['_matchRule'] || '',
+            '코드': row['코드'],
+            '사업장명': row['사업장명']
+        });
+        matches.set(key, match);
+    });
+    return [...matches.values()];
+}
+
+// 데이터 행 기준으로 요일별 매핑실패 매장수/데이터수 재계산
+function recountMappingFailures(result) {
+    result.validation = result.validation.map(row => {
+        const failedRows = result.data.filter(r =>
+            r['일자'] === row['일자'] && r['원본 파일'] === row['원본 파일'] && r['_isMappingFailed']
+        );
+        return {
+            ...row,
+            '매핑실패 매장수': new Set(failedRows.map(r => r['원본 사업장명'])).size,
+            '매핑실패 데이터수': failedRows.length
+        };
+    });
+}
+
+// 미리보기에서 수정된 데이터 행 반영
+function applyDataEdit(row, column) {
+    if (column === '코드') {
+        row['_isMappingFailed'] = !row['코드'] || row['코드'] === 'MAPPING_FAILED';
+    }
+}
+
+// ========== 매핑실패 해결 ==========
+
+// 매핑실패 매장 목록 (매장별 행 수 포함)
+function getMappingFailureSummary(result) {
+    return result.mappingFailures.map(f => ({
+        storeName: f['매장명'],
+        rows: result.data.filter(r => r['원본 사업장명'] === f['매장명']).length
+    }));
+}
+
+// 해결값을 매핑 테이블에 추가하고 변환 결과의 매장 매칭을 다시 계산 (convert()가 WASM 결과에 쓰는 applyStoreMatcher)
+// 매핑실패 목록/집계와 매장별 상세까지 다시 만들어 같은 매핑으로 다시 변환한 결과와 같음
+// storeNameRules: 변환할 때 사용한 매장명 정규화 규칙 (새 항목에 정규화 규칙으로 일치하는 다른 매장도 함께 해결)
+function applyMappingResolution(result, mapping, storeName, entry, storeNameRules) {
+    mapping[storeName] = { code: entry.code, systemName: entry.systemName };
+    applyStoreMatcher(result, StoreMatcher.create(mapping, storeNameRules), { keepMatched: true });
+
+    result.data.forEach(row => {
+        if (row['원본 사업장명'] === storeName) row['_matchRule'] = '수동 지정';
+    });
+}
+
+// WASM 결과에 매장명 정규화 규칙/별칭 적용 (WASM은 정확히 일치하는 매장명만 매핑)
+// 원본 사업장명 기준으로 다시 매핑하고 매핑실패 목록/집계, 매장별 상세를 갱신
+// options.keepMatched: 일치한 매핑 키가 그대로인 행은 두기 (미리보기에서 고친 값 유지)
+function applyStoreMatcher(result, matcher, options = {}) {
+    const lookups = new Map();
+    const lookup = (storeName) => {
+        if (!lookups.has(storeName)) lookups.set(storeName, lookupStore(matcher, storeName));
+        return lookups.get(storeName);
     };
+
+    result.data.forEach(row => {
+        const resolved = lookup(row['원본 사업장명']);
+        if (options.keepMatched && row['_matchedKey'] === resolved.matchedKey) return;
+        row['코드'] = resolved.code;
+        row['사업장명'] = resolved.systemName;
+        row['_isMappingFailed'] = resolved.isMappingFailed;
+        row['_matchedKey'] = resolved.matchedKey;
+        row['_matchRule'] = resolved.matchRule;
+    });
+
+    result.mappingFailures = result.mappingFailures.filter(f => lookup(f['매장명']).isMappingFailed);
+    recountMappingFailures(result);
+    result.storeDaily = buildStoreDaily(result.data);
+}
+
+// 단품코드 매핑실패 품목 (미리보기 편집 반영, 추천은 변환 시 계산한 유사 단품)
+// 추천 예: "초코파이 (8801117, 95%, 단품 마스터)"
+function buildProductFailures(result) {
+    const suggestions = result.productSuggestions || {};
+    const failures = new Map();
+    result.data.forEach(row => {
+        if (row['단품코드'] !== '단품코드 매핑실패') return;
+        const name = row['품목명'];
+        if (!failures.has(name)) failures.set(name, { '품목명': name, '행 수': 0, '추천': '' });
+        failures.get(name)['행 수']++;
+    });
+    failures.forEach((failure, name) => {
+        failure['추천'] = (suggestions[name] || [])
+            .map(s => `${s.name} (${s.code}, ${Math.round(s.score * 100)}%, ${s.source})`)
+            .join(', ');
+    });
+    return [...failures.values()];
+}
+
+// 추출 경고 시트 행 (일괄 변환은 원본 파일 열 추가)
+function buildWarningRows(warnings) {
+    const batch = warnings.some(w => w.fileName);
+    return warnings.map(w => ({
+        ...(batch ? { '원본 파일': w.fileName } : {}),
+        '코드': w.code,
+        '구분': EXTRACTION_WARNINGS[w.code] || w.code,
+        '시트': w.sheet,
+        '셀': w.cell,
+        '매장': w.store || '',
+        '원본 값': w.value,
+        '내용': w.reason
+    }));
+}
+
+// 경고 코드별 건수 [{ code, label, count }] (처음 나온 순서)
+function countWarnings(warnings) {
+    const counts = new Map();
+    warnings.forEach(w => counts.set(w.code, (counts.get(w.code) || 0) + 1));
+    return [...counts.entries()].map(([code, count]) => ({ code, label: EXTRACTION_WARNINGS[code] || code, count }));
+}
+
+// 매핑 테이블 엑셀 생성 (코드 / 원본 사업장명 / 사업장명, 신규 항목은 뒤에 추가됨)
+function createMappingWorkbook(mapping) {
+    return MappingRows.toWorkbook(MappingRows.fromMapping(mapping));
 }
 
 // 결과 엑셀 생성 (JS)
-function createResultWorkbookJS(result) {
+// 검증/매장별 상세는 (편집되었을 수 있는) 데이터 행으로부터 다시 계산
+// options.validationSettings: 검증 규칙 설정 (없으면 기본 설정)
+// options.previous: 이전 결과 (loadPreviousResult, 있으면 변경사항 시트 추가)
+// options.traceSheet: 원본 추적 시트 추가 (xlsx에서 숨김 시트)
+function createResultWorkbookJS(result, options = {}) {
     const workbook = ExcelCore.createWorkbook();
+    const validation = refreshValidation(result.validation, result.data);
+    const report = validateResult(result, options.validationSettings);
 
     ExcelCore.addSheet(workbook, result.data, '데이터');
     
-    // 검증 시트: 매핑실패가 없으면 관련 열 제거
-    const hasMappingFailures = result.validation.some(
+    // 검증 시트: 매핑실패/요일 불일치가 없으면 관련 열 제거
+    const hasMappingFailures = validation.some(
         row => row['매핑실패 매장수'] > 0 || row['매핑실패 데이터수'] > 0
     );
-    const hasProductCodeFailures = result.validation.some(
+    const hasProductCodeFailures = validation.some(
         row => row['단품코드 매핑실패'] > 0
     );
+    const hasWeekdayMismatch = validation.some(
+        row => row['요일 확인'] && row['요일 확인'] !== '일치'
+    );
 
-    let validationData = result.validation.map(row => {
+    let validationData = validation.map(row => {
         const filtered = { ...row };
+
+        // 판정: 해당 요일(일괄 변환은 같은 원본 파일)의 규칙 위반 중 가장 높은 심각도
+        const dayIssues = report.issues.filter(issue => issue.date === row['일자'] && issue.fileName === row['원본 파일']);
+        filtered['판정'] = ValidationEngine.statusLabels[ValidationEngine.worstSeverity(dayIssues.map(issue => issue.severity))];
+
         if (!hasMappingFailures) {
             delete filtered['매핑실패 매장수'];
             delete filtered['매핑실패 데이터수'];
@@ -625,51 +1017,156 @@ function createResultWorkbookJS(result) {
         if (!hasProductCodeFailures) {
             delete filtered['단품코드 매핑실패'];
         }
+        if (!hasWeekdayMismatch) {
+            delete filtered['요일 확인'];
+        }
         return filtered;
     });
     
     ExcelCore.addSheet(workbook, validationData, '검증');
-    ExcelCore.addSheet(workbook, result.storeDaily, '매장별 상세');
+    ExcelCore.addSheet(workbook, ValidationEngine.summaryRows(report), '검증 요약');
+    if (report.issues.length > 0) {
+        ExcelCore.addSheet(workbook, ValidationEngine.issueRows(report), '검증 상세');
+    }
+    ExcelCore.addSheet(workbook, buildStoreDaily(result.data), '매장별 상세');
+    ExcelCore.addSheet(workbook, buildStoreMatches(result.data), '매장 매칭');
 
     if (result.mappingFailures.length > 0) {
         ExcelCore.addSheet(workbook, result.mappingFailures, '매핑실패 매장 리스트');
     }
 
+    // 단품코드 매핑실패 (품목별 행 수와 유사 단품 추천), 단품코드 충돌
+    const productFailures = buildProductFailures(result);
+    if (productFailures.length > 0) {
+        ExcelCore.addSheet(workbook, productFailures, '단품코드 매핑실패');
+    }
+    if (result.productConflicts && result.productConflicts.length > 0) {
+        ExcelCore.addSheet(workbook, result.productConflicts, '단품코드 충돌');
+    }
+
+    // 추출 경고 (건너뛰거나 바꿔 읽은 원본 셀)
+    if (result.warnings && result.warnings.length > 0) {
+        ExcelCore.addSheet(workbook, buildWarningRows(result.warnings), '경고');
+    }
+
+    // 이전 결과 대비 변경사항 (요일별 매장/품목/Box 입수)
+    if (options.previous) {
+        const changes = compareWeeks(options.previous, result.data);
+        ExcelCore.addSheet(workbook, changes.length > 0 ? changes : [{ '변경': describeChanges(changes) }], '변경사항');
+    }
+
+    // 일괄 변환 결과
+    if (result.sources) {
+        ExcelCore.addSheet(workbook, buildBatchSummary(result, options.validationSettings), '배치 요약');
+    }
+
+    if (options.traceSheet && result.data.length > 0) {
+        ExcelCore.addSheet(workbook, buildTraceRows(result.data), '원본 추적', { hidden: true });
+    }
+
     return workbook;
 }
 
 // ========== 메인 변환 로직 ==========
-async function convert() {
+
+// 매핑 테이블 파일을 한 번만 읽어 원본 바이트(WASM용)와 파싱 결과(JS용)를 함께 보관
+async function loadMappingSource(file) {
+    const data = await readFileAsArrayBuffer(file);
+    const mapping = parseMappingTable(await ExcelCore.readBuffer(data));
+    return { name: file.name, data, mapping };
+}
+
+// 원본 파일 검사: 형식 판별과 날짜 후보 수집 (변환 전에 화면에 표시, 변환 시 재사용)
+// 반환: { originData, originWorkbook, detection, dateCandidates } (형식 판별 실패 시 dateCandidates는 null)
+// onProgress: 진행 상황 ({ stage: 'reading' } → { stage: 'parsing', current, total, sheet })
+async function inspectOrigin(originFile, onProgress) {
+    if (onProgress) onProgress({ stage: 'reading' });
+    const originData = await readFileAsArrayBuffer(originFile);
+    const originWorkbook = await ExcelCore.readBuffer(originData, onProgress);
+    const detection = detectLayout(originWorkbook);
+    const dateCandidates = detection.layout
+        ? collectDateCandidates(originFile.name, originWorkbook, detection.layout)
+        : null;
+    return { originData, originWorkbook, detection, dateCandidates };
+}
+
+// 원본 파일 1개 변환. 변환 결과(JS 형식)만 반환하며, 다운로드는 미리보기 확인 후 별도로 수행
+// mapping은 매핑실패 해결 시 변경되므로 변환마다 복사본 사용
+// options.storeNameRules: 매장명 정규화 규칙
+// options.inspection: inspectOrigin 결과 (없으면 새로 검사)
+// options.dateChoice: 날짜 선택 ({ source } 또는 { source: 'override', weekStart }, 없으면 기본 후보)
+// options.onProgress: 진행 상황 (읽기/시트 파싱/변환 단계)
+// options.engine: 'auto' (기본, 가능하면 WASM) / 'wasm' (WASM으로 처리할 수 없으면 오류) / 'js'
+async function convert(originFile, mappingSource, options = {}) {
     const startTime = performance.now();
+    const outputFileName = originFile.name.replace(/\.xlsx?$/i, '_result.xlsx');
+    const mapping = { ...mappingSource.mapping };
+
+    // 형식 판별 (모든 레이아웃 평가, 신뢰도가 낮으면 0행 결과 대신 판별 근거와 함께 오류)
+    const inspection = options.inspection || await inspectOrigin(originFile, options.onProgress);
+    const { originData, originWorkbook, detection } = inspection;
+    if (!detection.layout) {
+        throw createDetectionError(detection);
+    }
+    const layout = detection.layout;
+
+    // 날짜 결정 (파일명/시트 날짜 셀 후보 중 선택 또는 직접 입력, 두 엔진에 같은 날짜 적용)
+    const dates = resolveDates(inspection.dateCandidates, options.dateChoice);
+    if (!dates) {
+        throw ConvertError.create('date-unresolved', '날짜를 결정할 수 없습니다. 파일명이나 시트에 날짜가 없으면 주 시작일을 직접 입력하세요.', {
+            cell: layout.date.cell,
+            expected: '파일명 날짜, 시트 날짜 셀 또는 주 시작일',
+            found: '날짜 후보 없음'
+        });
+    }
 
-    if (wasmReady) {
-        // WASM 사용 (파싱은 Rust, Excel 생성은 JS)
-        const [originData, mappingData] = await Promise.all([
-            readFileAsArrayBuffer(originFile),
-            readFileAsArrayBuffer(mappingFile)
-        ]);
-
-        const result = await convertWithWasm(originData, mappingData, originFile.name);
-
-        // 표준 포맷이 아닌 경우(예: ☆메뉴표 단일 시트) WASM은 0행을 반환함.
-        // 이 경우에만 가로 블록 JS 핸들러로 fallback (표준 포맷은 절대 영향 없음).
-        if (result.data.length === 0) {
-            const originWorkbook = await ExcelCore.readFile(originFile);
-            if (detectHorizontalFormat(originWorkbook)) {
-                const mapping = parseMappingTable(await ExcelCore.readFile(mappingFile));
-                const horizontalResult = convertHorizontalFormatJS(originWorkbook, mapping);
-                const workbook = createResultWorkbookJS(horizontalResult);
-                const outputFileName = originFile.name.replace(/\.xlsx?$/i, '_result.xlsx');
-                await ExcelCore.downloadExcel(workbook, outputFileName);
-                const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
-                return { count: horizontalResult.data.length, elapsed, mode: 'JS (가로블록)' };
-            }
+    // WASM은 xlsx만 읽으므로 원본/매핑 테이블 중 하나라도 .xls면 JS로 변환
+    const xlsxOnly = ExcelCore.detectFormat(originData) === 'xlsx' && ExcelCore.detectFormat(mappingSource.data) === 'xlsx';
+    const engine = options.engine || 'auto';
+    if (engine === 'wasm') {
+        const reason = !wasmReady ? 'WASM 모듈을 불러오지 못했습니다'
+            : !xlsxOnly ? '원본/매핑 테이블이 .xls입니다'
+            : layout.mode !== 'sheetPerDay' ? `${layout.name} 양식은 JS로만 변환합니다` : '';
+        if (reason) {
+            throw ConvertError.create('wasm-unavailable', `WASM 엔진으로 변환할 수 없습니다: ${reason}`, {
+                expected: 'WASM 모듈, xlsx 원본/매핑 테이블, 요일별 시트 양식',
+                found: reason
+            });
         }
-
-        // WASM 결과를 JS 형식으로 변환하여 Excel 생성
-        const jsResult = {
+    }
+    // WASM 사용 (파싱은 Rust, Excel 생성은 JS). WASM은 요일별 시트 레이아웃만 처리
+    let wasm = null;          // { result, blocks }
+    let wasmMismatch = '';    // WASM 결과가 매장 블록과 맞지 않은 이유 (auto는 JS로 다시 변환)
+    if (engine !== 'js' && wasmReady && xlsxOnly && layout.mode === 'sheetPerDay') {
+        if (options.onProgress) options.onProgress({ stage: 'converting', current: 1, total: 1, sheet: 'WASM' });
+        const result = await convertWithWasm(originData, mappingSource.data, originFile.name, layout);
+
+        // 빈 결과를 성공으로 받아들이지 않음: wasm 지정이면 오류, auto면 JS로 다시 변환
+        const blocks = readStoreBlocks(originWorkbook, layout, dates.dates);
+        wasmMismatch = checkWasmBlocks(result, blocks);
+        if (wasmMismatch && engine === 'wasm') {
+            throw ConvertError.create('wasm-failed', `WASM 결과가 원본과 맞지 않습니다: ${wasmMismatch}`, {
+                expected: `매장 블록 ${blocks.length}개의 데이터`,
+                found: `${result.data.length}행`
+            });
+        }
+        if (wasmMismatch) {
+            console.warn(`WASM 결과 불일치, JS로 다시 변환: ${wasmMismatch}`);
+        } else {
+            wasm = { result, blocks };
+        }
+    }
+    if (wasm) {
+        const { result, blocks } = wasm;
+
+        // WASM 날짜(파일명 기준) → 결정된 요일별 날짜
+        const wasmDates = new Map(result.validation.map(r => [r.date, dates.dates[r.day_name] || r.date]));
+        const redate = date => wasmDates.get(date) || date;
+
+        // WASM 결과를 JS 형식으로 변환하여 Excel 생성
+        const jsResult = {
             data: result.data.map(r => ({
-                '일자': r.date,
+                '일자': redate(r.date),
                 '코드': r.code,
                 '원본 사업장명': r.original_store_name,
                 '사업장명': r.store_name,
@@ -677,201 +1174,1454 @@ async function convert() {
                 '품목명': r.product_name,
                 'Box 입수': r.box_qty,
                 '오후 진열': r.afternoon || '',
+                '원본 위치': '',
                 '_isMappingFailed': r.mapping_failed === 'Y'  // 내부 플래그 (출력에서 제외됨)
             })),
             validation: result.validation.map(r => ({
-                '일자': r.date,
+                '일자': redate(r.date),
                 '요일': r.day_name,
                 '추출 Box 합계': r.extracted_box,
                 '원본 Box 합계': r.original_box,
                 '검증 결과': r.result,
+                '요일 확인': checkSheetWeekday(originWorkbook.Sheets[r.day_name], r.day_name, redate(r.date), layout),
                 '매핑실패 매장수': r.mapping_failure_stores,
                 '매핑실패 데이터수': r.mapping_failure_rows,
                 '단품코드 매핑실패': r.product_code_failures
             })),
             storeDaily: result.store_daily.map(r => ({
-                '일자': r.date,
+                '일자': redate(r.date),
                 '코드': r.code,
                 '사업장명': r.store_name,
                 'Box 합계': r.box_sum
             })),
-            mappingFailures: result.mapping_failures.map(s => ({ '매장명': s }))
+            mappingFailures: result.mapping_failures.map(s => ({ '매장명': s })),
+            blocks,
+            warnings: []
         };
-
-        const workbook = createResultWorkbookJS(jsResult);
-        const outputFileName = originFile.name.replace(/\.xlsx?$/i, '_result.xlsx');
-        await ExcelCore.downloadExcel(workbook, outputFileName);
+        applyStoreMatcher(jsResult, StoreMatcher.create(mapping, options.storeNameRules));
+        applyProductCodes(jsResult, createProductCodes(originWorkbook, layout, options.productMaster));
+        attachRowSources(jsResult.data, originWorkbook, layout, dates.dates, jsResult.warnings);
 
         const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
-        return { count: result.data.length, elapsed, mode: 'WASM' };
+        return { result: jsResult, mapping, outputFileName, count: result.data.length, elapsed, mode: 'WASM', detection, dates };
     } else {
-        // JS Fallback
-        const [originWorkbook, mappingWorkbook] = await Promise.all([
-            ExcelCore.readFile(originFile),
-            ExcelCore.readFile(mappingFile)
-        ]);
+        // JS (WASM 미지원, 요일별 시트 외 레이아웃 또는 WASM 결과 불일치)
+        const { result, mode } = convertWithLayout(originWorkbook, mapping, layout, { ...options, dates: dates.dates });
+        result.blocks = readStoreBlocks(originWorkbook, layout, dates.dates);
+        if (wasmMismatch) {
+            result.warnings.push({ code: 'wasm-failed', sheet: '', store: '', cell: '', value: '', reason: wasmMismatch });
+        }
 
-        const mapping = parseMappingTable(mappingWorkbook);
+        const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
+        return {
+            result,
+            mapping,
+            outputFileName,
+            count: result.data.length,
+            elapsed,
+            mode,
+            detection,
+            dates
+        };
+    }
+}
 
-        // 표준 포맷이 아닌 가로 블록 포맷이면 신규 핸들러 사용 (표준은 그대로 convertDataJS).
-        const useHorizontal = detectHorizontalFormat(originWorkbook);
-        const result = useHorizontal
-            ? convertHorizontalFormatJS(originWorkbook, mapping)
-            : convertDataJS(originWorkbook, mapping);
-        const workbook = createResultWorkbookJS(result);
+// ========== 엔진 비교 ==========
+// 같은 원본/매핑/옵션으로 JS와 WASM을 각각 실행해 데이터/검증/매장별 상세를 필드별로 비교 (JS 결과 기준)
+// WASM으로 처리할 수 없는 파일(.xls, 요일별 시트 외 레이아웃)이면 오류
+async function checkParity(originFile, mappingSource, options = {}) {
+    const inspection = options.inspection || await inspectOrigin(originFile, options.onProgress);
+    const js = await convert(originFile, mappingSource, { ...options, inspection, engine: 'js' });
+    const wasm = await convert(originFile, mappingSource, { ...options, inspection, engine: 'wasm' });
+    const diff = diffResults(js.result, wasm.result);
 
-        const outputFileName = originFile.name.replace(/\.xlsx?$/i, '_result.xlsx');
-        await ExcelCore.downloadExcel(workbook, outputFileName);
+    const engine = ({ mode, count, elapsed }) => ({ mode, count, elapsed });
+    return {
+        fileName: originFile.name,
+        js: engine(js),
+        wasm: engine(wasm),
+        equal: diff.equal,
+        text: describeDiff(diff),
+        sheets: diff.sheets.map(({ sheet, expected, actual, differences }) => ({ sheet, js: expected, wasm: actual, differences })),
+        differences: diff.differences.map(({ sheet, key, field, expected, actual }) => ({ sheet, key, field, js: expected, wasm: actual }))
+    };
+}
 
-        const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
-        return { count: result.data.length, elapsed, mode: useHorizontal ? 'JS (가로블록)' : 'JS' };
+// ========== 일괄 변환 ==========
+// 여러 원본 파일을 같은 매핑 테이블로 변환하여 하나의 결과로 합침 ('원본 파일' 컬럼 추가)
+// 파일별 결과(zip)는 합친 결과를 원본 파일 기준으로 다시 나누어 생성하므로 미리보기 편집이 그대로 반영됨
+// onProgress: 파일별 진행 상황 (convert 진행 상황 + { fileIndex, fileCount, fileName })
+async function convertBatch(files, mappingSource, onProgress, options = {}) {
+    const startTime = performance.now();
+    const mapping = { ...mappingSource.mapping };
+    const combined = {
+        data: [],
+        validation: [],
+        storeDaily: [],
+        mappingFailures: [],
+        blocks: [],
+        productConflicts: [],
+        productSuggestions: {},
+        warnings: [],
+        sources: []
+    };
+
+    const nameCounts = new Map();
+
+    for (const [index, file] of files.entries()) {
+        const fileProgress = progress => {
+            if (onProgress) onProgress({ ...progress, fileIndex: index, fileCount: files.length, fileName: file.name });
+        };
+
+        // 다른 폴더의 같은 파일명은 구분되도록 번호 부여 (예: 원본 (2).xlsx)
+        const count = (nameCounts.get(file.name) || 0) + 1;
+        nameCounts.set(file.name, count);
+        const fileName = count > 1 ? file.name.replace(/(\.xlsx?)?$/i, ` (${count})$1`) : file.name;
+
+        const source = { fileName, mode: '', format: '', dateSource: '', error: '', errorInfo: null, mappingFailures: [] };
+
+        try {
+            const inspection = await inspectOrigin(file, fileProgress);
+            const { result, mode, detection, dates } = await convert(file, mappingSource, {
+                ...options,
+                inspection,
+                onProgress: fileProgress
+            });
+            source.mode = mode;
+            source.format = describeDetection(detection);
+            source.dateSource = dates.label + (inspection.dateCandidates.conflict ? ' (후보 불일치)' : '');
+            source.mappingFailures = result.mappingFailures.map(f => f['매장명']);
+            result.data.forEach(row => combined.data.push({ '원본 파일': fileName, ...row }));
+            result.validation.forEach(row => combined.validation.push({ '원본 파일': fileName, ...row }));
+            result.blocks.forEach(block => combined.blocks.push({ fileName, ...block }));
+            result.productConflicts.forEach(row => combined.productConflicts.push({ '원본 파일': fileName, ...row }));
+            result.warnings.forEach(warning => combined.warnings.push({ fileName, ...warning }));
+            Object.assign(combined.productSuggestions, result.productSuggestions);
+        } catch (error) {
+            console.error(`[${fileName}]`, error);
+            source.error = error.message;
+            source.errorInfo = { fileName, ...ConvertError.describe(error) };
+            if (error.detection) source.format = '판별 불가';
+        }
+
+        combined.sources.push(source);
     }
+
+    const failedStores = new Set(combined.sources.flatMap(s => s.mappingFailures));
+    combined.mappingFailures = [...failedStores].map(s => ({ '매장명': s }));
+    combined.storeDaily = buildStoreDaily(combined.data);
+
+    const baseName = files[0].name.replace(/\.xlsx?$/i, '');
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
+    const failedFiles = combined.sources.filter(s => s.error).length;
+
+    return {
+        result: combined,
+        mapping,
+        outputFileName: `${baseName}_외${files.length - 1}건_result.xlsx`,
+        zipFileName: `${baseName}_외${files.length - 1}건_result.zip`,
+        count: combined.data.length,
+        elapsed,
+        mode: `일괄 ${files.length}개 파일` + (failedFiles > 0 ? `, 실패 ${failedFiles}개` : ''),
+        batch: true
+    };
 }
 
-// UI 초기화
-function initUI(container) {
-    container.innerHTML = `
-        <div class="converter-form">
-            <div class="wasm-status" id="hyundai-wasm-status"></div>
+// 파일별 처리 결과 요약 (배치 요약 시트)
+// validationSettings: 검증 규칙 설정 (파일별 '검증 판정')
+function buildBatchSummary(result, validationSettings) {
+    const validation = refreshValidation(result.validation, result.data);
+    const report = validateResult(result, validationSettings);
+
+    return result.sources.map(source => {
+        const rows = result.data.filter(r => r['원본 파일'] === source.fileName);
+        const days = validation.filter(v => v['원본 파일'] === source.fileName);
+        const mismatchDays = days.filter(v => String(v['검증 결과']).startsWith('불일치')).length;
+        const weekdayMismatchDays = days.filter(v => v['요일 확인'] && v['요일 확인'] !== '일치').length;
+
+        let status;
+        if (source.error) {
+            status = '오류';
+        } else if (mismatchDays > 0) {
+            status = `불일치 ${mismatchDays}일`;
+        } else if (weekdayMismatchDays > 0) {
+            status = `요일 불일치 ${weekdayMismatchDays}일`;
+        } else if (rows.length === 0) {
+            status = '데이터 없음';
+        } else {
+            status = '정상';
+        }
 
-            <div class="file-input-wrapper">
-                <label>1. 원본 엑셀 파일</label>
-                <input type="file" id="hyundai-originFile" class="file-input" accept=".xlsx,.xls">
-                <div class="file-name" id="hyundai-originFileName"></div>
-            </div>
+        return {
+            '원본 파일': source.fileName,
+            '처리 방식': source.mode,
+            '형식': source.format,
+            '날짜 기준': source.dateSource,
+            '추출 건수': rows.length,
+            'Box 합계': rows.reduce((sum, r) => sum + (Number(r['Box 입수']) || 0), 0),
+            '검증 요일수': days.length,
+            '검증 상태': status,
+            '검증 판정': source.error ? '' : ValidationEngine.describe(report.issues.filter(issue => issue.fileName === source.fileName)),
+            '매핑실패 매장수': new Set(rows.filter(r => r['_isMappingFailed']).map(r => r['원본 사업장명'])).size,
+            '오류': source.error
+        };
+    });
+}
+
+// 일괄 결과에서 원본 파일 하나의 결과만 추출 ('원본 파일' 컬럼 제거)
+function extractSourceResult(result, source) {
+    const stripSource = ({ '원본 파일': _fileName, ...row }) => row;
+    const unresolved = new Set(result.mappingFailures.map(f => f['매장명']));
+
+    const data = result.data.filter(r => r['원본 파일'] === source.fileName).map(stripSource);
+    return {
+        data,
+        validation: result.validation.filter(r => r['원본 파일'] === source.fileName).map(stripSource),
+        storeDaily: buildStoreDaily(data),
+        mappingFailures: source.mappingFailures.filter(s => unresolved.has(s)).map(s => ({ '매장명': s })),
+        blocks: (result.blocks || []).filter(b => b.fileName === source.fileName).map(({ fileName: _fileName, ...block }) => block),
+        productConflicts: (result.productConflicts || []).filter(r => r['원본 파일'] === source.fileName).map(stripSource),
+        productSuggestions: result.productSuggestions,
+        warnings: (result.warnings || []).filter(w => w.fileName === source.fileName).map(({ fileName: _fileName, ...warning }) => warning)
+    };
+}
+
+// 파일별 결과(출력 프로필 형식) + 배치 요약(xlsx) zip
+async function buildBatchZip(conversion, profile, validationSettings, onProgress) {
+    const files = [];
+    const sources = conversion.result.sources.filter(source => !source.error);
+    for (const [index, source] of sources.entries()) {
+        if (onProgress) onProgress({ stage: 'building', current: index + 1, total: sources.length, sheet: source.fileName });
+        const workbook = createResultWorkbookJS(extractSourceResult(conversion.result, source), {
+            validationSettings,
+            traceSheet: profile.traceSheet
+        });
+        if (onProgress) onProgress({ stage: 'writing', current: index + 1, total: sources.length, sheet: source.fileName });
+        files.push({
+            name: OutputProfiles.fileName(source.fileName.replace(/\.xlsx?$/i, '_result.xlsx'), profile),
+            data: await OutputProfiles.write(workbook, profile, DATA_COLUMNS)
+        });
+    }
+
+    const summaryWorkbook = ExcelCore.createWorkbook();
+    ExcelCore.addSheet(summaryWorkbook, buildBatchSummary(conversion.result, validationSettings), '배치 요약');
+    files.push({ name: '배치요약.xlsx', data: await ExcelCore.writeExcel(summaryWorkbook) });
+
+    return ExcelCore.createZip(files);
+}
+
+// 다운로드 파일 생성 (미리보기 편집 내용 반영) → { fileName, blob }
+// batchOutput: 일괄 변환 결과 형식 ('combined' 통합 파일 / 'zip' 파일별 결과)
+// profile: 출력 프로필 (없으면 기본 프로필)
+// validationSettings: 검증 규칙 설정 (검증 시트 판정/요약/상세)
+// conversion.previous: 이전 결과 (통합 파일에만 변경사항 시트 추가)
+async function buildDownload(conversion, batchOutput, profile, validationSettings, onProgress) {
+    profile = profile || OutputProfiles.createDefault(DATA_COLUMNS);
+    if (conversion.batch && batchOutput === 'zip') {
+        return { fileName: conversion.zipFileName, blob: await buildBatchZip(conversion, profile, validationSettings, onProgress) };
+    }
+
+    if (onProgress) onProgress({ stage: 'building' });
+    const workbook = createResultWorkbookJS(conversion.result, {
+        validationSettings,
+        previous: conversion.previous,
+        traceSheet: profile.traceSheet
+    });
+    if (onProgress) onProgress({ stage: 'writing' });
+    return {
+        fileName: OutputProfiles.fileName(conversion.outputFileName, profile),
+        blob: await OutputProfiles.write(workbook, profile, DATA_COLUMNS)
+    };
+}
+
+// 진단 보고서용 입력 파일 정보 { role, name, size, format, sheets, readError } (시트 구조만, 셀 값 제외)
+// workbook: 이미 읽은 워크북 (없으면 다시 읽고, 읽을 수 없으면 readError)
+async function describeInputFile(role, name, buffer, workbook = null) {
+    const info = { role, name, size: buffer.byteLength, format: ExcelCore.detectFormat(buffer), sheets: [], readError: '' };
+    try {
+        info.sheets = ExcelCore.workbookInfo(workbook || await ExcelCore.readBuffer(buffer));
+    } catch (error) {
+        info.readError = error.message;
+    }
+    return info;
+}
+
+// ========== 작업 (워커/메인 스레드 공통) ==========
+// hyundai-worker.js에서 실행하며, 워커를 쓸 수 없으면 메인 스레드에서 같은 작업을 직접 실행
+// 원본 검사 결과(파싱된 워크북)는 작업을 실행한 쪽에 두고, 같은 파일을 변환할 때 재사용
+let lastInspection = null;  // { key, inspection }
+
+function fileKey(file) {
+    return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
+const HYUNDAI_TASKS = {
+    // 형식 판별과 날짜 후보만 반환 (워크북은 보관)
+    async inspect({ file }, onProgress) {
+        const inspection = await inspectOrigin(file, onProgress);
+        lastInspection = { key: fileKey(file), inspection };
+        return { detection: inspection.detection, dateCandidates: inspection.dateCandidates };
+    },
+
+    convert({ file, mappingSource, options }, onProgress) {
+        const inspection = lastInspection && lastInspection.key === fileKey(file) ? lastInspection.inspection : null;
+        return convert(file, mappingSource, { ...options, inspection, onProgress });
+    },
+
+    convertBatch({ files, mappingSource, options }, onProgress) {
+        lastInspection = null;
+        return convertBatch(files, mappingSource, onProgress, options);
+    },
+
+    // 원본 위치 주변 셀 (검사한 워크북 재사용, 없으면 다시 읽음)
+    async peekOrigin({ file, source }, onProgress) {
+        if (!lastInspection || lastInspection.key !== fileKey(file)) {
+            lastInspection = { key: fileKey(file), inspection: await inspectOrigin(file, onProgress) };
+        }
+        return readOriginCells(lastInspection.inspection.originWorkbook, source);
+    },
+
+    // JS/WASM 엔진 비교 (검사한 워크북 재사용)
+    parity({ file, mappingSource, options }, onProgress) {
+        const inspection = lastInspection && lastInspection.key === fileKey(file) ? lastInspection.inspection : null;
+        return checkParity(file, mappingSource, { ...options, inspection, onProgress });
+    },
+
+    // 진단 보고서용 입력 파일 구조 (inputs: [{ role, file }], 검사한 원본 워크북은 재사용)
+    async diagnose({ inputs, mappingSource }) {
+        const files = [];
+        for (const { role, file } of inputs) {
+            const workbook = lastInspection && lastInspection.key === fileKey(file) ? lastInspection.inspection.originWorkbook : null;
+            files.push(await describeInputFile(role, file.name, await readFileAsArrayBuffer(file), workbook));
+        }
+        if (mappingSource) {
+            files.push(await describeInputFile('매핑 테이블', mappingSource.name, mappingSource.data));
+        }
+        return files;
+    },
+
+    // 이전 결과 파일 읽기 (변경사항 비교용 요약만 반환)
+    loadPrevious({ file }) {
+        return loadPreviousResult(file);
+    },
+
+    download({ conversion, batchOutput, profile, validationSettings }, onProgress) {
+        return buildDownload(conversion, batchOutput, profile, validationSettings, onProgress);
+    }
+};
 
+// 화면 없이 변환 (매니페스트 convert, 작업을 메인 스레드에서 순서대로 실행)
+// files: { origin: File | File[], mapping: File, previous?: File }
+// options: { format, engine, batchOutput, weekStart, storeNameRules, productMaster, validationSettings, traceSheet, force, onProgress }
+// 반환: { conversion, mappingSource, report, output: { fileName, blob } | null (검증 실패로 차단), summary }
+async function convertFiles(files, options = {}) {
+    const origins = [].concat(files.origin || []);
+    if (origins.length === 0) throw new Error('원본 파일을 선택해주세요');
+    if (!files.mapping) throw new Error('매핑 테이블 파일을 선택해주세요');
+
+    const mappingSource = await loadMappingSource(files.mapping);
+    const convertOptions = {
+        engine: options.engine || 'auto',
+        storeNameRules: options.storeNameRules || StoreNameRules.defaults,
+        productMaster: options.productMaster || null
+    };
+    if (options.weekStart) convertOptions.dateChoice = { source: 'override', weekStart: options.weekStart };
+
+    const conversion = origins.length > 1
+        ? await HYUNDAI_TASKS.convertBatch({ files: origins, mappingSource, options: convertOptions }, options.onProgress)
+        : await HYUNDAI_TASKS.convert({ file: origins[0], mappingSource, options: convertOptions }, options.onProgress);
+    if (files.previous) {
+        conversion.previous = await HYUNDAI_TASKS.loadPrevious({ file: files.previous });
+    }
+
+    const validationSettings = options.validationSettings || ValidationEngine.normalize(null, HYUNDAI_RULES);
+    const report = validateResult(conversion.result, validationSettings);
+    let summary = `${conversion.count}건 추출 (${conversion.mode}) · ${ValidationEngine.describe(report.issues)}`;
+    if (conversion.result.warnings.length > 0) summary += ` · 추출 경고 ${conversion.result.warnings.length}건`;
+
+    let output = null;
+    if (!report.blocked || options.force) {
+        const profile = {
+            ...OutputProfiles.createDefault(DATA_COLUMNS),
+            format: options.format || 'xlsx',
+            traceSheet: !!options.traceSheet
+        };
+        output = await HYUNDAI_TASKS.download({
+            conversion,
+            batchOutput: options.batchOutput || 'combined',
+            profile,
+            validationSettings
+        }, options.onProgress);
+    } else {
+        summary += ' · 검증 실패로 결과 파일을 만들지 않았습니다';
+    }
+
+    return { conversion, mappingSource, report, output, summary };
+}
+
+// 진행 상황 → 상태 문구 (예: "(2/3) 원본.xlsx - 시트 파싱 중 (4/9) 수")
+const PROGRESS_STAGES = {
+    reading: '파일 읽는 중',
+    parsing: '시트 파싱 중',
+    converting: '변환 중',
+    building: '결과 워크북 생성 중',
+    writing: '파일 쓰는 중'
+};
+
+function describeProgress(progress) {
+    let text = PROGRESS_STAGES[progress.stage] || '처리 중';
+    if (progress.total) text += ` (${progress.current}/${progress.total})`;
+    if (progress.sheet) text += ` ${progress.sheet}`;
+    if (progress.fileCount) text = `(${progress.fileIndex + 1}/${progress.fileCount}) ${progress.fileName} - ${text}`;
+    return text + '...';
+}
+
+// UI 초기화 (파일 입력은 app.js가 매니페스트 inputs로 그림, 여기서는 입력별 부가 기능과 나머지 화면)
+// 현대차 화면 스타일 (WASM 상태, 매핑 저장소, 이전 결과, 판별 근거/추출 경고, 원본 위치, 매장명 규칙)
+const HYUNDAI_STYLE = `
+    .wasm-status {
+        padding: 8px 12px;
+        border-radius: 6px;
+        font-size: 12px;
+        margin-bottom: 15px;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+    }
+    .wasm-status.loading {
+        background: #fff3e0;
+        color: #e65100;
+    }
+    .wasm-status.ready {
+        background: #e8f5e9;
+        color: #2e7d32;
+    }
+    .wasm-status.fallback {
+        background: #f5f5f5;
+        color: #666;
+    }
+    .wasm-status::before {
+        content: '';
+        width: 8px;
+        height: 8px;
+        border-radius: 50%;
+        display: inline-block;
+    }
+    .wasm-status.loading::before {
+        background: #e65100;
+        animation: pulse 1s infinite;
+    }
+    .wasm-status.ready::before {
+        background: #4caf50;
+    }
+    .wasm-status.fallback::before {
+        background: #9e9e9e;
+    }
+    @keyframes pulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.5; }
+    }
+    .mapping-store {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #555;
+    }
+    .mapping-store-active {
+        color: #2e7d32;
+        margin-bottom: 6px;
+    }
+    .mapping-store-controls {
+        display: flex;
+        gap: 6px;
+    }
+    .mapping-store-controls select {
+        flex: 1;
+        min-width: 0;
+        padding: 4px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+    }
+    .mapping-store-controls button,
+    .mapping-store-edit {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+    .previous-result {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #555;
+    }
+    .previous-result button {
+        margin-left: 6px;
+        padding: 2px 8px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+    .detection-report {
+        display: none;
+        margin-top: 10px;
+        padding: 10px 12px;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        font-size: 12px;
+        color: #555;
+    }
+    .detection-report.has-data {
+        display: block;
+    }
+    .detection-report h4 {
+        font-size: 13px;
+        margin-bottom: 6px;
+        color: #333;
+    }
+    .detection-candidate {
+        padding: 4px 0;
+        border-top: 1px solid #f0f0f0;
+    }
+    .detection-candidate.chosen {
+        color: #2e7d32;
+    }
+    .detection-candidate .missing {
+        color: #c62828;
+    }
+    .extraction-warnings details {
+        padding: 4px 0;
+        border-top: 1px solid #f0f0f0;
+    }
+    .extraction-warnings summary {
+        cursor: pointer;
+        color: #e65100;
+    }
+    .extraction-warnings ul {
+        margin: 4px 0 0 18px;
+        max-height: 200px;
+        overflow-y: auto;
+    }
+    .btn.btn-cancel {
+        background: #fafafa;
+        color: #c62828;
+        border: 1px solid #ffcdd2;
+        font-size: 15px;
+        padding: 10px;
+    }
+    .origin-peek {
+        display: none;
+        margin-top: 10px;
+        padding: 10px 12px;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        font-size: 12px;
+        color: #555;
+    }
+    .origin-peek.has-data {
+        display: block;
+    }
+    .origin-peek h4 {
+        display: flex;
+        justify-content: space-between;
+        font-size: 13px;
+        margin-bottom: 6px;
+        color: #333;
+    }
+    .origin-peek h4 button {
+        padding: 0 6px;
+        border: none;
+        background: none;
+        color: #888;
+        cursor: pointer;
+    }
+    .origin-peek table {
+        border-collapse: collapse;
+    }
+    .origin-peek th,
+    .origin-peek td {
+        padding: 3px 8px;
+        border: 1px solid #f0f0f0;
+        white-space: nowrap;
+    }
+    .origin-peek th {
+        background: #f8f9fa;
+        color: #888;
+        font-weight: normal;
+    }
+    .origin-peek tr.source-row td {
+        background: #f0f0ff;
+    }
+    .origin-peek td.source-cell {
+        background: #fff3c4;
+        font-weight: 600;
+    }
+    .store-rules {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #555;
+    }
+    .store-rules summary {
+        cursor: pointer;
+    }
+    .store-rules textarea {
+        width: 100%;
+        margin-top: 6px;
+        padding: 6px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        font-family: monospace;
+        font-size: 12px;
+    }
+    .store-rules-hint {
+        margin-top: 4px;
+        font-size: 12px;
+        color: #888;
+    }
+    .store-rules-actions {
+        display: flex;
+        gap: 6px;
+        margin-top: 6px;
+    }
+    .store-rules-actions button {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = HYUNDAI_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+function initUI(container, { inputs }) {
+    injectStyle();
+    const form = container.querySelector('.converter-form');
+    form.insertAdjacentHTML('afterbegin', `
+            <div class="wasm-status" id="hyundai-wasm-status"></div>
+    `);
+
+    inputs.origin.wrapper.insertAdjacentHTML('afterend', `
+            <div id="hyundai-batchOptions"></div>
+    `);
+
+    inputs.mapping.wrapper.insertAdjacentHTML('beforeend', `
+                <div class="mapping-store" id="hyundai-mappingStore"></div>
+                <div id="hyundai-mappingEditor"></div>
+                <div id="hyundai-productMaster"></div>
+                <details class="store-rules">
+                    <summary>매장명 정규화 규칙</summary>
+                    <textarea id="hyundai-storeRules" rows="4" spellcheck="false"></textarea>
+                    <div class="store-rules-hint">한 줄에 하나씩 "이름 | 정규식 | 치환" (칸 구분은 앞뒤 공백이 있는 |, 정규식 안의 a|b는 그대로. # 으로 시작하면 주석). 공백 정리, 전각/반각·대소문자, 끝 구두점은 항상 적용됩니다.</div>
+                    <div class="store-rules-actions">
+                        <button type="button" id="hyundai-storeRulesSave">규칙 저장</button>
+                        <button type="button" id="hyundai-storeRulesReset">기본 규칙</button>
+                    </div>
+                </details>
+    `);
+
+    inputs.previous.wrapper.insertAdjacentHTML('beforeend', `
+                <div class="previous-result" id="hyundai-previous"></div>
+    `);
+
+    form.insertAdjacentHTML('beforeend', `
             <div class="file-input-wrapper">
-                <label>2. 매핑 테이블 파일</label>
-                <input type="file" id="hyundai-mappingFile" class="file-input" accept=".xlsx,.xls">
-                <div class="file-name" id="hyundai-mappingFileName"></div>
+                <label>4. 출력 프로필 (컬럼, 헤더 이름, 날짜 형식, 파일 형식)과 검증 규칙</label>
+                <div id="hyundai-outputProfile"></div>
+                <div id="hyundai-validationRules"></div>
             </div>
 
             <button class="btn" id="hyundai-convertBtn" disabled>변환하기</button>
+            <button class="btn btn-cancel" id="hyundai-cancelBtn" style="display: none;">취소</button>
 
             <div class="status" id="hyundai-status"></div>
 
+            <div id="hyundai-errors"></div>
+
+            <div class="detection-report" id="hyundai-detection"></div>
+
+            <div class="detection-report extraction-warnings" id="hyundai-warnings"></div>
+
+            <div id="hyundai-dates"></div>
+
+            <div id="hyundai-resolver"></div>
+
+            <div id="hyundai-preview"></div>
+
+            <div class="origin-peek" id="hyundai-originPeek"></div>
+
+            <button class="btn" id="hyundai-downloadBtn" style="display: none;">다운로드</button>
+
+            <div id="hyundai-history"></div>
+
             <div class="info">
                 <h3>사용 방법</h3>
                 <ul>
                     <li>원본 엑셀 파일과 매핑 테이블을 선택하세요</li>
-                    <li>변환하기 버튼을 클릭하면 결과 파일이 다운로드됩니다</li>
-                    <li>결과 파일명: 원본파일명_result.xlsx</li>
+                    <li>원본 파일 형식(요일별 시트 / ☆메뉴표)은 자동으로 판별되며, 판별 근거가 파일 선택 시 표시됩니다</li>
+                    <li>날짜는 파일명과 시트 날짜 셀 후보 중에서 선택하거나 주 시작일을 직접 입력할 수 있습니다 (후보가 다르면 경고 표시)</li>
+                    <li>변환하기 버튼을 클릭하면 결과 미리보기가 표시됩니다</li>
+                    <li>데이터 시트의 셀을 더블클릭하면 수정할 수 있습니다 (검증/매장별 상세 자동 재계산)</li>
+                    <li>매핑실패 매장은 후보를 선택해 바로 반영하고, 갱신된 매핑 테이블을 내보낼 수 있습니다</li>
+                    <li>다운로드 버튼을 클릭하면 결과 파일이 다운로드됩니다</li>
+                    <li>결과 파일명: 원본파일명_result.xlsx (출력 프로필 형식에 따라 .csv/.tsv/.json)</li>
+                    <li>이전 결과 파일(지난주 _result.xlsx)을 선택하면 요일별 매장 추가/삭제, 신규 품목, 수량 변경을 변경사항 시트로 보여줍니다</li>
+                    <li>출력 프로필로 데이터 시트 컬럼 선택/순서/헤더 이름, 날짜 형식, 파일 형식(xlsx, CSV UTF-8/CP949, TSV, JSON)을 저장해 두고 선택할 수 있습니다</li>
+                    <li>매핑 테이블은 브라우저에 버전별로 저장되어 다음 접속 시 자동으로 사용됩니다</li>
+                    <li>매핑 관리에서 항목을 추가/수정/삭제하고 중복·빈값을 확인할 수 있습니다</li>
+                    <li>단품 마스터(단품명, 단품코드, 별칭, 박스 입수)를 불러오거나 편집해 두면 층별 시트에 없는 단품코드를 채우며, 코드 충돌과 매핑실패 단품의 유사 단품 추천은 결과 시트에 표시됩니다</li>
+                    <li>변환 기록에 입력 파일(해시), 매핑 버전, 처리 방식, 검증 요약이 남으며, 결과 다시 다운로드와 현재 매핑으로 다시 변환을 할 수 있습니다</li>
+                    <li>원본 파일을 여러 개 선택하면 통합 파일 또는 파일별 결과(zip)로 일괄 변환됩니다</li>
+                    <li>매장명은 공백/전각 문자/층 표기(3F → 3층) 등을 정규화해 매칭하며, 적용된 규칙은 매장 매칭 시트에 표시됩니다</li>
+                    <li>검증 규칙(요일/매장 블록 합계, 매장 중복, Box 입수 상한, 단품코드 누락 등)은 사용 여부와 심각도를 바꿀 수 있으며, 실패 항목이 있으면 다운로드를 막을 수 있습니다</li>
+                    <li>미리보기의 원본 위치를 클릭하면 원본 시트의 해당 행 주변 셀을 볼 수 있으며, 출력 프로필에서 원본 위치 컬럼과 숨김 원본 추적 시트를 추가할 수 있습니다</li>
+                    <li>오류는 코드, 시트/셀 위치, 기대 값과 실제 값, 해결 방법과 함께 표시되며, 진단 보고서(오류와 시트 구조만, 셀 값 제외)를 내려받아 전달할 수 있습니다</li>
+                    <li>추출하지 않거나 바꿔 읽은 원본 셀(품목명/Box 빈값, Box 0, 숫자 변환, 최대 행 수 초과 등)은 추출 경고로 표시되고 결과 파일 경고 시트에 셀 위치와 원본 값이 남습니다</li>
                 </ul>
                 <h3 style="margin-top: 15px;">매핑 테이블 형식</h3>
                 <ul>
-                    <li>컬럼: 코드, 원본 사업장명, 사업장명</li>
+                    <li>컬럼: 코드, 원본 사업장명, 사업장명, 별칭(선택, 쉼표로 구분)</li>
+                    <li>별칭 헤더(매장명, 사업장코드 등), 제목 행 아래 헤더, 두 번째 이후 시트도 자동 인식</li>
                 </ul>
             </div>
-        </div>
-    `;
+    `);
 
-    // WASM 상태 스타일
-    const style = document.createElement('style');
-    style.textContent = `
-        .wasm-status {
-            padding: 8px 12px;
-            border-radius: 6px;
-            font-size: 12px;
-            margin-bottom: 15px;
-            display: flex;
-            align-items: center;
-            gap: 6px;
-        }
-        .wasm-status.loading {
-            background: #fff3e0;
-            color: #e65100;
-        }
-        .wasm-status.ready {
-            background: #e8f5e9;
-            color: #2e7d32;
-        }
-        .wasm-status.fallback {
-            background: #f5f5f5;
-            color: #666;
-        }
-        .wasm-status::before {
-            content: '';
-            width: 8px;
-            height: 8px;
-            border-radius: 50%;
-            display: inline-block;
-        }
-        .wasm-status.loading::before {
-            background: #e65100;
-            animation: pulse 1s infinite;
-        }
-        .wasm-status.ready::before {
-            background: #4caf50;
-        }
-        .wasm-status.fallback::before {
-            background: #9e9e9e;
-        }
-        @keyframes pulse {
-            0%, 100% { opacity: 1; }
-            50% { opacity: 0.5; }
-        }
-    `;
-    document.head.appendChild(style);
 
-    // WASM 초기화
+    // 변환 워커 (WASM 초기화 포함, 워커를 쓸 수 없으면 메인 스레드에서 실행)
     const wasmStatus = document.getElementById('hyundai-wasm-status');
     wasmStatus.className = 'wasm-status loading';
     wasmStatus.textContent = 'WASM 모듈 로딩 중...';
 
-    initWasm().then(success => {
-        if (success) {
-            wasmStatus.className = 'wasm-status ready';
-            wasmStatus.textContent = 'WASM 가속 활성화';
-        } else {
-            wasmStatus.className = 'wasm-status fallback';
-            wasmStatus.textContent = 'JS 모드 (WASM 미지원)';
+    const tasks = WorkerClient.create(new URL('./hyundai-worker.js?v=10', import.meta.url), {
+        fallback: {
+            init: async () => ({ wasm: await initWasm() }),
+            run: (task, payload, onProgress) => HYUNDAI_TASKS[task](payload, onProgress)
+        },
+        onReady: ({ wasm, worker }) => {
+            const thread = worker ? '백그라운드' : '메인 스레드';
+            if (wasm) {
+                wasmStatus.className = 'wasm-status ready';
+                wasmStatus.textContent = `WASM 가속 활성화 (${thread})`;
+            } else {
+                wasmStatus.className = 'wasm-status fallback';
+                wasmStatus.textContent = `JS 모드 (WASM 미지원, ${thread})`;
+            }
+        }
+    });
+
+    // 작업 실행 (진행 상황 표시, 워커 실행 중에는 취소 버튼 표시)
+    const cancelBtn = document.getElementById('hyundai-cancelBtn');
+    let runningTasks = 0;
+
+    async function runTask(task, payload) {
+        runningTasks++;
+        cancelBtn.style.display = tasks.cancellable ? '' : 'none';
+        try {
+            return await tasks.run(task, payload, progress => {
+                StatusManager.processing('hyundai-status', describeProgress(progress));
+            });
+        } finally {
+            runningTasks--;
+            if (runningTasks === 0) cancelBtn.style.display = 'none';
+        }
+    }
+
+    // 오류 패널 (코드, 위치, 기대/실제 값, 해결 방법)과 진단 보고서 (오류 + 입력 파일 시트 구조, 셀 값 제외)
+    let errorInputs = [];  // 진단 보고서에 넣을 입력 파일 [{ role, file }]
+
+    const errorPanel = ErrorPanel.setup('hyundai-errors', {
+        onReport: async (errors) => {
+            try {
+                // 매핑 테이블 오류는 실패한 매핑 파일만 (사용 중인 매핑 테이블 제외)
+                const mappingFailed = errorInputs.some(input => input.role === '매핑 테이블');
+                const files = await runTask('diagnose', { inputs: errorInputs, mappingSource: mappingFailed ? null : mappingSource });
+                const report = ConvertError.report({ converter: { id: config.id, name: config.name }, errors, files });
+                const baseName = errorInputs.length > 0 ? errorInputs[0].file.name.replace(/\.xlsx?$/i, '') : config.id;
+                saveAs(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `${baseName}_진단.json`);
+                StatusManager.hide('hyundai-status');
+            } catch (error) {
+                console.error(error);
+                StatusManager.error('hyundai-status', '진단 보고서 오류: ' + error.message);
+            }
         }
     });
 
+    function showErrors(errors, inputs) {
+        errorInputs = inputs;
+        errorPanel.show(errors);
+    }
+
+    cancelBtn.addEventListener('click', () => {
+        tasks.cancel();
+    });
+
+    // 일괄 결과 형식 (원본 파일을 여러 개 선택하면 표시)
+    const batchOptions = BatchOptions.setup('hyundai-batchOptions');
+
     // 파일 입력 설정
-    FileInputManager.setup(
+    const originInput = FileInputManager.setup(
         'hyundai-originFile',
         'hyundai-originFileName',
-        (file) => {
-            originFile = file;
+        (files) => {
+            originFiles = files;
+            batchOptions.setFileCount(files.length);
+            inspecting = inspectSelection();
             updateButtonState();
-        }
+        },
+        { multiple: true, allowFolderDrop: true }
     );
 
+    // 매핑 테이블: 새 파일을 선택하면 파싱 후 새 버전으로 저장 (저장 실패 시 이번 세션에서만 사용)
     FileInputManager.setup(
         'hyundai-mappingFile',
         'hyundai-mappingFileName',
-        (file) => {
-            mappingFile = file;
+        async (file) => {
+            if (!file) return;
+            errorPanel.clear();
+            try {
+                const source = await loadMappingSource(file);
+                try {
+                    const record = await MappingStore.save(config.id, source);
+                    mappingSource = MappingStore.toSource(record);
+                } catch (storeError) {
+                    console.warn('매핑 테이블 저장 실패:', storeError);
+                    mappingSource = source;
+                }
+            } catch (error) {
+                console.error(error);
+                StatusManager.error('hyundai-status', '매핑 테이블 오류: ' + error.message);
+                showErrors([ConvertError.describe(error)], [{ role: '매핑 테이블', file }]);
+            }
+            renderMappingStore();
             updateButtonState();
         }
     );
 
+    // 이전 결과 파일 (변경사항 비교, 변환 후에 선택해도 미리보기에 바로 반영)
+    const previousEl = document.getElementById('hyundai-previous');
+    let previousResult = null;
+
+    const previousInput = FileInputManager.setup(
+        'hyundai-previousFile',
+        'hyundai-previousFileName',
+        async (file) => {
+            previousResult = null;
+            if (file) {
+                try {
+                    previousResult = await runTask('loadPrevious', { file });
+                    StatusManager.hide('hyundai-status');
+                } catch (error) {
+                    console.error(error);
+                    StatusManager.error(
+                        'hyundai-status',
+                        error.cancelled ? '이전 결과 파일 읽기가 취소되었습니다' : '이전 결과 파일 오류: ' + error.message
+                    );
+                    previousInput.clear();
+                }
+            }
+            setPrevious(previousResult);
+        }
+    );
+
+    function setPrevious(previous) {
+        previousResult = previous;
+        previousEl.innerHTML = '';
+        if (previous) {
+            const stores = new Set(previous.rows.map(r => r.store)).size;
+            previousEl.append(`비교 대상: ${previous.name} (${previous.weekStart} 주, 매장 ${stores}개) `);
+            const clearBtn = document.createElement('button');
+            clearBtn.type = 'button';
+            clearBtn.textContent = '비교 안 함';
+            clearBtn.addEventListener('click', () => {
+                previousInput.clear();
+                setPrevious(null);
+            });
+            previousEl.appendChild(clearBtn);
+        }
+        if (conversion) {
+            conversion.previous = previous;
+            renderPreview();
+        }
+    }
+
     function updateButtonState() {
         const btn = document.getElementById('hyundai-convertBtn');
-        btn.disabled = !(originFile && mappingFile);
+        btn.disabled = !(originFiles.length > 0 && mappingSource);
+    }
+
+    // 저장된 매핑 테이블 상태 및 버전 관리 (교체는 파일 선택, 롤백은 버전 선택)
+    const mappingStoreEl = document.getElementById('hyundai-mappingStore');
+
+    async function renderMappingStore() {
+        let versions = [];
+        try {
+            versions = await MappingStore.list(config.id);
+        } catch (error) {
+            console.warn('저장된 매핑 조회 실패:', error);
+        }
+
+        mappingStoreEl.innerHTML = '';
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'mapping-store-edit';
+        editBtn.textContent = mappingSource ? '매핑 관리' : '매핑 테이블 새로 만들기';
+        editBtn.addEventListener('click', openMappingEditor);
+
+        if (mappingSource) {
+            const active = document.createElement('div');
+            active.className = 'mapping-store-active';
+            const entries = Object.keys(mappingSource.mapping).length;
+            active.textContent = mappingSource.version
+                ? `사용 중: v${mappingSource.version} · ${mappingSource.name} (${entries}개 매장)`
+                : `사용 중: ${mappingSource.name} (${entries}개 매장, 저장 안 됨)`;
+            mappingStoreEl.appendChild(active);
+        }
+        if (versions.length === 0) {
+            mappingStoreEl.appendChild(editBtn);
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.className = 'mapping-store-controls';
+
+        const select = document.createElement('select');
+        versions.forEach(v => {
+            const option = document.createElement('option');
+            option.value = String(v.id);
+            option.textContent = `v${v.version} · ${v.fileName} (${new Date(v.savedAt).toLocaleString('ko-KR')})`;
+            option.selected = !!mappingSource && mappingSource.version === v.version;
+            select.appendChild(option);
+        });
+
+        const useBtn = document.createElement('button');
+        useBtn.type = 'button';
+        useBtn.textContent = '이 버전 사용';
+        useBtn.addEventListener('click', async () => {
+            try {
+                const record = await MappingStore.activate(config.id, Number(select.value));
+                mappingSource = MappingStore.toSource(record);
+                renderMappingStore();
+                updateButtonState();
+            } catch (error) {
+                StatusManager.error('hyundai-status', '오류: ' + error.message);
+            }
+        });
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.textContent = '저장된 매핑 삭제';
+        clearBtn.addEventListener('click', async () => {
+            if (!confirm('저장된 매핑 테이블을 모든 버전 삭제할까요?')) return;
+            try {
+                await MappingStore.clear(config.id);
+                mappingSource = null;
+                renderMappingStore();
+                updateButtonState();
+            } catch (error) {
+                StatusManager.error('hyundai-status', '오류: ' + error.message);
+            }
+        });
+
+        controls.append(select, useBtn, clearBtn, editBtn);
+        mappingStoreEl.appendChild(controls);
+    }
+
+    // 매핑 관리 (편집 후 저장하면 새 버전으로 저장)
+    const mappingEditor = MappingEditor.setup('hyundai-mappingEditor', {
+        onSave: async (rows) => {
+            try {
+                const workbook = MappingRows.toWorkbook(rows);
+                const data = new Uint8Array(await ExcelCore.writeExcel(workbook));
+                const name = mappingSource ? mappingSource.name : '매핑테이블.xlsx';
+                const source = { name, data, mapping: MappingRows.toMapping(rows) };
+                try {
+                    mappingSource = MappingStore.toSource(await MappingStore.save(config.id, source));
+                } catch (storeError) {
+                    console.warn('매핑 테이블 저장 실패:', storeError);
+                    mappingSource = source;
+                }
+                mappingEditor.close();
+                renderMappingStore();
+                updateButtonState();
+                StatusManager.success('hyundai-status', `매핑 테이블 저장 완료 (${rows.length}행)`);
+            } catch (error) {
+                console.error(error);
+                StatusManager.error('hyundai-status', '매핑 테이블 저장 오류: ' + error.message);
+            }
+        }
+    });
+
+    async function openMappingEditor() {
+        try {
+            // 원본 파일 기준으로 행을 읽어 중복 행까지 표시
+            const rows = mappingSource
+                ? parseMappingRows(await ExcelCore.readBuffer(mappingSource.data))
+                : [];
+            const baseName = mappingSource ? mappingSource.name.replace(/\.xlsx?$/i, '') : '매핑테이블';
+            mappingEditor.open(rows, baseName);
+        } catch (error) {
+            console.error(error);
+            StatusManager.error('hyundai-status', '매핑 테이블 열기 오류: ' + error.message);
+        }
+    }
+
+    // 저장된 매핑 자동 로드
+    MappingStore.getActive(config.id)
+        .then(record => {
+            if (record && !mappingSource) {
+                mappingSource = MappingStore.toSource(record);
+            }
+        })
+        .catch(error => console.warn('저장된 매핑 로드 실패:', error))
+        .finally(() => {
+            renderMappingStore();
+            updateButtonState();
+        });
+
+    // 단품 마스터 (파일 불러오기/편집 후 저장, 다음 변환부터 층별 시트에 없는 단품코드 보완)
+    const productMaster = ProductMasterPanel.setup('hyundai-productMaster', {
+        converterId: config.id,
+        onSaved: (master) => {
+            StatusManager.success('hyundai-status', `단품 마스터 저장 완료 (${master.rows.length}행) - 다음 변환부터 적용됩니다`);
+        },
+        onError: (error) => {
+            StatusManager.error('hyundai-status', '단품 마스터 오류: ' + error.message);
+        }
+    });
+
+    // 매핑실패 단품 → 단품 마스터에 추가할 행 (추천 단품이 정규화 후 같으면 코드 채움)
+    function productFailures(result) {
+        return buildProductFailures(result).map(failure => {
+            const [suggestion] = (result.productSuggestions || {})[failure['품목명']] || [];
+            return { name: failure['품목명'], code: suggestion && suggestion.score === 1 ? suggestion.code : '' };
+        });
+    }
+
+    // 매장명 정규화 규칙 (저장된 규칙이 없으면 기본 규칙)
+    const rulesInput = document.getElementById('hyundai-storeRules');
+    rulesInput.value = StoreNameRules.format(storeNameRules);
+
+    LocalStore.getMeta(RULES_KEY)
+        .then(saved => {
+            if (!saved) return;
+            storeNameRules = saved;
+            rulesInput.value = StoreNameRules.format(saved);
+        })
+        .catch(error => console.warn('매장명 규칙 로드 실패:', error));
+
+    document.getElementById('hyundai-storeRulesSave').addEventListener('click', async () => {
+        try {
+            storeNameRules = StoreNameRules.parse(rulesInput.value);
+        } catch (error) {
+            StatusManager.error('hyundai-status', '매장명 규칙 오류: ' + error.message);
+            return;
+        }
+        try {
+            await LocalStore.setMeta(RULES_KEY, storeNameRules);
+        } catch (storeError) {
+            console.warn('매장명 규칙 저장 실패:', storeError);
+        }
+        StatusManager.success('hyundai-status', `매장명 규칙 저장 완료 (${storeNameRules.length}개) - 다음 변환부터 적용됩니다`);
+    });
+
+    document.getElementById('hyundai-storeRulesReset').addEventListener('click', () => {
+        rulesInput.value = StoreNameRules.format(StoreNameRules.defaults);
+    });
+
+    // 출력 프로필 (저장된 프로필과 선택을 브라우저에서 불러옴, 다운로드 시 적용)
+    const outputProfiles = OutputProfileEditor.setup('hyundai-outputProfile', {
+        columns: DATA_COLUMNS,
+        converterId: config.id,
+        onSaved: (storeError) => {
+            if (storeError) {
+                StatusManager.error('hyundai-status', '출력 프로필 저장 실패 (이번 세션에서만 사용): ' + storeError.message);
+            } else {
+                StatusManager.success('hyundai-status', '출력 프로필 저장 완료 - 다운로드 시 적용됩니다');
+            }
+        }
+    });
+
+    // 검증 규칙 (사용 여부/심각도/매개변수, 저장하면 미리보기와 다운로드에 바로 적용)
+    const validationRules = ValidationSettingsEditor.setup('hyundai-validationRules', {
+        rules: HYUNDAI_RULES,
+        converterId: config.id,
+        onSaved: (storeError) => {
+            if (storeError) {
+                StatusManager.error('hyundai-status', '검증 규칙 저장 실패 (이번 세션에서만 사용): ' + storeError.message);
+            } else {
+                StatusManager.success('hyundai-status', '검증 규칙 저장 완료');
+            }
+            if (conversion) renderPreview();
+        }
+    });
+
+    // 미리보기 (데이터 시트만 편집 가능, 나머지는 데이터 기준 재계산)
+    const downloadBtn = document.getElementById('hyundai-downloadBtn');
+    let conversion = null;
+
+    const preview = PreviewGrid.setup('hyundai-preview', {
+        onEdit: (sheetName, row, column) => {
+            applyDataEdit(row, column);
+            renderPreview();
+        },
+        onCellClick: (sheetName, row) => showOrigin(row)
+    });
+
+    // 원본 위치 클릭 → 원본 주변 셀 (변환한 파일 목록에서 행의 원본 파일을 찾아 다시 읽음)
+    const originPeekEl = document.getElementById('hyundai-originPeek');
+    let conversionFiles = [];
+
+    function renderOriginPeek(peek) {
+        originPeekEl.innerHTML = '';
+        originPeekEl.classList.toggle('has-data', !!peek);
+        if (!peek) return;
+
+        const title = document.createElement('h4');
+        title.textContent = `원본 위치: ${peek.title}`;
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = '✕';
+        close.addEventListener('click', () => renderOriginPeek(null));
+        title.appendChild(close);
+
+        const table = document.createElement('table');
+        const head = table.insertRow();
+        head.appendChild(document.createElement('th'));
+        peek.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            head.appendChild(th);
+        });
+        const highlight = new Set(peek.highlight);
+        peek.rows.forEach(({ row, cells }) => {
+            const tr = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = row;
+            tr.appendChild(th);
+            if (cells.some(cell => highlight.has(cell.ref))) tr.className = 'source-row';
+            cells.forEach(cell => {
+                const td = tr.insertCell();
+                td.textContent = cell.value;
+                td.title = cell.ref;
+                if (highlight.has(cell.ref)) td.className = 'source-cell';
+            });
+        });
+
+        originPeekEl.append(title, table);
+    }
+
+    async function showOrigin(row) {
+        if (!row['_source']) return;
+        const index = row['원본 파일'] !== undefined
+            ? conversion.result.sources.findIndex(source => source.fileName === row['원본 파일'])
+            : 0;
+        const file = conversionFiles[index];
+        if (!file) return;
+
+        try {
+            renderOriginPeek(await runTask('peekOrigin', { file, source: row['_source'] }));
+            originPeekEl.scrollIntoView({ block: 'nearest' });
+        } catch (error) {
+            console.error(error);
+            StatusManager.error('hyundai-status', '원본 위치 확인 오류: ' + error.message);
+        }
+    }
+
+    // 매핑실패 해결 패널
+    let resolvedCount = 0;
+    const resolver = MappingResolver.setup('hyundai-resolver', {
+        onResolve: (storeName, entry) => {
+            applyMappingResolution(conversion.result, conversion.mapping, storeName, entry, conversion.storeNameRules);
+            resolvedCount++;
+            renderResolver();
+            renderPreview();
+        },
+        onExport: async () => {
+            try {
+                const fileName = mappingSource.name.replace(/\.xlsx?$/i, '') + '_updated.xlsx';
+                await ExcelCore.downloadExcel(createMappingWorkbook(conversion.mapping), fileName);
+            } catch (error) {
+                console.error(error);
+                StatusManager.error('hyundai-status', '매핑 테이블 내보내기 오류: ' + error.message);
+            }
+        }
+    });
+
+    function renderResolver() {
+        resolver.render(getMappingFailureSummary(conversion.result), conversion.mapping, resolvedCount);
+    }
+
+    function renderPreview() {
+        const workbook = createResultWorkbookJS(conversion.result, {
+            validationSettings: validationRules.get(),
+            previous: conversion.previous
+        });
+        preview.render(workbook.sheets.map(sheet => ({
+            ...sheet,
+            editable: sheet.name === '데이터',
+            links: sheet.name === '데이터' ? ['원본 위치'] : []
+        })));
+    }
+
+    // 형식 판별 결과 (단일 파일 변환 시, 판별 실패도 표시)
+    const detectionEl = document.getElementById('hyundai-detection');
+
+    function renderDetection(detection) {
+        detectionEl.innerHTML = '';
+        detectionEl.classList.toggle('has-data', !!detection);
+        if (!detection) return;
+
+        const title = document.createElement('h4');
+        title.textContent = detection.layout
+            ? `원본 형식: ${describeDetection(detection)}`
+            : '원본 형식을 판별할 수 없습니다 - 형식별 판별 근거';
+        detectionEl.appendChild(title);
+
+        detection.candidates.forEach(c => {
+            const item = document.createElement('div');
+            item.className = 'detection-candidate';
+            item.classList.toggle('chosen', c.layout === detection.layout);
+            item.textContent = `${c.layout.name} (${Math.round(c.confidence * 100)}%): ${c.evidence.join(', ') || '근거 없음'}`;
+            if (c.missing.length > 0) {
+                const missing = document.createElement('span');
+                missing.className = 'missing';
+                missing.textContent = ` / 부족: ${c.missing.join(', ')}`;
+                item.appendChild(missing);
+            }
+            detectionEl.appendChild(item);
+        });
+    }
+
+    // 추출 경고 (건너뛰거나 바꿔 읽은 원본 셀, 코드별 건수와 목록)
+    const warningsEl = document.getElementById('hyundai-warnings');
+
+    function renderWarnings(warnings) {
+        warningsEl.innerHTML = '';
+        warningsEl.classList.toggle('has-data', !!warnings && warnings.length > 0);
+        if (!warnings || warnings.length === 0) return;
+
+        const title = document.createElement('h4');
+        title.textContent = `추출 경고 ${warnings.length}건 - 원본에 있지만 읽지 않았거나 바꿔 읽은 셀 (결과 파일 경고 시트)`;
+        warningsEl.appendChild(title);
+
+        countWarnings(warnings).forEach(({ code, label, count }) => {
+            const group = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${label} (${code}): ${count}건`;
+            group.appendChild(summary);
+
+            const list = document.createElement('ul');
+            warnings.filter(w => w.code === code).forEach(w => {
+                const item = document.createElement('li');
+                const where = [w.fileName, w.sheet, w.cell, w.store].filter(Boolean).join(' · ');
+                item.textContent = `${where}: ${w.reason}` + (w.value !== '' ? ` [${w.value}]` : '');
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+            warningsEl.appendChild(group);
+        });
+    }
+
+    // 날짜 결정 (단일 파일 선택 시 후보와 충돌을 변환 전에 표시, 후보 선택 또는 주 시작일 직접 입력)
+    const dateChoice = DateChoicePanel.setup('hyundai-dates');
+
+    // 파일 선택 시 형식 판별과 날짜 후보 수집 (파싱된 워크북은 워커에 보관되어 변환 시 재사용)
+    let inspecting = Promise.resolve();  // 진행 중인 검사 (다시 변환은 검사가 끝난 뒤 실행)
+
+    async function inspectSelection() {
+        renderDetection(null);
+        dateChoice.clear();
+        if (originFiles.length !== 1) return;
+
+        const file = originFiles[0];
+        try {
+            const result = await runTask('inspect', { file });
+            if (originFiles[0] !== file) return;
+            StatusManager.hide('hyundai-status');
+            renderDetection(result.detection);
+            if (result.dateCandidates) dateChoice.show(result.dateCandidates);
+        } catch (error) {
+            if (originFiles[0] !== file) return;
+            if (error.cancelled) {
+                StatusManager.error('hyundai-status', '원본 파일 확인이 취소되었습니다');
+            } else {
+                console.warn('원본 파일 검사 실패:', error);
+                StatusManager.hide('hyundai-status');
+            }
+        }
     }
 
-    // 변환 버튼
-    document.getElementById('hyundai-convertBtn').addEventListener('click', async () => {
+    // 변환 실행 (변환 버튼, 변환 기록의 다시 변환)
+    const convertBtn = document.getElementById('hyundai-convertBtn');
+
+    async function runConversion() {
+        const files = originFiles;
         try {
+            conversion = null;
+            conversionFiles = files;
+            resolvedCount = 0;
+            preview.clear();
+            resolver.clear();
+            renderOriginPeek(null);
+            renderWarnings(null);
+            errorPanel.clear();
+            downloadBtn.style.display = 'none';
+            convertBtn.disabled = true;
             StatusManager.processing('hyundai-status', '변환 중...');
 
-            const result = await convert();
+            if (files.length > 1) {
+                renderDetection(null);
+                conversion = await runTask('convertBatch', {
+                    files,
+                    mappingSource,
+                    options: { storeNameRules, productMaster: productMaster.getRows() }
+                });
+            } else {
+                conversion = await runTask('convert', {
+                    file: files[0],
+                    mappingSource,
+                    options: { storeNameRules, dateChoice: dateChoice.getChoice(), productMaster: productMaster.getRows() }
+                });
+                renderDetection(conversion.detection);
+            }
+            conversion.previous = previousResult;
+            conversion.storeNameRules = storeNameRules;  // 매핑실패 해결은 변환할 때의 규칙으로 다시 매칭
+            renderResolver();
+            renderPreview();
+            productMaster.setFailures(productFailures(conversion.result));
+            renderWarnings(conversion.result.warnings);
+            if (conversion.batch) {
+                const failed = conversion.result.sources.filter(source => source.errorInfo);
+                showErrors(failed.map(source => source.errorInfo), files.map(file => ({ role: '원본', file })));
+            }
+            downloadBtn.style.display = '';
 
+            const report = validateResult(conversion.result, validationRules.get());
+            const changes = previousResult ? ` · ${describeChanges(compareWeeks(previousResult, conversion.result.data))}` : '';
+            const warnings = conversion.result.warnings.length > 0 ? ` · 추출 경고 ${conversion.result.warnings.length}건` : '';
             StatusManager.success(
                 'hyundai-status',
-                `변환 완료! ${result.count}건 추출 (${result.elapsed}초, ${result.mode})`
+                `변환 완료! ${conversion.count}건 추출 (${conversion.elapsed}초, ${conversion.mode}) · ` +
+                `${ValidationEngine.describe(report.issues)}${warnings}${changes} - 미리보기 확인 후 다운로드하세요`
+            );
+            historyRecord = historyPanel.add({
+                files,
+                mapping: { name: mappingSource.name, version: mappingSource.version },
+                mode: conversion.mode,
+                count: conversion.count,
+                validation: { text: ValidationEngine.describe(report.issues), counts: report.counts },
+                elapsed: conversion.elapsed,
+                sources: conversion.batch ? conversion.result.sources : null
+            });
+        } catch (error) {
+            console.error(error);
+            if (error.cancelled) {
+                StatusManager.error('hyundai-status', '변환이 취소되었습니다');
+            } else {
+                if (error.detection) {
+                    renderDetection(error.detection);
+                    StatusManager.error('hyundai-status', '오류: 원본 파일 형식을 판별할 수 없습니다 - 아래 판별 근거를 확인하세요');
+                } else {
+                    StatusManager.error('hyundai-status', '오류: ' + error.message);
+                }
+                showErrors([ConvertError.describe(error)], files.map(file => ({ role: '원본', file })));
+            }
+        } finally {
+            updateButtonState();
+        }
+    }
+
+    convertBtn.addEventListener('click', runConversion);
+
+    // 현재 변환의 기록 id (Promise, 저장 실패 시 null). 다운로드 시 결과 파일을 함께 저장
+    let historyRecord = Promise.resolve(null);
+
+    // 변환 기록 (결과 다시 다운로드, 현재 매핑으로 다시 변환, 저장된 결과를 이전 결과로 비교)
+    const historyPanel = HistoryPanel.setup('hyundai-history', {
+        converterId: config.id,
+        onRerun: async (record) => {
+            if (!mappingSource) {
+                StatusManager.error('hyundai-status', '매핑 테이블을 먼저 선택하세요');
+                return;
+            }
+            originInput.setFiles(HistoryStore.toFiles(record));
+            await inspecting;
+            await runConversion();
+        },
+        onDownload: (record) => {
+            saveAs(record.output.blob, record.output.fileName);
+            StatusManager.success('hyundai-status', `다운로드 완료: ${record.output.fileName}`);
+        },
+        onCompare: async (record) => {
+            try {
+                const file = new File([record.output.blob], record.output.fileName);
+                previousInput.clear();
+                setPrevious(await runTask('loadPrevious', { file }));
+                StatusManager.success('hyundai-status', `이전 결과로 사용: ${record.output.fileName}`);
+            } catch (error) {
+                console.error(error);
+                StatusManager.error('hyundai-status', '이전 결과 파일 오류: ' + error.message);
+            }
+        }
+    });
+
+    // 다운로드 버튼 (미리보기 편집 내용 반영)
+    // 검증 규칙에서 차단을 켠 경우 실패 항목이 있으면 다운로드하지 않음
+    downloadBtn.addEventListener('click', async () => {
+        if (!conversion) return;
+        const validationSettings = validationRules.get();
+        const report = validateResult(conversion.result, validationSettings);
+        if (report.blocked) {
+            StatusManager.error(
+                'hyundai-status',
+                `다운로드 차단: ${ValidationEngine.describe(report.issues)} - 미리보기의 검증 상세를 확인하거나 검증 규칙에서 차단을 해제하세요`
             );
+            return;
+        }
+        const recording = historyRecord;
+        try {
+            downloadBtn.disabled = true;
+            const { fileName, blob } = await runTask('download', {
+                conversion,
+                batchOutput: batchOptions.getOutput(),
+                profile: outputProfiles.getSelected(),
+                validationSettings
+            });
+            saveAs(blob, fileName);
+            StatusManager.success('hyundai-status', `다운로드 완료: ${fileName}`);
+            recording.then(id => historyPanel.setOutput(id, fileName, blob));
         } catch (error) {
             console.error(error);
-            StatusManager.error('hyundai-status', '오류: ' + error.message);
+            StatusManager.error(
+                'hyundai-status',
+                error.cancelled ? '다운로드가 취소되었습니다' : '다운로드 오류: ' + error.message
+            );
+        } finally {
+            downloadBtn.disabled = false;
         }
     });
 }
 
-// 컨버터 내보내기
+export { HYUNDAI_TASKS, DATA_COLUMNS, EXTRACTION_WARNINGS, applyMappingResolution, countWarnings, convertFiles, initWasm, loadMappingSource, validateResult };
+
+// 컨버터 매니페스트 (converter-manifest.js)
 export default {
     ...config,
+    inputs: INPUTS,
+    output: {
+        formats: Object.keys(OUTPUT_FORMATS),
+        sheets: OUTPUT_SHEETS,
+        columns: DATA_COLUMNS
+    },
+    convert: convertFiles,
     init: initUI
 };
@@ -2,81 +2,195 @@
  * 엑셀 변환 공통 유틸리티 (ExcelJS 기반)
  */
 
+import { ConvertError } from './errors.js?v=10';
+
+// SheetJS: 레거시 .xls(BIFF) 등 ExcelJS로 읽을 수 없는 형식용 (필요할 때만 로드, 페이지/워커 모두 이 파일 기준 경로)
+const SHEETJS_URL = new URL('../vendor/xlsx.full.min.js', import.meta.url).href;
+
+const loadedScripts = new Map();
+
+// 외부 스크립트 로드 (페이지는 <script> 추가, 워커는 importScripts). 같은 URL은 한 번만 로드
+function loadScript(url) {
+    if (!loadedScripts.has(url)) {
+        const promise = typeof importScripts === 'function'
+            ? new Promise(resolve => {
+                importScripts(url);
+                resolve();
+            })
+            : new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => reject(ConvertError.create('script-load', `스크립트 로드 실패: ${url}`, { expected: url }));
+                document.head.appendChild(script);
+            });
+        promise.catch(() => loadedScripts.delete(url));
+        loadedScripts.set(url, promise);
+    }
+    return loadedScripts.get(url);
+}
+
+// 파일 시그니처
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];                          // xlsx (OOXML zip)
+const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];  // xls (BIFF8), 암호화된 xlsx
+
+const hasSignature = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
 const ExcelCore = {
-    // 엑셀 파일 읽기
+    // 엑셀 파일 읽기 (File/Blob, 브라우저와 Node 공통)
     async readFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = async function(e) {
-                try {
-                    const arrayBuffer = e.target.result;
-                    const workbook = new ExcelJS.Workbook();
-                    await workbook.xlsx.load(arrayBuffer);
+        return ExcelCore.readBuffer(await file.arrayBuffer());
+    },
+
+    // 파일 형식 판별 (시그니처): 'xlsx' / 'cfb' (xls BIFF8 또는 암호화된 xlsx) / 'unknown'
+    detectFormat(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (hasSignature(bytes, ZIP_SIGNATURE)) return 'xlsx';
+        if (hasSignature(bytes, CFB_SIGNATURE)) return 'cfb';
+        return 'unknown';
+    },
+
+    // 엑셀 바이너리(ArrayBuffer/Uint8Array) 파싱 → SheetJS 호환 형식
+    // xlsx는 ExcelJS, 그 외(.xls 등)는 SheetJS로 읽어 같은 구조로 변환
+    // onProgress({ stage: 'parsing', current, total, sheet }): 시트마다 호출
+    async readBuffer(buffer, onProgress) {
+        if (ExcelCore.detectFormat(buffer) !== 'xlsx') {
+            return ExcelCore.readLegacyBuffer(buffer, onProgress);
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            // .xlsb 등 ExcelJS가 지원하지 않는 zip 형식
+            console.warn('ExcelJS로 읽을 수 없어 SheetJS로 다시 시도:', error.message);
+            return ExcelCore.readLegacyBuffer(buffer, onProgress);
+        }
+        
+        // SheetJS 호환 형식으로 변환
+        const result = {
+            SheetNames: [],
+            Sheets: {}
+        };
+        const total = workbook.worksheets.length;
+        
+        workbook.eachSheet((worksheet, sheetId) => {
+            const sheetName = worksheet.name;
+            result.SheetNames.push(sheetName);
+            if (onProgress) onProgress({ stage: 'parsing', current: result.SheetNames.length, total, sheet: sheetName });
+            
+            // 시트 데이터를 SheetJS 호환 형식으로 변환
+            const sheetData = {};
+            let maxRow = 0;
+            let maxCol = 0;
+            let minRow = Infinity;
+            let minCol = Infinity;
+            
+            worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+                maxRow = Math.max(maxRow, rowNumber);
+                minRow = Math.min(minRow, rowNumber);
+                
+                row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+                    maxCol = Math.max(maxCol, colNumber);
+                    minCol = Math.min(minCol, colNumber);
                     
-                    // SheetJS 호환 형식으로 변환
-                    const result = {
-                        SheetNames: [],
-                        Sheets: {}
+                    const cellAddress = ExcelCore._encodeCell(rowNumber - 1, colNumber - 1);
+                    sheetData[cellAddress] = {
+                        v: cell.value,
+                        t: typeof cell.value === 'number' ? 'n' : 's'
                     };
                     
-                    workbook.eachSheet((worksheet, sheetId) => {
-                        const sheetName = worksheet.name;
-                        result.SheetNames.push(sheetName);
-                        
-                        // 시트 데이터를 SheetJS 호환 형식으로 변환
-                        const sheetData = {};
-                        let maxRow = 0;
-                        let maxCol = 0;
-                        let minRow = Infinity;
-                        let minCol = Infinity;
-                        
-                        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-                            maxRow = Math.max(maxRow, rowNumber);
-                            minRow = Math.min(minRow, rowNumber);
-                            
-                            row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-                                maxCol = Math.max(maxCol, colNumber);
-                                minCol = Math.min(minCol, colNumber);
-                                
-                                const cellAddress = ExcelCore._encodeCell(rowNumber - 1, colNumber - 1);
-                                sheetData[cellAddress] = {
-                                    v: cell.value,
-                                    t: typeof cell.value === 'number' ? 'n' : 's'
-                                };
-                                
-                                // 수식 결과값 처리
-                                if (cell.value && typeof cell.value === 'object') {
-                                    if (cell.value.result !== undefined) {
-                                        sheetData[cellAddress].v = cell.value.result;
-                                        sheetData[cellAddress].t = typeof cell.value.result === 'number' ? 'n' : 's';
-                                    } else if (cell.value.text !== undefined) {
-                                        sheetData[cellAddress].v = cell.value.text;
-                                        sheetData[cellAddress].t = 's';
-                                    }
-                                }
-                            });
-                        });
-                        
-                        // 범위 설정
-                        if (minRow !== Infinity && minCol !== Infinity) {
-                            const startCell = ExcelCore._encodeCell(minRow - 1, minCol - 1);
-                            const endCell = ExcelCore._encodeCell(maxRow - 1, maxCol - 1);
-                            sheetData['!ref'] = `${startCell}:${endCell}`;
-                        } else {
-                            sheetData['!ref'] = 'A1:A1';
+                    // 수식 결과값 처리
+                    if (cell.value && typeof cell.value === 'object') {
+                        if (cell.value.result !== undefined) {
+                            sheetData[cellAddress].v = cell.value.result;
+                            sheetData[cellAddress].t = typeof cell.value.result === 'number' ? 'n' : 's';
+                        } else if (cell.value.text !== undefined) {
+                            sheetData[cellAddress].v = cell.value.text;
+                            sheetData[cellAddress].t = 's';
                         }
-                        
-                        result.Sheets[sheetName] = sheetData;
-                    });
-                    
-                    resolve(result);
-                } catch (err) {
-                    reject(err);
+                    }
+                });
+            });
+            
+            // 범위 설정
+            if (minRow !== Infinity && minCol !== Infinity) {
+                const startCell = ExcelCore._encodeCell(minRow - 1, minCol - 1);
+                const endCell = ExcelCore._encodeCell(maxRow - 1, maxCol - 1);
+                sheetData['!ref'] = `${startCell}:${endCell}`;
+            } else {
+                sheetData['!ref'] = 'A1:A1';
+            }
+            
+            result.Sheets[sheetName] = sheetData;
+        });
+        
+        return result;
+    },
+
+    // 레거시 엑셀(.xls BIFF2~8, SpreadsheetML 2003 등) 파싱 → SheetJS 호환 형식
+    // ExcelJS와 같이 병합 셀 값은 범위 안 모든 셀에 복제하고, 수식은 저장된 결과값 사용
+    async readLegacyBuffer(buffer, onProgress) {
+        if (typeof XLSX === 'undefined') {
+            await loadScript(SHEETJS_URL);
+        }
+
+        let workbook;
+        try {
+            workbook = XLSX.read(buffer, { type: 'array', cellDates: true, cellFormula: false, cellHTML: false });
+        } catch (error) {
+            if (/password|ECMA-376|EncryptionInfo|Encryption scheme/i.test(error.message)) {
+                throw ConvertError.create(
+                    'file-encrypted',
+                    '암호가 설정된 엑셀 파일은 읽을 수 없습니다. 엑셀에서 암호를 해제하고 다시 저장한 뒤 선택하세요.',
+                    { expected: '암호 없는 xlsx/xls', found: '암호 설정 파일' }
+                );
+            }
+            const format = ExcelCore.detectFormat(buffer);
+            const kind = format === 'cfb' ? '.xls' : '알 수 없는 형식의';
+            throw ConvertError.create(
+                'file-unreadable',
+                `${kind} 파일을 읽을 수 없습니다 (${error.message}). 엑셀에서 .xlsx로 다시 저장한 뒤 선택하세요.`,
+                { expected: 'xlsx 또는 xls', found: `${format === 'cfb' ? 'xls (CFB)' : '알 수 없는 형식'}: ${error.message}` }
+            );
+        }
+
+        const result = {
+            SheetNames: [],
+            Sheets: {}
+        };
+        const total = workbook.SheetNames.length;
+
+        workbook.SheetNames.forEach(sheetName => {
+            const source = workbook.Sheets[sheetName];
+            result.SheetNames.push(sheetName);
+            if (onProgress) onProgress({ stage: 'parsing', current: result.SheetNames.length, total, sheet: sheetName });
+
+            const sheetData = {};
+            Object.keys(source).forEach(address => {
+                if (address.startsWith('!')) return;
+                const cell = source[address];
+                if (cell.v === undefined || cell.v === null) return;
+                // 오류 셀은 표시 문자열 (#N/A 등)
+                const value = cell.t === 'e' ? (cell.w || '#ERROR') : cell.v;
+                sheetData[address] = { v: value, t: typeof value === 'number' ? 'n' : 's' };
+            });
+
+            (source['!merges'] || []).forEach(merge => {
+                const master = sheetData[ExcelCore._encodeCell(merge.s.r, merge.s.c)];
+                if (!master) return;
+                for (let r = merge.s.r; r <= merge.e.r; r++) {
+                    for (let c = merge.s.c; c <= merge.e.c; c++) {
+                        sheetData[ExcelCore._encodeCell(r, c)] = { ...master };
+                    }
                 }
-            };
-            reader.onerror = reject;
-            reader.readAsArrayBuffer(file);
+            });
+
+            sheetData['!ref'] = source['!ref'] || 'A1:A1';
+            result.Sheets[sheetName] = sheetData;
         });
+
+        return result;
     },
 
     // 셀 주소 인코딩 (0-indexed row, col -> "A1" 형식)
@@ -137,6 +251,24 @@ const ExcelCore = {
         return data;
     },
 
+    // 시트를 2차원 배열로 변환 (범위 시작 셀 기준, 빈 셀은 null)
+    sheetToArray(sheet) {
+        const ref = sheet['!ref'];
+        if (!ref) return [];
+
+        const range = ExcelCore.decodeRange(ref);
+        const rows = [];
+        for (let row = range.s.r; row <= range.e.r; row++) {
+            const values = [];
+            for (let col = range.s.c; col <= range.e.c; col++) {
+                const cell = sheet[ExcelCore._encodeCell(row, col)];
+                values.push(cell && cell.v !== undefined ? cell.v : null);
+            }
+            rows.push(values);
+        }
+        return rows;
+    },
+
     // 범위 디코딩 (SheetJS 호환)
     decodeRange(ref) {
         const parts = ref.split(':');
@@ -149,6 +281,21 @@ const ExcelCore = {
         };
     },
 
+    // 워크북 구조 [{ name, ref, rows, columns, cells }] (시트 이름, 사용 범위, 행/열 수, 값이 있는 셀 수, 셀 값 제외)
+    workbookInfo(workbook) {
+        return workbook.SheetNames.map(name => {
+            const sheet = workbook.Sheets[name];
+            const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+            return {
+                name,
+                ref: sheet['!ref'] || '',
+                rows: range.e.r - range.s.r + 1,
+                columns: range.e.c - range.s.c + 1,
+                cells: Object.keys(sheet).filter(key => !key.startsWith('!')).length
+            };
+        });
+    },
+
     // 셀 주소 디코딩 ("A1" -> {r: 0, c: 0})
     _decodeCell(addr) {
         let col = 0;
@@ -176,13 +323,14 @@ const ExcelCore = {
         return `${year}-${month}-${day}`;
     },
 
-    // 엑셀 파일 다운로드 (스타일 지원)
-    async downloadExcel(workbookData, fileName, styleOptions = {}) {
+    // 엑셀 파일 생성 (스타일 지원) → xlsx 바이너리
+    async writeExcel(workbookData, styleOptions = {}) {
         const workbook = new ExcelJS.Workbook();
         
         // 각 시트 추가
         for (const sheetInfo of workbookData.sheets) {
             const worksheet = workbook.addWorksheet(sheetInfo.name);
+            if (sheetInfo.hidden) worksheet.state = 'hidden';
             
             if (sheetInfo.data && sheetInfo.data.length > 0) {
                 // 헤더 추가 (_로 시작하는 내부 필드 제외)
@@ -199,8 +347,8 @@ const ExcelCore = {
                     fgColor: { argb: 'FFE0E0E0' }
                 };
                 
-                // 텍스트로 유지해야 하는 컬럼 (선행 0 보존)
-                const textColumns = ['단품코드', '코드'];
+                // 텍스트로 유지해야 하는 컬럼 (선행 0 보존, 시트에 textColumns가 있으면 그 헤더 목록)
+                const textColumns = sheetInfo.textColumns || ['단품코드', '코드'];
                 const textColIndices = new Set(
                     headers.map((h, i) => textColumns.includes(h) ? i : -1).filter(i => i >= 0)
                 );
@@ -256,14 +404,103 @@ const ExcelCore = {
             }
         }
         
-        // 파일 다운로드
-        const buffer = await workbook.xlsx.writeBuffer();
-        const blob = new Blob([buffer], { 
+        return workbook.xlsx.writeBuffer();
+    },
+
+    // xlsx 바이너리 → Blob
+    xlsxBlob(buffer) {
+        return new Blob([buffer], { 
             type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
         });
+    },
+
+    // 엑셀 파일 다운로드 (스타일 지원)
+    async downloadExcel(workbookData, fileName, styleOptions = {}) {
+        const buffer = await ExcelCore.writeExcel(workbookData, styleOptions);
+        saveAs(ExcelCore.xlsxBlob(buffer), fileName);
+    },
+
+    // 행 객체 목록 → CSV 문자열 (헤더는 첫 행 키, _로 시작하는 내부 필드 제외)
+    toCsv(data, delimiter = ',') {
+        if (!data || data.length === 0) return '';
+        const headers = Object.keys(data[0]).filter(h => !h.startsWith('_'));
+        const escape = (value) => {
+            if (value == null) return '';
+            const str = String(value);
+            return /[",\r\n]/.test(str) || str.includes(delimiter)
+                ? '"' + str.replace(/"/g, '""') + '"'
+                : str;
+        };
+        const lines = [headers.map(escape).join(delimiter)];
+        data.forEach(row => lines.push(headers.map(h => escape(row[h])).join(delimiter)));
+        return lines.join('\r\n');
+    },
+
+    // CSV 문자열 → 2차원 배열 (따옴표/줄바꿈 포함 필드 지원, BOM 제거)
+    parseCsv(text, delimiter = ',') {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        const src = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (src[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records.filter(r => r.some(v => v !== ''));
+    },
+
+    // CSV 다운로드 (UTF-8 BOM 포함, 엑셀에서 한글 깨짐 방지)
+    downloadCsv(data, fileName) {
+        const blob = new Blob(['\uFEFF' + ExcelCore.toCsv(data)], { type: 'text/csv;charset=utf-8' });
         saveAs(blob, fileName);
     },
 
+    // 여러 파일을 zip Blob으로 묶기 (files: [{ name, data }])
+    // Node의 JSZip은 Blob을 읽고 쓰지 못하므로 바이트로 변환해서 묶음
+    async createZip(files) {
+        const zip = new JSZip();
+        for (const file of files) {
+            zip.file(file.name, file.data instanceof Blob ? await file.data.arrayBuffer() : file.data);
+        }
+        const data = await zip.generateAsync({ type: 'uint8array' });
+        return new Blob([data], { type: 'application/zip' });
+    },
+
+    // 여러 파일을 zip으로 묶어 다운로드 (files: [{ name, data }])
+    async downloadZip(files, fileName) {
+        saveAs(await ExcelCore.createZip(files), fileName);
+    },
+
     // 새 워크북 데이터 생성
     createWorkbook() {
         return {
@@ -272,26 +509,35 @@ const ExcelCore = {
     },
 
     // 시트 추가
-    addSheet(workbook, data, sheetName) {
+    // options.hidden: xlsx에서 숨김 시트
+    addSheet(workbook, data, sheetName, options = {}) {
         workbook.sheets.push({
             name: sheetName,
-            data: data
+            data: data,
+            ...(options.hidden ? { hidden: true } : {})
         });
     }
 };
 
 // 상태 표시 유틸리티
+// message는 텍스트로 표시 (파일명/시트 이름/셀 값이 들어간 오류 메시지를 HTML로 해석하지 않음)
 const StatusManager = {
     show(elementId, type, message) {
         const status = document.getElementById(elementId);
         if (status) {
             status.className = 'status ' + type;
-            status.innerHTML = message;
+            status.textContent = message;
         }
+        return status;
     },
 
     processing(elementId, message = '처리 중...') {
-        this.show(elementId, 'processing', `<span class="spinner"></span>${message}`);
+        const status = this.show(elementId, 'processing', message);
+        if (status) {
+            const spinner = document.createElement('span');
+            spinner.className = 'spinner';
+            status.prepend(spinner);
+        }
     },
 
     success(elementId, message) {
@@ -313,32 +559,89 @@ const StatusManager = {
 
 // 파일 입력 관리 유틸리티
 const FileInputManager = {
-    setup(inputId, displayId, onChange) {
+    // options.multiple: 여러 파일 선택 (onChange에 파일 배열 전달)
+    // options.allowFolderDrop: 폴더 드롭 시 하위 파일 중 accept 확장자만 수집 (multiple 전용)
+    setup(inputId, displayId, onChange, options = {}) {
         const input = document.getElementById(inputId);
         const display = document.getElementById(displayId);
 
         if (!input) return null;
 
-        let file = null;
+        let files = [];
+        if (options.multiple) input.multiple = true;
 
-        input.addEventListener('change', function(e) {
-            file = e.target.files[0];
+        function setFiles(newFiles) {
+            files = newFiles;
             if (display) {
-                display.textContent = file ? file.name : '';
+                if (files.length > 1) {
+                    display.textContent = `${files.length}개 파일: ` + files.map(f => f.name).join(', ');
+                } else {
+                    display.textContent = files.length === 1 ? files[0].name : '';
+                }
             }
-            input.classList.toggle('has-file', !!file);
-            if (onChange) onChange(file);
+            input.classList.toggle('has-file', files.length > 0);
+            if (onChange) onChange(options.multiple ? files : (files[0] || null));
+        }
+
+        input.addEventListener('change', function(e) {
+            const selected = Array.from(e.target.files || []);
+            setFiles(options.multiple ? selected : selected.slice(0, 1));
         });
 
+        if (options.multiple && options.allowFolderDrop) {
+            input.addEventListener('drop', async (e) => {
+                // DataTransfer 항목은 이벤트 처리 중에만 유효하므로 먼저 엔트리로 변환
+                const entries = Array.from(e.dataTransfer ? e.dataTransfer.items : [])
+                    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+                    .filter(Boolean);
+
+                // 폴더가 없으면 브라우저 기본 동작(파일 드롭)에 맡김
+                if (!entries.some(entry => entry.isDirectory)) return;
+                e.preventDefault();
+
+                const collected = await FileInputManager._collectFiles(entries);
+                const extensions = input.accept
+                    ? input.accept.split(',').map(ext => ext.trim().toLowerCase())
+                    : [];
+                const accepted = collected
+                    .filter(f => extensions.length === 0 || extensions.some(ext => f.name.toLowerCase().endsWith(ext)))
+                    .filter(f => !f.name.startsWith('~$'))  // 엑셀 임시 파일 제외
+                    .sort((a, b) => a.name.localeCompare(b.name, 'ko', { numeric: true }));
+                setFiles(accepted);
+            });
+        }
+
         return {
-            getFile: () => file,
+            getFile: () => files[0] || null,
+            getFiles: () => [...files],
+            // 파일 직접 지정 (저장된 파일로 다시 변환 등, onChange 호출)
+            setFiles: (newFiles) => setFiles(options.multiple ? [...newFiles] : newFiles.slice(0, 1)),
             clear: () => {
-                file = null;
+                files = [];
                 input.value = '';
                 if (display) display.textContent = '';
                 input.classList.remove('has-file');
             }
         };
+    },
+
+    // 드롭된 파일/폴더 엔트리에서 파일 목록 수집 (폴더는 재귀 탐색)
+    async _collectFiles(entries) {
+        const files = [];
+        for (const entry of entries) {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                // readEntries는 한 번에 일부만 반환하므로 빈 배열이 나올 때까지 반복
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    files.push(...await FileInputManager._collectFiles(batch));
+                } while (batch.length > 0);
+            }
+        }
+        return files;
     }
 };
 
@@ -0,0 +1,298 @@
+/**
+ * 구조화된 변환 오류
+ * 오류 코드, 심각도, 시트, 셀, 기대 값/실제 값, 해결 방법을 담아 JS 변환기와 WASM 결과가 같은 형식으로 보고
+ * 화면은 ErrorPanel(오류별 펼침 항목), 진단 보고서는 오류와 워크북 구조(시트 이름/범위)만 담고 셀 값은 넣지 않음
+ */
+
+// 오류 코드 (code → { title, severity, hint }), severity: fail (변환 중단) / warn (계속 진행)
+const ERROR_CODES = {
+    'file-encrypted': {
+        title: '암호 설정 파일',
+        severity: 'fail',
+        hint: '엑셀에서 암호를 해제하고 다시 저장한 뒤 선택하세요'
+    },
+    'file-unreadable': {
+        title: '파일을 읽을 수 없음',
+        severity: 'fail',
+        hint: '엑셀에서 열리는지 확인하고 .xlsx로 다시 저장한 뒤 선택하세요'
+    },
+    'script-load': {
+        title: '라이브러리 로드 실패',
+        severity: 'fail',
+        hint: '페이지를 새로고침하세요 (직접 배포한 경우 src/vendor에 라이브러리가 있는지 확인, README 배포 참고)'
+    },
+    'header-columns': {
+        title: '필수 컬럼 없음',
+        severity: 'fail',
+        hint: '헤더 행에 필수 컬럼(또는 별칭)이 모두 있는지 확인하세요 (매핑 테이블: 코드, 원본 사업장명, 사업장명)'
+    },
+    'layout-unknown': {
+        title: '원본 형식 판별 불가',
+        severity: 'fail',
+        hint: '원본 양식(시트 이름, 매장 블록 라벨, 날짜 셀)이 지원하는 형식과 같은지 확인하세요'
+    },
+    'layout-invalid': {
+        title: '레이아웃 정의 오류',
+        severity: 'fail',
+        hint: '레이아웃 설정의 셀 주소/패턴을 확인하세요'
+    },
+    'sheet-missing': {
+        title: '시트 없음',
+        severity: 'fail',
+        hint: '시트 이름이 바뀌었거나 삭제되지 않았는지 확인하세요'
+    },
+    'date-missing': {
+        title: '날짜 셀 비어 있음',
+        severity: 'fail',
+        hint: '날짜 셀에 날짜를 입력하거나 주 시작일을 직접 입력하세요'
+    },
+    'date-invalid': {
+        title: '날짜 인식 불가',
+        severity: 'fail',
+        hint: '날짜 셀 표기를 "(26.1.19 월요일)" 형식으로 고치거나 주 시작일을 직접 입력하세요'
+    },
+    'date-unresolved': {
+        title: '날짜 결정 불가',
+        severity: 'fail',
+        hint: '파일명에 날짜를 넣거나 주 시작일을 직접 입력하세요'
+    },
+    'wasm-unavailable': {
+        title: 'WASM 엔진 사용 불가',
+        severity: 'fail',
+        hint: '엔진을 auto 또는 js로 바꿔 변환하세요'
+    },
+    'wasm-failed': {
+        title: 'WASM 변환 실패',
+        severity: 'fail',
+        hint: 'JS 엔진으로 다시 변환해 결과를 확인하세요'
+    },
+    'unknown': {
+        title: '오류',
+        severity: 'fail',
+        hint: ''
+    }
+};
+
+const SEVERITY_LABELS = { fail: '오류', warn: '경고' };
+
+// 위치/비교 필드 (없으면 빈 문자열)
+const ERROR_FIELDS = ['sheet', 'cell', 'expected', 'found'];
+
+// 진단 보고서용 오류 정보: found와 message에는 셀 값(제목 셀의 사업장명/메뉴명, 헤더 등)이 들어가므로
+// found는 비우고 message는 위치(시트/셀)와 오류 제목으로 바꿈. 기대 형식(expected)과 해결 방법은 유지
+function reportEntry(info) {
+    const location = [info.sheet && `[${info.sheet}]`, info.cell].filter(Boolean).join(' ');
+    return {
+        ...info,
+        message: location ? `${location} ${info.title}` : info.title,
+        found: ''
+    };
+}
+
+const ConvertError = {
+    codes: ERROR_CODES,
+    severityLabels: SEVERITY_LABELS,
+
+    // 구조화된 오류 (Error에 code/severity/sheet/cell/expected/found/hint 속성)
+    // fields: { sheet, cell, expected, found, hint?, severity? } (hint/severity가 없으면 코드 기본값)
+    create(code, message, fields = {}) {
+        const def = ERROR_CODES[code] || ERROR_CODES.unknown;
+        const error = new Error(message);
+        error.code = code;
+        error.severity = fields.severity || def.severity;
+        error.hint = fields.hint || def.hint;
+        ERROR_FIELDS.forEach(key => {
+            error[key] = fields[key] == null ? '' : String(fields[key]);
+        });
+        return error;
+    },
+
+    // 오류 → 표시/저장용 정보 { code, title, severity, message, sheet, cell, expected, found, hint }
+    // 코드가 없는 오류(일반 Error, 저장소/파일 시스템 오류 등)는 'unknown'
+    describe(error) {
+        const code = error && error.code in ERROR_CODES ? error.code : 'unknown';
+        const def = ERROR_CODES[code];
+        const info = {
+            code,
+            title: def.title,
+            severity: (error && error.severity) || def.severity,
+            message: error ? String(error.message || error) : '',
+            hint: (error && error.hint) || def.hint
+        };
+        ERROR_FIELDS.forEach(key => {
+            info[key] = error && error[key] != null ? String(error[key]) : '';
+        });
+        return info;
+    },
+
+    // WASM 변환 실패 결과 → 오류 (error_info가 없는 이전 빌드는 메시지만 'wasm-failed'로)
+    fromWasm(result) {
+        const info = result.error_info;
+        if (info && info.code) {
+            return ConvertError.create(info.code, info.message || result.error || '변환 실패', info);
+        }
+        return ConvertError.create('wasm-failed', result.error || '변환 실패');
+    },
+
+    // 진단 보고서 (JSON으로 저장). 오류 목록과 입력 파일 구조만 포함하고 변환 데이터/셀 값은 넣지 않음
+    // errors: 오류 정보 (describe 결과, 일괄 변환은 fileName 포함). found/message는 위치만 남김 (reportEntry)
+    // files: 입력 파일 [{ role, name, size, format, sheets: ExcelCore.workbookInfo 결과, readError }]
+    report({ converter, errors, files }) {
+        return {
+            generatedAt: new Date().toISOString(),
+            converter,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            errors: errors.map(reportEntry),
+            files
+        };
+    }
+};
+
+const ERROR_PANEL_STYLE = `
+    .error-panel {
+        display: none;
+        margin-top: 10px;
+        padding: 10px 12px;
+        border: 1px solid #ffcdd2;
+        border-radius: 8px;
+        background: #fff8f8;
+        font-size: 12px;
+        color: #555;
+    }
+    .error-panel.has-data {
+        display: block;
+    }
+    .error-panel h4 {
+        font-size: 13px;
+        margin-bottom: 6px;
+        color: #c62828;
+    }
+    .error-panel details {
+        padding: 4px 0;
+        border-top: 1px solid #fbe9e7;
+    }
+    .error-panel summary {
+        cursor: pointer;
+        color: #333;
+    }
+    .error-panel summary .code {
+        color: #888;
+    }
+    .error-panel dl {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 2px 10px;
+        margin: 6px 0 0 14px;
+    }
+    .error-panel dt {
+        color: #888;
+    }
+    .error-panel dd {
+        margin: 0;
+        word-break: break-all;
+    }
+    .error-panel .hint {
+        color: #2e7d32;
+    }
+    .error-panel-actions {
+        margin-top: 8px;
+    }
+    .error-panel-actions button {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = ERROR_PANEL_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 펼친 오류의 항목 (값이 있는 것만)
+const DETAIL_LABELS = [
+    ['fileName', '파일'],
+    ['sheet', '시트'],
+    ['cell', '셀'],
+    ['expected', '기대 값'],
+    ['found', '실제 값'],
+    ['message', '내용'],
+    ['hint', '해결 방법']
+];
+
+const ErrorPanel = {
+    // 오류 목록 패널 (오류별 펼침 항목 + 진단 보고서 다운로드)
+    // options.onReport(errors): 진단 보고서 다운로드 (없으면 버튼 숨김)
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('error-panel');
+        let current = [];
+
+        function renderError(info) {
+            const item = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `${SEVERITY_LABELS[info.severity] || info.severity} · ${info.title} `;
+            const code = document.createElement('span');
+            code.className = 'code';
+            code.textContent = `(${info.code})` + (info.fileName ? ` ${info.fileName}` : '');
+            summary.appendChild(code);
+            item.appendChild(summary);
+
+            const list = document.createElement('dl');
+            DETAIL_LABELS.forEach(([key, label]) => {
+                if (!info[key]) return;
+                const dt = document.createElement('dt');
+                dt.textContent = label;
+                const dd = document.createElement('dd');
+                dd.textContent = info[key];
+                if (key === 'hint') dd.className = 'hint';
+                list.append(dt, dd);
+            });
+            item.appendChild(list);
+            return item;
+        }
+
+        // errors: 오류 정보 목록 (describe 결과, fileName 선택). 하나뿐이면 펼친 상태로 표시
+        function show(errors) {
+            current = errors;
+            container.innerHTML = '';
+            container.classList.toggle('has-data', errors.length > 0);
+            if (errors.length === 0) return;
+
+            const title = document.createElement('h4');
+            title.textContent = `오류 ${errors.length}건 - 항목을 펼치면 위치와 해결 방법을 볼 수 있습니다`;
+            container.appendChild(title);
+            errors.forEach(info => container.appendChild(renderError(info)));
+            if (errors.length === 1) container.querySelector('details').open = true;
+
+            if (options.onReport) {
+                const actions = document.createElement('div');
+                actions.className = 'error-panel-actions';
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = '진단 보고서 다운로드';
+                btn.title = '오류 목록과 입력 파일 구조(시트 이름, 범위)만 저장하며 셀 값은 포함하지 않습니다';
+                btn.addEventListener('click', () => options.onReport(current));
+                actions.appendChild(btn);
+                container.appendChild(actions);
+            }
+        }
+
+        return {
+            show,
+            clear: () => show([])
+        };
+    }
+};
+
+export { ConvertError, ErrorPanel, ERROR_CODES };
@@ -0,0 +1,302 @@
+/**
+ * 변환 기록
+ * 변환할 때마다 입력 파일(해시 포함), 매핑 버전, 처리 방식, 건수, 검증 요약, 소요 시간을 컨버터별로 저장 (IndexedDB)
+ * 입력 파일과 다운로드한 결과 파일도 보관하여 다시 다운로드/현재 매핑으로 다시 변환 가능
+ */
+
+import { LocalStore } from './storage.js?v=10';
+
+// 컨버터별 보관 개수 (입력/결과 파일을 함께 저장하므로 오래된 기록부터 삭제)
+const HISTORY_LIMIT = 30;
+
+// 파일 SHA-256 (16진수, crypto.subtle이 없는 환경에서는 빈 문자열)
+async function hashFile(file) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return '';
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const HistoryStore = {
+    // 기록 목록 (최신순)
+    async list(converterId) {
+        const records = await LocalStore.getAll('history', 'converterId', converterId);
+        return records.sort((a, b) => b.id - a.id);
+    },
+
+    async get(id) {
+        return (await LocalStore.get('history', id)) || null;
+    },
+
+    // 변환 기록 추가 (보관 개수를 넘으면 오래된 기록 삭제)
+    // entry: { files, mapping: { name, version? }, mode, count, validation: { text, counts }, elapsed, sources? }
+    // - sources: 일괄 변환 파일별 { fileName, mode, error } (files와 같은 순서)
+    async add(converterId, entry) {
+        const inputs = [];
+        for (const [index, file] of entry.files.entries()) {
+            const source = entry.sources ? entry.sources[index] : null;
+            inputs.push({
+                name: file.name,
+                size: file.size,
+                lastModified: file.lastModified,
+                hash: await hashFile(file),
+                mode: source ? source.mode : entry.mode,
+                error: source ? source.error : '',
+                data: file
+            });
+        }
+
+        const record = {
+            converterId,
+            createdAt: new Date().toISOString(),
+            inputs,
+            mapping: entry.mapping,
+            mode: entry.mode,
+            count: entry.count,
+            validation: entry.validation,
+            elapsed: entry.elapsed,
+            output: null
+        };
+        record.id = await LocalStore.put('history', record);
+
+        const records = await HistoryStore.list(converterId);
+        for (const old of records.slice(HISTORY_LIMIT)) {
+            await LocalStore.delete('history', old.id);
+        }
+        return record;
+    },
+
+    // 다운로드한 결과 파일 저장 (마지막 다운로드만 보관)
+    async setOutput(id, fileName, blob) {
+        const record = await HistoryStore.get(id);
+        if (!record) return null;
+        record.output = { fileName, blob, savedAt: new Date().toISOString() };
+        await LocalStore.put('history', record);
+        return record;
+    },
+
+    async remove(id) {
+        return LocalStore.delete('history', id);
+    },
+
+    async clear(converterId) {
+        const records = await HistoryStore.list(converterId);
+        for (const record of records) {
+            await LocalStore.delete('history', record.id);
+        }
+    },
+
+    // 저장된 입력 파일 → File (다시 변환용)
+    toFiles(record) {
+        return record.inputs.map(input => new File([input.data], input.name, { lastModified: input.lastModified }));
+    }
+};
+
+// ========== 변환 기록 화면 ==========
+
+const HISTORY_STYLE = `
+    .history {
+        margin-top: 20px;
+        font-size: 13px;
+        color: #555;
+    }
+    .history summary {
+        cursor: pointer;
+        font-weight: 600;
+    }
+    .history-empty {
+        padding: 8px 0;
+        color: #888;
+    }
+    .history-item {
+        padding: 8px 0;
+        border-top: 1px solid #f0f0f0;
+    }
+    .history-title {
+        color: #333;
+    }
+    .history-title span {
+        color: #888;
+    }
+    .history-detail {
+        margin-top: 2px;
+        font-size: 12px;
+        color: #888;
+        word-break: break-all;
+    }
+    .history-detail.fail {
+        color: #c62828;
+    }
+    .history-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 6px;
+    }
+    .history-actions button {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = HISTORY_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+const HistoryPanel = {
+    // options.converterId: 기록을 조회할 컨버터
+    // options.onRerun(record): 현재 매핑으로 다시 변환
+    // options.onDownload(record): 저장된 결과 파일 다시 다운로드
+    // options.onCompare(record): 저장된 결과 파일을 이전 결과로 사용 (없으면 버튼 숨김)
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.innerHTML = `
+            <details class="history">
+                <summary>변환 기록</summary>
+                <div class="history-list"></div>
+                <div class="history-actions">
+                    <button type="button" class="clear">기록 모두 삭제</button>
+                </div>
+            </details>
+        `;
+
+        const summaryEl = container.querySelector('summary');
+        const listEl = container.querySelector('.history-list');
+
+        function button(text, onClick) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = text;
+            btn.addEventListener('click', onClick);
+            return btn;
+        }
+
+        function renderItem(record) {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = `${new Date(record.createdAt).toLocaleString('ko-KR')} `;
+            const meta = document.createElement('span');
+            meta.textContent = `${record.mode} · ${record.count}건 · ${record.elapsed}초`;
+            title.appendChild(meta);
+
+            const inputs = document.createElement('div');
+            inputs.className = 'history-detail';
+            inputs.textContent = '입력: ' + record.inputs.map(input =>
+                `${input.name} (${formatSize(input.size)}${input.hash ? `, SHA-256 ${input.hash.slice(0, 12)}` : ''}` +
+                `${record.inputs.length > 1 && input.mode ? `, ${input.mode}` : ''}${input.error ? `, 오류: ${input.error}` : ''})`
+            ).join(', ');
+            inputs.title = record.inputs.map(input => `${input.name}: ${input.hash}`).join('\n');
+
+            const mapping = document.createElement('div');
+            mapping.className = 'history-detail';
+            mapping.textContent = '매핑: ' + (record.mapping.version
+                ? `v${record.mapping.version} · ${record.mapping.name}`
+                : `${record.mapping.name} (저장 안 됨)`);
+
+            const validation = document.createElement('div');
+            validation.className = 'history-detail';
+            validation.classList.toggle('fail', record.validation.counts.fail > 0);
+            validation.textContent = record.validation.text;
+
+            const output = document.createElement('div');
+            output.className = 'history-detail';
+            output.textContent = record.output
+                ? `결과: ${record.output.fileName} (${new Date(record.output.savedAt).toLocaleString('ko-KR')} 다운로드)`
+                : '결과: 다운로드하지 않음';
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            actions.appendChild(button('현재 매핑으로 다시 변환', () => options.onRerun(record)));
+            if (record.output) {
+                actions.appendChild(button('결과 다시 다운로드', () => options.onDownload(record)));
+                if (options.onCompare) actions.appendChild(button('이전 결과로 비교', () => options.onCompare(record)));
+            }
+            actions.appendChild(button('삭제', async () => {
+                await HistoryStore.remove(record.id);
+                refresh();
+            }));
+
+            item.append(title, inputs, mapping, validation, output, actions);
+            return item;
+        }
+
+        async function refresh() {
+            let records = [];
+            try {
+                records = await HistoryStore.list(options.converterId);
+            } catch (error) {
+                console.warn('변환 기록 조회 실패:', error);
+            }
+
+            summaryEl.textContent = `변환 기록 (${records.length})`;
+            listEl.innerHTML = '';
+            if (records.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'history-empty';
+                empty.textContent = '변환 기록이 없습니다';
+                listEl.appendChild(empty);
+                return;
+            }
+            records.forEach(record => listEl.appendChild(renderItem(record)));
+        }
+
+        container.querySelector('.clear').addEventListener('click', async () => {
+            if (!confirm('변환 기록을 모두 삭제할까요? (보관된 입력/결과 파일도 삭제됩니다)')) return;
+            try {
+                await HistoryStore.clear(options.converterId);
+            } catch (error) {
+                console.warn('변환 기록 삭제 실패:', error);
+            }
+            refresh();
+        });
+
+        refresh();
+
+        return {
+            refresh,
+            // 변환 기록 추가 → 기록 id (저장 실패는 변환 결과에 영향 없음, null)
+            // entry: HistoryStore.add와 같음
+            async add(entry) {
+                try {
+                    const record = await HistoryStore.add(options.converterId, entry);
+                    refresh();
+                    return record.id;
+                } catch (error) {
+                    console.warn('변환 기록 저장 실패:', error);
+                    return null;
+                }
+            },
+            // 다운로드한 결과 파일을 기록에 보관 (id가 없으면 무시)
+            async setOutput(id, fileName, blob) {
+                if (!id) return;
+                try {
+                    await HistoryStore.setOutput(id, fileName, blob);
+                    refresh();
+                } catch (error) {
+                    console.warn('결과 파일 기록 실패:', error);
+                }
+            }
+        };
+    }
+};
+
+export { HistoryStore, HistoryPanel };
@@ -0,0 +1,321 @@
+/**
+ * 원본 시트 레이아웃 해석기
+ * JSON 형식의 레이아웃 정의(블록 앵커 패턴, 컬럼 오프셋, 데이터 시작 행, 합계 셀, 최대 행 수)로
+ * 시트에서 블록/상품 행/합계를 읽고, 워크북이 어떤 레이아웃에 맞는지 판별. 행/열은 getCellValue와 같이 1부터 시작
+ */
+
+import { ExcelCore } from './core.js?v=10';
+import { ConvertError } from './errors.js?v=10';
+
+// 읽지 않거나 바꿔 읽은 셀 경고 (code → 구분)
+// 경고: { code, cell, value, reason } (value: 원본 셀 값 문자열)
+const READ_WARNINGS = {
+    'block-end': '블록 끝 처리',
+    'row-limit': '최대 행 수 초과',
+    'empty-product': '품목명 없음',
+    'product-not-text': '품목명이 문자열 아님',
+    'empty-box': 'Box 없음',
+    'zero-box': 'Box 0',
+    'box-coerced': 'Box 값 변환',
+    'merged-repeat': '병합 셀 반복 라벨 제외'
+};
+
+// 경고에 남길 셀 값 (수식 객체 등은 JSON, 100자까지)
+function rawText(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    return text.length > 100 ? text.slice(0, 100) + '…' : text;
+}
+
+// 열 문자 → 열 번호 ("B" → 2)
+function columnIndex(letters) {
+    let col = 0;
+    for (const ch of String(letters).toUpperCase()) {
+        col = col * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return col;
+}
+
+const SheetLayout = {
+    // 셀 주소 → { row, col } ("F8" → { row: 8, col: 6 })
+    cell(ref) {
+        const match = String(ref).match(/^([A-Za-z]+)(\d+)$/);
+        if (!match) throw ConvertError.create('layout-invalid', `레이아웃 셀 주소 오류: ${ref}`, { expected: '셀 주소 (예: F8)', found: ref });
+        return { row: parseInt(match[2]), col: columnIndex(match[1]) };
+    },
+
+    column(letters) {
+        return columnIndex(letters);
+    },
+
+    // 셀 값에 정규식 적용 (문자열 셀만, 일치 결과 또는 null)
+    matchCell(sheet, ref, pattern) {
+        const { row, col } = SheetLayout.cell(ref);
+        const value = ExcelCore.getCellValue(sheet, row, col);
+        if (!value || typeof value !== 'string') return null;
+        return value.match(new RegExp(pattern));
+    },
+
+    // 블록 앵커 찾기
+    // def.anchor: { pattern, columns?: ['B', ...] (없으면 모든 열), skipMergedRepeat? }
+    // def.columns: 앵커 열 기준 오프셋 ({ no: 0, product: 3, ... })
+    // onWarning: 경고 콜백 (병합 셀 반복 라벨을 건너뛴 범위, READ_WARNINGS 참고)
+    // 반환: [{ row, col, match, cols: { no, product, ... } }] (cols는 절대 열 번호)
+    findBlocks(sheet, def, onWarning) {
+        const blocks = [];
+        const repeats = [];  // 건너뛴 병합 셀 반복 라벨 { row, anchor, start, end, value } (같은 행 연속 열은 하나로)
+        const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+        const pattern = new RegExp(def.anchor.pattern);
+        const anchorCols = def.anchor.columns
+            ? def.anchor.columns.map(columnIndex)
+            : Array.from({ length: range.e.c + 1 }, (_, i) => i + 1);
+
+        for (let row = 1; row <= range.e.r + 1; row++) {
+            for (const col of anchorCols) {
+                const value = ExcelCore.getCellValue(sheet, row, col);
+                if (!value || typeof value !== 'string') continue;
+                const match = value.trim().match(pattern);
+                if (!match) continue;
+
+                // 병합 셀 값이 범위 안 모든 셀에 복제된 경우 첫 셀만 앵커로 사용
+                if (def.anchor.skipMergedRepeat && col > 1 &&
+                    ExcelCore.getCellValue(sheet, row, col - 1) === value) {
+                    const last = repeats[repeats.length - 1];
+                    if (last && last.row === row && last.end === col - 1) {
+                        last.end = col;
+                    } else {
+                        repeats.push({ row, anchor: col - 1, start: col, end: col, value });
+                    }
+                    continue;
+                }
+
+                const cols = {};
+                Object.entries(def.columns).forEach(([key, offset]) => { cols[key] = col + offset; });
+                blocks.push({ row, col, match, cols });
+            }
+        }
+
+        if (onWarning) {
+            repeats.forEach(({ row, anchor, start, end, value }) => {
+                const first = ExcelCore._encodeCell(row - 1, start - 1);
+                onWarning({
+                    code: 'merged-repeat',
+                    cell: start === end ? first : `${first}:${ExcelCore._encodeCell(row - 1, end - 1)}`,
+                    value: rawText(value),
+                    reason: `병합 셀 값이 반복되어 ${ExcelCore._encodeCell(row - 1, anchor - 1)}만 블록 라벨로 사용`
+                });
+            });
+        }
+        return blocks;
+    },
+
+    // 블록 행의 컬럼별 셀 주소 ({ no: 'B14', product: 'E14', ... })
+    rowCells(block, row) {
+        const cells = {};
+        Object.entries(block.cols).forEach(([key, col]) => { cells[key] = ExcelCore._encodeCell(row - 1, col - 1); });
+        return cells;
+    },
+
+    // 블록의 데이터 행 읽기 (상품명/수량이 없는 행은 제외)
+    // def.rows: { startOffset, maxRows, stopOnInvalidNo?, textOnly? }
+    // onWarning: 경고 콜백 (건너뛴 행, 블록 끝/최대 행 수로 읽지 않은 행, 숫자로 바꿔 읽은 Box, READ_WARNINGS 참고)
+    // 반환: [{ row, productName, boxQty, afternoon, cells }] (cells: rowCells 셀 주소)
+    // - stopOnInvalidNo: NO 열이 숫자가 아니면 블록 끝으로 간주 (NO/품목/Box가 모두 빈 행에서 끝나면 경고 없음)
+    // - textOnly: 상품명이 문자열인 행만 (수식 객체/숫자 footer 행 제외)
+    readRows(sheet, block, def, onWarning) {
+        const rows = [];
+        const { startOffset, maxRows, stopOnInvalidNo, textOnly } = def.rows;
+        const range = ExcelCore.decodeRange(sheet['!ref'] || 'A1');
+        const startRow = block.row + startOffset;
+        const endRow = Math.min(startRow + maxRows - 1, range.e.r + 1);
+        const value = (row, key) => ExcelCore.getCellValue(sheet, row, block.cols[key]);
+        const warn = (code, row, key, raw, reason) => {
+            if (onWarning) onWarning({ code, cell: ExcelCore._encodeCell(row - 1, block.cols[key] - 1), value: rawText(raw), reason });
+        };
+
+        let stopped = false;
+        for (let row = startRow; row <= endRow; row++) {
+            if (stopOnInvalidNo) {
+                const no = value(row, 'no');
+                if (no === null || isNaN(parseInt(no))) {
+                    const product = value(row, 'product');
+                    if (no !== null) {
+                        warn('block-end', row, 'no', no, `NO 값이 숫자가 아니어서 ${row}행부터 읽지 않음`);
+                    } else if (product || value(row, 'box')) {
+                        warn('block-end', row, 'no', product || value(row, 'box'), `NO가 비어 있어 ${row}행부터 읽지 않음 (품목/Box 값 있음)`);
+                    }
+                    stopped = true;
+                    break;
+                }
+            }
+
+            const product = value(row, 'product');
+            if (!product || !String(product).trim()) {
+                const box = value(row, 'box');
+                if (parseInt(box)) warn('empty-product', row, 'product', box, `품목명이 비어 있어 Box ${rawText(box)} 행을 건너뜀`);
+                continue;
+            }
+            if (textOnly && typeof product !== 'string') {
+                warn('product-not-text', row, 'product', product, '품목명이 문자열이 아니어서(수식 결과/숫자) 행을 건너뜀');
+                continue;
+            }
+            const productName = String(product).trim();
+
+            const rawBox = value(row, 'box');
+            const boxQty = parseInt(rawBox) || 0;
+            if (boxQty === 0) {
+                if (rawBox === null || String(rawBox).trim() === '') {
+                    warn('empty-box', row, 'box', rawBox, `${productName}: Box가 비어 있어 행을 건너뜀`);
+                } else {
+                    warn('zero-box', row, 'box', rawBox, `${productName}: Box가 0 또는 숫자가 아니어서 행을 건너뜀`);
+                }
+                continue;
+            }
+            if (String(rawBox).trim() !== String(boxQty)) {
+                warn('box-coerced', row, 'box', rawBox, `${productName}: Box ${rawText(rawBox)}을(를) ${boxQty}(으)로 읽음`);
+            }
+
+            const afternoon = ExcelCore.getCellValue(sheet, row, block.cols.afternoon);
+            rows.push({
+                row,
+                productName,
+                boxQty,
+                afternoon: afternoon ? String(afternoon).trim() : '',
+                cells: SheetLayout.rowCells(block, row)
+            });
+        }
+
+        // 최대 행 수까지 읽었는데 다음 행에도 품목/Box가 있으면 잘린 것으로 경고
+        const next = endRow + 1;
+        if (!stopped && endRow === startRow + maxRows - 1 && next <= range.e.r + 1) {
+            const no = value(next, 'no');
+            const product = value(next, 'product');
+            const hasNo = !stopOnInvalidNo || (no !== null && !isNaN(parseInt(no)));
+            if (hasNo && product && parseInt(value(next, 'box'))) {
+                warn('row-limit', next, 'product', product, `블록 최대 ${maxRows}행까지만 읽어 ${next}행부터 읽지 않음`);
+            }
+        }
+        return rows;
+    },
+
+    // 단품코드 시트 여부 (제외 시트/패턴이 아니고 헤더 셀에 header 문자열이 있는 시트)
+    // def: { headerCell, header, skipSheets?, skipPattern? }
+    isProductSheet(workbook, sheetName, def) {
+        if ((def.skipSheets || []).includes(sheetName)) return false;
+        if (def.skipPattern && new RegExp(def.skipPattern).test(sheetName)) return false;
+
+        const { row, col } = SheetLayout.cell(def.headerCell);
+        const header = ExcelCore.getCellValue(workbook.Sheets[sheetName], row, col);
+        return !!header && String(header).includes(def.header);
+    },
+
+    // 워크북이 레이아웃에 얼마나 맞는지 평가 (0~1)와 근거
+    // 시트 구성 0.3 / 날짜 셀 0.2 / 블록 앵커 0.3 / 데이터 행 0.1 / 단품코드 시트 0.1
+    evaluate(workbook, layout) {
+        const evidence = [];
+        const missing = [];
+        const has = name => workbook.SheetNames.includes(name);
+        let score = 0;
+
+        // 시트 구성
+        const { anySheets, allSheets, noSheets } = layout.match;
+        const conflicts = (noSheets || []).filter(has);
+        const found = [...(anySheets || []), ...(allSheets || [])].filter(has);
+        const anyOk = !anySheets || anySheets.some(has);
+        const allOk = !allSheets || allSheets.every(has);
+        if (conflicts.length > 0) {
+            missing.push(`이 형식에 없어야 할 시트: ${conflicts.join(', ')}`);
+        } else if (anyOk && allOk) {
+            score += 0.3;
+            evidence.push(`시트: ${found.join(', ')}`);
+        } else {
+            const expected = [...(allSheets || []), ...(anySheets || [])];
+            missing.push(`필요한 시트 없음: ${expected.filter(name => !has(name)).join(', ')}`);
+        }
+
+        const sheets = (layout.daySheets || [layout.sheet]).filter(has);
+
+        // 날짜 셀
+        const dated = sheets.filter(name => SheetLayout.matchCell(workbook.Sheets[name], layout.date.cell, layout.date.pattern));
+        if (dated.length > 0) {
+            score += 0.2 * dated.length / sheets.length;
+            evidence.push(`날짜 셀 ${layout.date.cell}: ${dated.join(', ')}`);
+        } else if (sheets.length > 0) {
+            missing.push(`날짜 셀 ${layout.date.cell} 형식 불일치`);
+        }
+
+        // 블록 앵커와 데이터 행
+        let blockCount = 0;
+        let rowCount = 0;
+        const anchors = [];
+        sheets.forEach(name => {
+            const sheet = workbook.Sheets[name];
+            SheetLayout.findBlocks(sheet, layout.block).forEach(block => {
+                blockCount++;
+                rowCount += SheetLayout.readRows(sheet, block, layout.block).length;
+                if (anchors.length < 3) anchors.push(`${name}!${ExcelCore._encodeCell(block.row - 1, block.col - 1)}`);
+            });
+        });
+        if (blockCount > 0) {
+            score += 0.3;
+            evidence.push(`블록 ${blockCount}개 (${anchors.join(', ')}${blockCount > anchors.length ? ' 등' : ''})`);
+        } else if (sheets.length > 0) {
+            missing.push('블록 앵커 셀을 찾지 못함');
+        }
+        if (rowCount > 0) {
+            score += 0.1;
+            evidence.push(`데이터 ${rowCount}행`);
+        } else if (blockCount > 0) {
+            missing.push('블록에 데이터 행 없음');
+        }
+
+        // 단품코드 시트
+        if (layout.productSheet) {
+            const def = layout.productSheet;
+            const productSheet = workbook.SheetNames.find(name => SheetLayout.isProductSheet(workbook, name, def));
+            if (productSheet) {
+                score += 0.1;
+                evidence.push(`${def.header} 시트: ${productSheet}`);
+            } else {
+                missing.push(`${def.header} 시트 없음`);
+            }
+        } else {
+            score += 0.1;
+        }
+
+        // 금지 시트가 있으면 다른 근거와 관계없이 낮은 점수
+        if (conflicts.length > 0) score = Math.min(score, 0.2);
+
+        return { layout, confidence: Math.round(score * 100) / 100, evidence, missing };
+    },
+
+    // 모든 레이아웃을 평가하여 가장 잘 맞는 레이아웃 선택 (신뢰도가 기준 미만이면 layout은 null)
+    detect(workbook, layouts, minConfidence = 0.6) {
+        const candidates = layouts
+            .map(layout => SheetLayout.evaluate(workbook, layout))
+            .sort((a, b) => b.confidence - a.confidence);
+        const best = candidates[0];
+        return {
+            layout: best && best.confidence >= minConfidence ? best.layout : null,
+            confidence: best ? best.confidence : 0,
+            evidence: best ? best.evidence : [],
+            candidates
+        };
+    },
+
+    // 합계 셀 위치
+    // def: { cell: 'F8' } (시트 고정 셀) 또는 { rowOffset, column: 'box' } (블록 기준)
+    totalCell(def, block = null) {
+        if (def.cell) return SheetLayout.cell(def.cell);
+        return { row: block.row + def.rowOffset, col: block.cols[def.column] };
+    },
+
+    // 원본 합계 읽기 (값이 없으면 0)
+    readTotal(sheet, def, block = null) {
+        if (!def) return 0;
+        const { row, col } = SheetLayout.totalCell(def, block);
+        return parseInt(ExcelCore.getCellValue(sheet, row, col)) || 0;
+    }
+};
+
+export { SheetLayout, READ_WARNINGS };
@@ -0,0 +1,496 @@
+/**
+ * 매핑 테이블 편집기
+ * 행 단위({ originalName, code, systemName, aliases })로 추가/수정/삭제/검색하고
+ * 중복·빈값을 표시하며 xlsx/CSV로 가져오기/내보내기
+ * 편집기와 헤더 탐색은 컬럼 정의/행 모델을 받아 다른 표(단품 마스터 등)에도 사용
+ */
+
+import { ExcelCore } from './core.js?v=10';
+import { ConvertError } from './errors.js?v=10';
+
+// 매핑 테이블 컬럼 (내보내기 순서 그대로)
+const MAPPING_COLUMNS = [
+    { key: 'code', header: '코드' },
+    { key: 'originalName', header: '원본 사업장명' },
+    { key: 'systemName', header: '사업장명' },
+    { key: 'aliases', header: '별칭' }
+];
+
+// 헤더 별칭 (공백 무시, 정확히 일치). 다른 팀 매핑 파일 형식이 추가되면 여기에 등록
+// WASM 변환에도 같은 목록이 전달됨
+const MAPPING_HEADER_ALIASES = {
+    originalName: ['원본 사업장명', '원본 매장명', '매장명'],
+    code: ['코드', '사업장코드', '사업장 코드'],
+    systemName: ['사업장명', '시스템 사업장명'],
+    aliases: ['별칭', '매장명 별칭']
+};
+
+// 필수 컬럼 (별칭 컬럼은 선택)
+const REQUIRED_KEYS = ['originalName', 'code', 'systemName'];
+
+// 별칭 셀 값 → 목록 (쉼표/세미콜론/줄바꿈 구분)
+const splitAliases = (value) => String(value == null ? '' : value)
+    .split(/[,;\n]/)
+    .map(alias => alias.trim())
+    .filter(Boolean);
+
+// 헤더 행 탐색 범위 (제목 행 등이 위에 있을 수 있음)
+const HEADER_SCAN_ROWS = 20;
+
+const normalizeHeader = (value) => String(value == null ? '' : value).replace(/\s+/g, '');
+
+// 시트 목록에서 헤더 행을 찾아 행 추출 (필수 컬럼이 모두 있는 첫 번째 시트/행을 헤더로 사용)
+// sheets: [{ name, records: 2차원 배열 }], aliases: { key: [헤더 이름, ...] }
+// required: 필수 키 (첫 번째 키가 비어 있는 행은 제외), label: 오류 메시지용 표 이름
+// 반환: [{ key: 셀 값 (없는 컬럼은 '') }]
+function readHeaderTable(sheets, aliases, required, label) {
+    const found = [];
+
+    for (const { name, records } of sheets) {
+        let best = null;
+
+        for (let r = 0; r < Math.min(records.length, HEADER_SCAN_ROWS); r++) {
+            const cells = (records[r] || []).map(normalizeHeader);
+            const columns = {};
+            Object.entries(aliases).forEach(([key, names]) => {
+                const targets = names.map(normalizeHeader);
+                const index = cells.findIndex(cell => cell && targets.includes(cell));
+                if (index >= 0) columns[key] = index;
+            });
+
+            if (required.every(key => key in columns)) {
+                return records.slice(r + 1)
+                    .filter(record => record && record[columns[required[0]]])
+                    .map(record => {
+                        const row = {};
+                        Object.keys(aliases).forEach(key => {
+                            row[key] = key in columns ? (record[columns[key]] || '') : '';
+                        });
+                        return row;
+                    });
+            }
+
+            // 오류 found용: 필수 컬럼이 가장 많이 일치한 행 (없으면 첫 번째 비어있지 않은 행)
+            const matched = required.filter(key => key in columns).length;
+            if (cells.some(Boolean) && (!best || matched > best.matched)) {
+                best = { matched, headers: (records[r] || []).filter(v => v != null && String(v).trim() !== '') };
+            }
+        }
+
+        if (best) found.push(`[${name}] ${best.headers.join(', ')}`);
+    }
+
+    const names = required.map(key => aliases[key][0]).join(', ');
+    const foundText = found.length > 0 ? found.join(' / ') : '없음';
+    throw ConvertError.create(
+        'header-columns',
+        `${label}에서 필수 컬럼(${names})을 찾을 수 없습니다.`,
+        { sheet: sheets.length === 1 ? sheets[0].name : '', expected: names, found: foundText }
+    );
+}
+
+// 워크북 → readHeaderTable 입력 (모든 시트)
+function workbookSheets(workbook) {
+    return workbook.SheetNames.map(name => ({
+        name,
+        records: ExcelCore.sheetToArray(workbook.Sheets[name])
+    }));
+}
+
+const MappingRows = {
+    // 행 목록 → 매핑 객체 ({원본 사업장명 → {code, systemName}}, 같은 원본 사업장명은 마지막 행 우선)
+    toMapping(rows) {
+        const mapping = {};
+        rows.forEach(row => {
+            if (row.originalName) {
+                const entry = {
+                    code: row.code || '',
+                    systemName: row.systemName || ''
+                };
+                const aliases = splitAliases(row.aliases);
+                if (aliases.length > 0) entry.aliases = aliases;
+                mapping[row.originalName] = entry;
+            }
+        });
+        return mapping;
+    },
+
+    fromMapping(mapping) {
+        return Object.entries(mapping).map(([originalName, entry]) => ({
+            originalName,
+            code: entry.code,
+            systemName: entry.systemName,
+            aliases: (entry.aliases || []).join(', ')
+        }));
+    },
+
+    // 시트 목록에서 헤더 행을 찾아 매핑 행 추출
+    // sheets: [{ name, records: 2차원 배열 }]. 필수 컬럼이 모두 있는 첫 번째 시트/행을 헤더로 사용
+    fromSheets(sheets, aliases = MAPPING_HEADER_ALIASES) {
+        return readHeaderTable(sheets, aliases, REQUIRED_KEYS, '매핑 테이블');
+    },
+
+    fromWorkbook(workbook, aliases = MAPPING_HEADER_ALIASES) {
+        return MappingRows.fromSheets(workbookSheets(workbook), aliases);
+    },
+
+    // 엑셀/CSV 출력용 행 (코드 / 원본 사업장명 / 사업장명 / 별칭)
+    toSheetRows(rows) {
+        return rows.map(row => {
+            const out = {};
+            MAPPING_COLUMNS.forEach(({ key, header }) => {
+                out[header] = row[key] == null ? '' : row[key];
+            });
+            return out;
+        });
+    },
+
+    toWorkbook(rows) {
+        const workbook = ExcelCore.createWorkbook();
+        ExcelCore.addSheet(workbook, MappingRows.toSheetRows(rows), '매핑');
+        return workbook;
+    },
+
+    // 행별 문제 목록 (행 인덱스 → ['...'])
+    // - 원본 사업장명 중복 (나중 행이 앞 행을 덮어씀)
+    // - 같은 코드가 서로 다른 사업장명에 사용됨
+    // - 코드/사업장명 빈값 (변환 시 [매핑실패-빈값])
+    // - 별칭이 다른 행의 원본 사업장명과 같음 (원본 사업장명이 우선)
+    findIssues(rows) {
+        const issues = rows.map(() => []);
+        const byName = new Map();
+        const namesByCode = new Map();
+
+        rows.forEach((row, index) => {
+            const name = String(row.originalName || '').trim();
+            const code = String(row.code || '').trim();
+            const systemName = String(row.systemName || '').trim();
+
+            if (!name) issues[index].push('원본 사업장명 없음');
+            if (!code) issues[index].push('코드 없음');
+            if (!systemName) issues[index].push('사업장명 없음');
+
+            if (name) {
+                if (!byName.has(name)) byName.set(name, []);
+                byName.get(name).push(index);
+            }
+            if (code && systemName) {
+                if (!namesByCode.has(code)) namesByCode.set(code, new Map());
+                const names = namesByCode.get(code);
+                if (!names.has(systemName)) names.set(systemName, []);
+                names.get(systemName).push(index);
+            }
+        });
+
+        byName.forEach(indices => {
+            if (indices.length < 2) return;
+            indices.forEach(i => issues[i].push('원본 사업장명 중복'));
+        });
+        namesByCode.forEach((names, code) => {
+            if (names.size < 2) return;
+            names.forEach(indices => {
+                indices.forEach(i => issues[i].push(`코드 ${code}의 사업장명 불일치`));
+            });
+        });
+        rows.forEach((row, index) => {
+            splitAliases(row.aliases).forEach(alias => {
+                const owners = byName.get(alias);
+                if (owners && !owners.includes(index)) issues[index].push(`별칭 ${alias} 중복`);
+            });
+        });
+
+        return issues;
+    }
+};
+
+const EDITOR_STYLE = `
+    .mapping-editor {
+        display: none;
+        margin-top: 12px;
+        padding: 12px;
+        border: 1px solid #e0e0f5;
+        border-radius: 8px;
+        background: #fbfbff;
+        font-size: 13px;
+    }
+    .mapping-editor.open {
+        display: block;
+    }
+    .mapping-editor-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 8px;
+    }
+    .mapping-editor-toolbar input[type="search"] {
+        flex: 1;
+        min-width: 120px;
+        padding: 6px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+    }
+    .mapping-editor-toolbar label {
+        display: inline;
+        margin: 0;
+        font-weight: normal;
+    }
+    .mapping-editor button {
+        padding: 5px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+    .mapping-editor button.primary {
+        border-color: #667eea;
+        background: #667eea;
+        color: white;
+    }
+    .mapping-editor-summary {
+        margin-bottom: 8px;
+        color: #666;
+    }
+    .mapping-editor-summary.has-issues {
+        color: #c62828;
+    }
+    .mapping-editor-table-wrap {
+        max-height: 360px;
+        overflow: auto;
+        border: 1px solid #e9ecef;
+        border-radius: 6px;
+        background: white;
+    }
+    .mapping-editor table {
+        border-collapse: collapse;
+        width: 100%;
+    }
+    .mapping-editor th,
+    .mapping-editor td {
+        padding: 3px 6px;
+        border-bottom: 1px solid #f0f0f0;
+        text-align: left;
+    }
+    .mapping-editor th {
+        position: sticky;
+        top: 0;
+        background: #f8f9fa;
+    }
+    .mapping-editor td input {
+        width: 100%;
+        padding: 3px 5px;
+        border: 1px solid transparent;
+        border-radius: 4px;
+    }
+    .mapping-editor td input:focus {
+        border-color: #667eea;
+        outline: none;
+    }
+    .mapping-editor tr.has-issue td {
+        background: #fff5f5;
+    }
+    .mapping-editor .issue {
+        color: #c62828;
+        font-size: 11px;
+        white-space: nowrap;
+    }
+    .mapping-editor-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        justify-content: flex-end;
+        margin-top: 8px;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = EDITOR_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// CSV/xlsx 파일 → 행 (model: fromSheets/fromWorkbook)
+async function importRows(file, model) {
+    if (/\.csv$/i.test(file.name)) {
+        const records = ExcelCore.parseCsv(await file.text());
+        return model.fromSheets([{ name: file.name, records }]);
+    }
+
+    return model.fromWorkbook(await ExcelCore.readFile(file));
+}
+
+const MappingEditor = {
+    // options.onSave(rows): 저장 요청 (새 매핑 버전으로 저장하는 것은 호출측 책임)
+    // options.fileName: 내보내기 기본 파일명 (확장자 제외)
+    // 다른 표 편집 시 (기본값은 매핑 테이블)
+    // - options.columns: 컬럼 정의 [{ key, header }]
+    // - options.model: 행 모델 { fromSheets, fromWorkbook, toSheetRows, toWorkbook, findIssues }
+    // - options.keyColumn: 필수 컬럼 키 (비어 있는 행은 저장에서 제외), options.saveLabel: 저장 버튼 문구
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('mapping-editor');
+
+        const columns = options.columns || MAPPING_COLUMNS;
+        const model = options.model || MappingRows;
+        const keyColumn = options.keyColumn || 'originalName';
+
+        let rows = [];
+        let searchText = '';
+        let issuesOnly = false;
+
+        container.innerHTML = `
+            <div class="mapping-editor-toolbar">
+                <input type="search" placeholder="검색 (${columns.map(c => c.header).join(', ')})">
+                <label><input type="checkbox" class="issues-only"> 문제 행만</label>
+                <button type="button" class="add-row">행 추가</button>
+                <button type="button" class="import">가져오기</button>
+                <input type="file" class="import-file" accept=".xlsx,.xls,.csv" style="display: none;">
+            </div>
+            <div class="mapping-editor-summary"></div>
+            <div class="mapping-editor-table-wrap">
+                <table>
+                    <thead><tr>${columns.map(c => `<th>${c.header}</th>`).join('')}<th>확인</th><th></th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="mapping-editor-actions">
+                <button type="button" class="export-xlsx">xlsx 내보내기</button>
+                <button type="button" class="export-csv">CSV 내보내기</button>
+                <button type="button" class="close">닫기</button>
+                <button type="button" class="save primary">${options.saveLabel || '저장 (새 버전)'}</button>
+            </div>
+        `;
+
+        const searchEl = container.querySelector('input[type="search"]');
+        const issuesOnlyEl = container.querySelector('.issues-only');
+        const summaryEl = container.querySelector('.mapping-editor-summary');
+        const tbodyEl = container.querySelector('tbody');
+        const importFileEl = container.querySelector('.import-file');
+
+        searchEl.addEventListener('input', () => {
+            searchText = searchEl.value.trim().toLowerCase();
+            renderRows();
+        });
+        issuesOnlyEl.addEventListener('change', () => {
+            issuesOnly = issuesOnlyEl.checked;
+            renderRows();
+        });
+        container.querySelector('.add-row').addEventListener('click', () => {
+            rows.push(Object.fromEntries(columns.map(({ key }) => [key, ''])));
+            searchText = '';
+            searchEl.value = '';
+            renderRows();
+            const inputs = tbodyEl.querySelectorAll('tr:last-child input');
+            if (inputs.length > 0) inputs[0].focus();
+        });
+        container.querySelector('.import').addEventListener('click', () => importFileEl.click());
+        importFileEl.addEventListener('change', async () => {
+            const file = importFileEl.files[0];
+            importFileEl.value = '';
+            if (!file) return;
+            try {
+                rows = await importRows(file, model);
+                renderRows();
+            } catch (error) {
+                console.error(error);
+                alert('가져오기 실패: ' + error.message);
+            }
+        });
+
+        const exportName = () => options.fileName || '매핑테이블';
+        container.querySelector('.export-xlsx').addEventListener('click', () => {
+            ExcelCore.downloadExcel(model.toWorkbook(rows), `${exportName()}.xlsx`);
+        });
+        container.querySelector('.export-csv').addEventListener('click', () => {
+            ExcelCore.downloadCsv(model.toSheetRows(rows), `${exportName()}.csv`);
+        });
+        container.querySelector('.close').addEventListener('click', () => close());
+        container.querySelector('.save').addEventListener('click', () => {
+            const valid = rows.filter(row => String(row[keyColumn] || '').trim());
+            if (options.onSave) options.onSave(valid);
+        });
+
+        function renderSummary(issues) {
+            const issueRows = issues.filter(list => list.length > 0).length;
+            summaryEl.classList.toggle('has-issues', issueRows > 0);
+            summaryEl.textContent = `${rows.length}행` + (issueRows > 0 ? ` · 문제 ${issueRows}행` : ' · 문제 없음');
+        }
+
+        function renderRows() {
+            const issues = model.findIssues(rows);
+            renderSummary(issues);
+            tbodyEl.innerHTML = '';
+
+            const fragment = document.createDocumentFragment();
+            rows.forEach((row, index) => {
+                if (issuesOnly && issues[index].length === 0) return;
+                if (searchText && !columns.some(({ key }) =>
+                    String(row[key] == null ? '' : row[key]).toLowerCase().includes(searchText))) return;
+
+                const tr = document.createElement('tr');
+                tr.classList.toggle('has-issue', issues[index].length > 0);
+
+                columns.forEach(({ key, header }) => {
+                    const td = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.value = row[key] == null ? '' : String(row[key]);
+                    input.placeholder = header;
+                    // 입력 중에는 다시 그리지 않고, 포커스를 벗어날 때 문제 표시 갱신
+                    input.addEventListener('input', () => { row[key] = input.value.trim(); });
+                    input.addEventListener('change', () => renderRows());
+                    td.appendChild(input);
+                    tr.appendChild(td);
+                });
+
+                const issueTd = document.createElement('td');
+                issueTd.className = 'issue';
+                issueTd.textContent = issues[index].join(', ');
+                tr.appendChild(issueTd);
+
+                const deleteTd = document.createElement('td');
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.textContent = '삭제';
+                deleteBtn.addEventListener('click', () => {
+                    rows.splice(index, 1);
+                    renderRows();
+                });
+                deleteTd.appendChild(deleteBtn);
+                tr.appendChild(deleteTd);
+
+                fragment.appendChild(tr);
+            });
+            tbodyEl.appendChild(fragment);
+        }
+
+        function close() {
+            container.classList.remove('open');
+            if (options.onClose) options.onClose();
+        }
+
+        return {
+            // 편집할 행 목록으로 열기 (원본 배열은 변경하지 않음)
+            open(initialRows, fileName) {
+                rows = initialRows.map(row => ({ ...row }));
+                if (fileName) options.fileName = fileName;
+                searchText = '';
+                searchEl.value = '';
+                issuesOnly = false;
+                issuesOnlyEl.checked = false;
+                container.classList.add('open');
+                renderRows();
+            },
+            close,
+            isOpen: () => container.classList.contains('open')
+        };
+    }
+};
+
+export { MappingEditor, MappingRows, MAPPING_HEADER_ALIASES, readHeaderTable, workbookSheets, splitAliases };
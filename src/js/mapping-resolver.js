@@ -0,0 +1,227 @@
+/**
+ * 매핑실패 매장 해결 패널
+ * 매핑 테이블({원본 사업장명 → {code, systemName}})에서 유사 후보를 추천하고
+ * 선택/직접 입력한 값을 호출측에 전달
+ */
+
+import { StringMatcher } from './matching.js?v=10';
+
+const RESOLVER_STYLE = `
+    .resolver {
+        margin-top: 20px;
+        padding: 15px;
+        border: 1px solid #ffcdd2;
+        border-radius: 8px;
+        background: #fffafa;
+        display: none;
+    }
+    .resolver.has-data {
+        display: block;
+    }
+    .resolver h3 {
+        font-size: 14px;
+        color: #c62828;
+        margin-bottom: 10px;
+    }
+    .resolver-item {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        padding: 8px 0;
+        border-top: 1px solid #f5e0e0;
+        font-size: 13px;
+    }
+    .resolver-store {
+        flex: 1 1 100%;
+        font-weight: 600;
+        color: #333;
+    }
+    .resolver-store span {
+        font-weight: normal;
+        color: #888;
+    }
+    .resolver-item select {
+        flex: 1 1 100%;
+        padding: 6px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+    }
+    .resolver-item input {
+        flex: 1;
+        min-width: 0;
+        padding: 6px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+    }
+    .resolver-item button,
+    .resolver-actions button {
+        padding: 6px 12px;
+        border: none;
+        border-radius: 6px;
+        background: #667eea;
+        color: white;
+        cursor: pointer;
+    }
+    .resolver-item button:disabled,
+    .resolver-actions button:disabled {
+        background: #ccc;
+        cursor: not-allowed;
+    }
+    .resolver-actions {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-top: 10px;
+        font-size: 13px;
+        color: #2e7d32;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = RESOLVER_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 매핑 테이블에서 후보 목록 구성 (코드/사업장명이 모두 있는 항목만, 같은 코드+사업장명은 하나로)
+function buildCandidates(mapping) {
+    const byTarget = new Map();
+    Object.entries(mapping).forEach(([originalName, entry]) => {
+        if (!entry.code || !entry.systemName) return;
+        const key = `${entry.code}|${entry.systemName}`;
+        if (!byTarget.has(key)) {
+            byTarget.set(key, {
+                code: String(entry.code),
+                systemName: entry.systemName,
+                keys: [entry.systemName]
+            });
+        }
+        byTarget.get(key).keys.push(originalName, ...(entry.aliases || []));
+    });
+    return [...byTarget.values()];
+}
+
+const MappingResolver = {
+    // options.onResolve(storeName, { code, systemName }): 해결값 적용 요청
+    // options.onExport(): 갱신된 매핑 테이블 내보내기 요청
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('resolver');
+
+        function render(failures, mapping, resolvedCount = 0) {
+            container.classList.toggle('has-data', failures.length > 0 || resolvedCount > 0);
+            container.innerHTML = '';
+
+            const title = document.createElement('h3');
+            title.textContent = failures.length > 0
+                ? `매핑실패 매장 ${failures.length}곳 - 후보를 선택하거나 코드/사업장명을 입력하세요`
+                : '모든 매핑실패 매장이 해결되었습니다';
+            container.appendChild(title);
+
+            const candidates = buildCandidates(mapping);
+            const byCode = new Map(candidates.map(c => [c.code, c]));
+
+            failures.forEach(({ storeName, rows }) => {
+                const item = document.createElement('div');
+                item.className = 'resolver-item';
+
+                const label = document.createElement('div');
+                label.className = 'resolver-store';
+                label.textContent = storeName + ' ';
+                const count = document.createElement('span');
+                count.textContent = `(${rows}행)`;
+                label.appendChild(count);
+
+                const select = document.createElement('select');
+                const ranked = StringMatcher.rank(storeName, candidates);
+                select.innerHTML = `<option value="">${ranked.length > 0 ? '후보 선택 또는 직접 입력' : '유사 후보 없음 - 직접 입력'}</option>`;
+                ranked.forEach((c, i) => {
+                    const option = document.createElement('option');
+                    option.value = String(i);
+                    option.textContent = `${c.code} · ${c.systemName} (${Math.round(c.score * 100)}%)`;
+                    select.appendChild(option);
+                });
+
+                const codeInput = document.createElement('input');
+                codeInput.placeholder = '코드';
+                const nameInput = document.createElement('input');
+                nameInput.placeholder = '사업장명';
+
+                const applyBtn = document.createElement('button');
+                applyBtn.type = 'button';
+                applyBtn.textContent = '적용';
+                applyBtn.disabled = true;
+
+                const updateApplyState = () => {
+                    applyBtn.disabled = !(codeInput.value.trim() && nameInput.value.trim());
+                };
+
+                select.addEventListener('change', () => {
+                    const picked = ranked[parseInt(select.value)];
+                    if (picked) {
+                        codeInput.value = picked.code;
+                        nameInput.value = picked.systemName;
+                    }
+                    updateApplyState();
+                });
+
+                // 기존 코드 입력 시 사업장명 자동 채움
+                codeInput.addEventListener('change', () => {
+                    const known = byCode.get(codeInput.value.trim());
+                    if (known && !nameInput.value.trim()) {
+                        nameInput.value = known.systemName;
+                    }
+                    updateApplyState();
+                });
+                codeInput.addEventListener('input', updateApplyState);
+                nameInput.addEventListener('input', updateApplyState);
+
+                applyBtn.addEventListener('click', () => {
+                    if (options.onResolve) {
+                        options.onResolve(storeName, {
+                            code: codeInput.value.trim(),
+                            systemName: nameInput.value.trim()
+                        });
+                    }
+                });
+
+                item.append(label, select, codeInput, nameInput, applyBtn);
+                container.appendChild(item);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'resolver-actions';
+            const summary = document.createElement('span');
+            summary.textContent = resolvedCount > 0 ? `${resolvedCount}곳 해결됨` : '';
+            const exportBtn = document.createElement('button');
+            exportBtn.type = 'button';
+            exportBtn.textContent = '매핑 테이블 내보내기';
+            exportBtn.disabled = resolvedCount === 0;
+            exportBtn.addEventListener('click', () => {
+                if (options.onExport) options.onExport();
+            });
+            actions.append(summary, exportBtn);
+            container.appendChild(actions);
+        }
+
+        return {
+            // failures: [{ storeName, rows }], resolvedCount: 이번 세션에서 해결한 매장 수
+            render,
+            clear() {
+                container.classList.remove('has-data');
+                container.innerHTML = '';
+            }
+        };
+    }
+};
+
+export { MappingResolver };
@@ -0,0 +1,71 @@
+/**
+ * 매핑 테이블 버전 저장소
+ * 업로드한 매핑 파일(원본 바이트 + 파싱 결과)을 컨버터별로 버전 관리
+ */
+
+import { LocalStore } from './storage.js?v=10';
+
+const activeKey = (converterId) => `activeMapping:${converterId}`;
+
+const MappingStore = {
+    // 버전 목록 (최신순)
+    async list(converterId) {
+        const versions = await LocalStore.getAll('mappings', 'converterId', converterId);
+        return versions.sort((a, b) => b.version - a.version);
+    },
+
+    // 현재 사용 중인 버전 (없으면 null)
+    async getActive(converterId) {
+        const id = await LocalStore.getMeta(activeKey(converterId));
+        if (id == null) return null;
+        return (await LocalStore.get('mappings', id)) || null;
+    },
+
+    // 새 버전으로 저장하고 사용 중인 버전으로 지정
+    // source: { name, data(Uint8Array), mapping }
+    async save(converterId, source) {
+        const versions = await MappingStore.list(converterId);
+        const record = {
+            converterId,
+            version: versions.length > 0 ? versions[0].version + 1 : 1,
+            fileName: source.name,
+            savedAt: new Date().toISOString(),
+            data: source.data,
+            mapping: source.mapping
+        };
+        record.id = await LocalStore.put('mappings', record);
+        await LocalStore.setMeta(activeKey(converterId), record.id);
+        return record;
+    },
+
+    // 이전 버전으로 되돌리기
+    async activate(converterId, id) {
+        const record = await LocalStore.get('mappings', id);
+        if (!record || record.converterId !== converterId) {
+            throw new Error('저장된 매핑 버전을 찾을 수 없습니다.');
+        }
+        await LocalStore.setMeta(activeKey(converterId), id);
+        return record;
+    },
+
+    // 모든 버전 삭제
+    async clear(converterId) {
+        const versions = await MappingStore.list(converterId);
+        for (const version of versions) {
+            await LocalStore.delete('mappings', version.id);
+        }
+        await LocalStore.setMeta(activeKey(converterId), null);
+    },
+
+    // 저장 레코드 → 변환에 쓰는 매핑 소스 형식
+    toSource(record) {
+        return {
+            name: record.fileName,
+            data: record.data,
+            mapping: record.mapping,
+            version: record.version
+        };
+    }
+};
+
+export { MappingStore };
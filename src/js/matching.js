@@ -0,0 +1,65 @@
+/**
+ * 문자열 유사도 매칭 유틸리티 (매장명/품목명 후보 추천용)
+ */
+
+const StringMatcher = {
+    // 비교용 정규화: 소문자, 공백/구두점 제거
+    normalize(value) {
+        if (value == null) return '';
+        return String(value)
+            .toLowerCase()
+            .replace(/[\s()[\]{}<>.,:;'"`~!@#$%^&*_+=|\\/?-]/g, '');
+    },
+
+    // 문자 bigram 집합
+    _bigrams(str) {
+        const grams = new Map();
+        for (let i = 0; i < str.length - 1; i++) {
+            const gram = str.substring(i, i + 2);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    },
+
+    // 0~1 유사도 (정규화 후 Dice 계수, 포함 관계는 가산)
+    similarity(a, b) {
+        const na = StringMatcher.normalize(a);
+        const nb = StringMatcher.normalize(b);
+        if (!na || !nb) return 0;
+        if (na === nb) return 1;
+
+        let score = 0;
+        if (na.length > 1 && nb.length > 1) {
+            const ga = StringMatcher._bigrams(na);
+            const gb = StringMatcher._bigrams(nb);
+            let overlap = 0;
+            ga.forEach((count, gram) => {
+                overlap += Math.min(count, gb.get(gram) || 0);
+            });
+            score = (2 * overlap) / (na.length - 1 + nb.length - 1);
+        }
+
+        // 한쪽이 다른 쪽을 포함하면 최소 0.7 보장 (예: "본관" vs "본관 1F")
+        if (na.includes(nb) || nb.includes(na)) {
+            const ratio = Math.min(na.length, nb.length) / Math.max(na.length, nb.length);
+            score = Math.max(score, 0.7 + 0.3 * ratio);
+        }
+
+        return Math.min(score, 0.99);
+    },
+
+    // 후보 목록에서 유사도 상위 항목 반환
+    // candidates: [{ ..., keys: ['비교 문자열', ...] }]
+    rank(query, candidates, { limit = 5, minScore = 0.3 } = {}) {
+        return candidates
+            .map(candidate => ({
+                ...candidate,
+                score: Math.max(0, ...candidate.keys.map(key => StringMatcher.similarity(query, key)))
+            }))
+            .filter(c => c.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+};
+
+export { StringMatcher };
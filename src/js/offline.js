@@ -0,0 +1,129 @@
+/**
+ * 오프라인 사용 (서비스 워커 등록, 새 버전 새로고침 안내)
+ * 캐시 목록과 응답 방식은 sw.js 참고. 로컬 개발 서버에서는 캐시 때문에 수정한 파일이 안 보이지 않도록 등록하지 않음
+ */
+
+// 열려 있는 페이지의 새 버전 확인 주기 (브라우저는 페이지를 열 때만 확인)
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const UPDATE_BAR_STYLE = `
+    .update-bar {
+        position: fixed;
+        left: 50%;
+        bottom: 20px;
+        transform: translateX(-50%);
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 10px 14px;
+        border-radius: 8px;
+        background: #333;
+        color: white;
+        font-size: 13px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+        z-index: 1000;
+    }
+    .update-bar button {
+        padding: 5px 10px;
+        border: none;
+        border-radius: 6px;
+        background: #667eea;
+        color: white;
+        cursor: pointer;
+    }
+    .update-bar button.later {
+        background: transparent;
+        color: #bbb;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = UPDATE_BAR_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 하단 안내 (같은 안내는 하나만). onReload: [새로고침] 클릭
+function showUpdateBar(message, onReload) {
+    injectStyle();
+    let bar = document.getElementById('update-bar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'update-bar';
+        bar.className = 'update-bar';
+        document.body.appendChild(bar);
+    }
+    bar.innerHTML = '';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    const reloadBtn = document.createElement('button');
+    reloadBtn.type = 'button';
+    reloadBtn.textContent = '새로고침';
+    reloadBtn.addEventListener('click', () => {
+        reloadBtn.disabled = true;
+        onReload();
+    });
+    const laterBtn = document.createElement('button');
+    laterBtn.type = 'button';
+    laterBtn.className = 'later';
+    laterBtn.textContent = '나중에';
+    laterBtn.addEventListener('click', () => bar.remove());
+
+    bar.append(text, reloadBtn, laterBtn);
+}
+
+const OfflineSupport = {
+    // 서비스 워커 등록 (scriptUrl: index.html 기준 sw.js 경로)
+    // 새 버전이 설치되면 새로고침 안내, 고르면 새 버전을 적용하고 새로고침
+    register(scriptUrl = 'sw.js') {
+        if (!('serviceWorker' in navigator) || LOCAL_HOSTS.includes(location.hostname)) return;
+
+        // 처음 설치할 때도 controllerchange가 오므로, 이 페이지가 요청한 적용만 새로고침
+        let reloadRequested = false;
+        const hadController = !!navigator.serviceWorker.controller;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloadRequested) {
+                location.reload();
+            } else if (hadController) {
+                // 다른 탭에서 새 버전을 적용함
+                showUpdateBar('다른 창에서 새 버전이 적용되었습니다.', () => location.reload());
+            }
+        });
+
+        const promptUpdate = (worker) => {
+            showUpdateBar('새 버전이 있습니다. 진행 중인 변환이 없으면 새로고침하세요.', () => {
+                reloadRequested = true;
+                worker.postMessage({ type: 'skip-waiting' });
+            });
+        };
+
+        navigator.serviceWorker.register(scriptUrl).then(registration => {
+            // 이전 방문에서 설치만 되고 적용되지 않은 새 버전
+            if (registration.waiting && hadController) promptUpdate(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // 처음 설치(페이지를 제어하는 워커 없음)는 안내하지 않음
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker);
+                });
+            });
+
+            setInterval(() => {
+                registration.update().catch(error => console.warn('새 버전 확인 실패:', error));
+            }, UPDATE_CHECK_INTERVAL);
+        }).catch(error => {
+            console.warn('서비스 워커 등록 실패 (오프라인 사용 불가):', error);
+        });
+    }
+};
+
+export { OfflineSupport };
@@ -0,0 +1,518 @@
+/**
+ * 결과 출력 프로필
+ * 데이터 시트의 컬럼 선택/순서/헤더 이름, 날짜 형식, 파일 형식(xlsx, CSV UTF-8/CP949, TSV, JSON)을
+ * 프로필로 저장하고 다운로드 시 적용
+ */
+
+import { ExcelCore } from './core.js?v=10';
+import { LocalStore } from './storage.js?v=10';
+
+// 파일 형식 (텍스트 형식은 데이터 시트만 출력)
+const OUTPUT_FORMATS = {
+    xlsx: { label: 'Excel (xlsx)', extension: 'xlsx' },
+    csv: { label: 'CSV (UTF-8 BOM)', extension: 'csv' },
+    'csv-cp949': { label: 'CSV (CP949)', extension: 'csv' },
+    tsv: { label: 'TSV (UTF-8)', extension: 'tsv' },
+    json: { label: 'JSON', extension: 'json' }
+};
+
+// 날짜 형식 (YYYY, YY, MM, DD 치환)
+const DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'YYYY.MM.DD', 'YYYYMMDD', 'YY.MM.DD', 'MM/DD/YYYY'];
+
+const DEFAULT_PROFILE_ID = 'default';
+
+// 'YYYY-MM-DD' 문자열 → 지정 형식 (날짜 문자열이 아니면 그대로)
+function formatDateString(value, pattern) {
+    const match = String(value == null ? '' : value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match || !pattern) return value;
+    const [, year, month, day] = match;
+    const tokens = { YYYY: year, YY: year.slice(2), MM: month, DD: day };
+    return pattern.replace(/YYYY|YY|MM|DD/g, token => tokens[token]);
+}
+
+// ========== CP949 인코딩 ==========
+// 브라우저에는 CP949 인코더가 없으므로 TextDecoder('euc-kr') 디코딩 결과로 역방향 표를 만들어 사용
+let cp949Table = null;  // 문자 코드 → 2바이트 값
+
+function buildCp949Table() {
+    const decoder = new TextDecoder('euc-kr');
+    const table = new Map();
+    for (let lead = 0x81; lead <= 0xFE; lead++) {
+        for (let trail = 0x41; trail <= 0xFE; trail++) {
+            const ch = decoder.decode(new Uint8Array([lead, trail]));
+            if (ch.length !== 1 || ch === '\uFFFD') continue;
+            const code = ch.charCodeAt(0);
+            if (!table.has(code)) table.set(code, (lead << 8) | trail);
+        }
+    }
+    return table;
+}
+
+// 문자열 → CP949 바이트 (표현할 수 없는 문자는 '?')
+function encodeCp949(text) {
+    if (!cp949Table) cp949Table = buildCp949Table();
+    const bytes = [];
+    for (const ch of text) {
+        const code = ch.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (cp949Table.has(code)) {
+            const value = cp949Table.get(code);
+            bytes.push(value >> 8, value & 0xFF);
+        } else {
+            bytes.push(0x3F);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+const stripInternal = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('_')));
+
+const OutputProfiles = {
+    // 기본 프로필 (선택 컬럼을 제외한 모든 컬럼, 원래 헤더, xlsx 전체 시트)
+    // columns: 데이터 시트 컬럼 정의 [{ key, date?, text?, optional? }]
+    // (date: 날짜 형식 적용, text: 선행 0 보존, optional: 프로필에서 직접 추가해야 출력)
+    createDefault(columns) {
+        return {
+            id: DEFAULT_PROFILE_ID,
+            name: '기본 (xlsx 전체 시트)',
+            format: 'xlsx',
+            dateFormat: 'YYYY-MM-DD',
+            dataOnly: false,
+            traceSheet: false,
+            columns: columns.filter(c => !c.optional).map(({ key }) => ({ key, header: key }))
+        };
+    },
+
+    isDefault(profile) {
+        return profile.id === DEFAULT_PROFILE_ID;
+    },
+
+    // 저장된 프로필을 현재 컬럼 정의에 맞춤 (없어진 컬럼 제거, 형식 값 확인)
+    normalize(profile, columns) {
+        const known = new Set(columns.map(c => c.key));
+        return {
+            id: profile.id,
+            name: profile.name || '이름 없음',
+            format: OUTPUT_FORMATS[profile.format] ? profile.format : 'xlsx',
+            dateFormat: profile.dateFormat || 'YYYY-MM-DD',
+            dataOnly: !!profile.dataOnly,
+            traceSheet: !!profile.traceSheet,
+            columns: (profile.columns || [])
+                .filter(c => known.has(c.key))
+                .map(c => ({ key: c.key, header: String(c.header || c.key).trim() || c.key }))
+        };
+    },
+
+    // 헤더 이름 확인: 빈 이름, 중복(뒤 컬럼 값이 앞 컬럼을 덮어씀), _로 시작(내부 필드로 보고 CSV 등에서 제외)
+    // columns: [{ key, header }] (포함 컬럼), 반환: 문제 설명 (없으면 '')
+    checkHeaders(columns) {
+        const seen = new Set();
+        for (const { key, header } of columns) {
+            const name = String(header == null ? '' : header).trim();
+            if (!name) return `헤더 이름이 비어 있습니다 (${key})`;
+            if (name.startsWith('_')) return `헤더 이름은 _로 시작할 수 없습니다 (${name})`;
+            if (seen.has(name)) return `헤더 이름이 중복됩니다 (${name})`;
+            seen.add(name);
+        }
+        return '';
+    },
+
+    // 결과 파일명 (확장자를 프로필 형식에 맞춤)
+    fileName(fileName, profile) {
+        const extension = OUTPUT_FORMATS[profile.format].extension;
+        return fileName.replace(/\.[^.]+$/, '') + '.' + extension;
+    },
+
+    // 데이터 행 → 프로필 컬럼/헤더/날짜 형식 (_로 시작하는 내부 필드는 유지)
+    // columns: 컬럼 정의 (date 플래그 확인용)
+    mapRows(rows, profile, columns) {
+        const dateKeys = new Set(columns.filter(c => c.date).map(c => c.key));
+        return rows.map(row => {
+            const mapped = {};
+            profile.columns.forEach(({ key, header }) => {
+                const value = row[key] == null ? '' : row[key];
+                mapped[header] = dateKeys.has(key) ? formatDateString(value, profile.dateFormat) : value;
+            });
+            Object.keys(row).filter(key => key.startsWith('_')).forEach(key => { mapped[key] = row[key]; });
+            return mapped;
+        });
+    },
+
+    // 워크북에 프로필 적용 (첫 시트가 데이터 시트, xlsx가 아니거나 dataOnly면 데이터 시트만)
+    apply(workbook, profile, columns) {
+        const [dataSheet, ...otherSheets] = workbook.sheets;
+        const textKeys = new Set(columns.filter(c => c.text).map(c => c.key));
+        const sheet = {
+            ...dataSheet,
+            data: OutputProfiles.mapRows(dataSheet.data, profile, columns),
+            textColumns: profile.columns.filter(c => textKeys.has(c.key)).map(c => c.header)
+        };
+        const dataOnly = profile.format !== 'xlsx' || profile.dataOnly;
+        return { ...workbook, sheets: dataOnly ? [sheet] : [sheet, ...otherSheets] };
+    },
+
+    // 프로필 형식으로 파일 생성 → Blob
+    async write(workbook, profile, columns) {
+        const applied = OutputProfiles.apply(workbook, profile, columns);
+        const rows = applied.sheets[0].data;
+
+        switch (profile.format) {
+            case 'csv':
+                return new Blob(['\uFEFF' + ExcelCore.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+            case 'csv-cp949':
+                return new Blob([encodeCp949(ExcelCore.toCsv(rows))], { type: 'text/csv;charset=euc-kr' });
+            case 'tsv':
+                return new Blob([ExcelCore.toCsv(rows, '\t')], { type: 'text/tab-separated-values;charset=utf-8' });
+            case 'json':
+                return new Blob([JSON.stringify(rows.map(stripInternal), null, 2)], { type: 'application/json' });
+            default:
+                return ExcelCore.xlsxBlob(await ExcelCore.writeExcel(applied));
+        }
+    }
+};
+
+// ========== 프로필 선택/편집 UI ==========
+
+const PROFILE_STYLE = `
+    .output-profile-bar {
+        display: flex;
+        gap: 6px;
+        align-items: center;
+    }
+    .output-profile-bar select {
+        flex: 1;
+        padding: 6px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+    }
+    .output-profile button {
+        padding: 5px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+    .output-profile button.primary {
+        border-color: #667eea;
+        background: #667eea;
+        color: white;
+    }
+    .output-profile button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+    }
+    .output-profile-form {
+        display: none;
+        margin-top: 8px;
+        padding: 10px;
+        border: 1px solid #e0e0f5;
+        border-radius: 8px;
+        background: #fbfbff;
+        font-size: 13px;
+    }
+    .output-profile.editing .output-profile-form {
+        display: block;
+    }
+    .output-profile-fields {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-bottom: 8px;
+    }
+    .output-profile-fields label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin: 0;
+        font-weight: normal;
+    }
+    .output-profile-fields input[type="text"],
+    .output-profile-fields select {
+        padding: 4px 6px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+    }
+    .output-profile table {
+        border-collapse: collapse;
+        width: 100%;
+        background: white;
+    }
+    .output-profile th,
+    .output-profile td {
+        padding: 3px 6px;
+        border-bottom: 1px solid #f0f0f0;
+        text-align: left;
+    }
+    .output-profile th {
+        background: #f8f9fa;
+    }
+    .output-profile td input[type="text"] {
+        width: 100%;
+        padding: 3px 5px;
+        border: 1px solid #eee;
+        border-radius: 4px;
+    }
+    .output-profile tr.excluded td {
+        color: #aaa;
+    }
+    .output-profile td button {
+        padding: 1px 6px;
+    }
+    .output-profile-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        justify-content: flex-end;
+        margin-top: 8px;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = PROFILE_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 저장 키 (사용자 프로필 목록, 선택한 프로필 id)
+const profilesKey = (converterId) => `outputProfiles:${converterId}`;
+const selectedKey = (converterId) => `outputProfile:${converterId}`;
+
+const OutputProfileEditor = {
+    // options.columns: 데이터 시트 컬럼 정의 [{ key, date?, text? }]
+    // options.converterId: 프로필과 선택을 저장할 컨버터 (브라우저에 저장, setup 시 불러옴)
+    // options.onSaved(error): 프로필 저장 후 (저장 실패 시 error, 이번 세션에서만 사용)
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('output-profile');
+
+        const columns = options.columns || [];
+        const defaultProfile = OutputProfiles.createDefault(columns);
+        let profiles = [defaultProfile];
+        let selectedId = defaultProfile.id;
+        let draft = null;  // 편집 중인 프로필 ({ ...profile, columns: 모든 컬럼 + include })
+
+        container.innerHTML = `
+            <div class="output-profile-bar">
+                <select class="profile-select"></select>
+                <button type="button" class="edit">편집</button>
+            </div>
+            <div class="output-profile-form">
+                <div class="output-profile-fields">
+                    <label>이름 <input type="text" class="name"></label>
+                    <label>파일 형식 <select class="format"></select></label>
+                    <label>날짜 형식 <select class="date-format"></select></label>
+                    <label><input type="checkbox" class="data-only"> 데이터 시트만 (xlsx)</label>
+                    <label><input type="checkbox" class="trace-sheet"> 원본 추적 시트 (숨김, xlsx)</label>
+                </div>
+                <table>
+                    <thead><tr><th>출력</th><th>컬럼</th><th>헤더 이름</th><th>순서</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="output-profile-actions">
+                    <button type="button" class="delete">삭제</button>
+                    <button type="button" class="close">닫기</button>
+                    <button type="button" class="save-as">새 프로필로 저장</button>
+                    <button type="button" class="save primary">저장</button>
+                </div>
+            </div>
+        `;
+
+        const selectEl = container.querySelector('.profile-select');
+        const nameEl = container.querySelector('.name');
+        const formatEl = container.querySelector('.format');
+        const dateFormatEl = container.querySelector('.date-format');
+        const dataOnlyEl = container.querySelector('.data-only');
+        const traceSheetEl = container.querySelector('.trace-sheet');
+        const tbodyEl = container.querySelector('tbody');
+        const saveBtn = container.querySelector('.save');
+        const deleteBtn = container.querySelector('.delete');
+
+        Object.entries(OUTPUT_FORMATS).forEach(([value, format]) => {
+            formatEl.appendChild(new Option(format.label, value));
+        });
+        DATE_FORMATS.forEach(format => dateFormatEl.appendChild(new Option(format, format)));
+
+        const selected = () => profiles.find(p => p.id === selectedId) || defaultProfile;
+
+        function renderSelect() {
+            selectEl.innerHTML = '';
+            profiles.forEach(profile => {
+                const format = OUTPUT_FORMATS[profile.format].label;
+                selectEl.appendChild(new Option(`${profile.name} · ${format}`, profile.id));
+            });
+            selectEl.value = selectedId;
+        }
+
+        // 선택한 프로필 → 편집 초안 (포함 컬럼을 프로필 순서대로, 나머지는 뒤에 제외 상태로)
+        function startDraft() {
+            const profile = selected();
+            const included = new Map(profile.columns.map(c => [c.key, c.header]));
+            draft = {
+                ...profile,
+                columns: [
+                    ...profile.columns.map(c => ({ key: c.key, header: c.header, include: true })),
+                    ...columns.filter(c => !included.has(c.key)).map(c => ({ key: c.key, header: c.key, include: false }))
+                ]
+            };
+            nameEl.value = draft.name;
+            formatEl.value = draft.format;
+            dateFormatEl.value = draft.dateFormat;
+            dataOnlyEl.checked = draft.dataOnly;
+            traceSheetEl.checked = draft.traceSheet;
+            saveBtn.disabled = OutputProfiles.isDefault(profile);
+            deleteBtn.disabled = OutputProfiles.isDefault(profile);
+            renderColumns();
+        }
+
+        function renderColumns() {
+            tbodyEl.innerHTML = '';
+            draft.columns.forEach((column, index) => {
+                const tr = document.createElement('tr');
+                tr.classList.toggle('excluded', !column.include);
+
+                const includeTd = document.createElement('td');
+                const include = document.createElement('input');
+                include.type = 'checkbox';
+                include.checked = column.include;
+                include.addEventListener('change', () => {
+                    column.include = include.checked;
+                    tr.classList.toggle('excluded', !column.include);
+                });
+                includeTd.appendChild(include);
+
+                const keyTd = document.createElement('td');
+                keyTd.textContent = column.key;
+
+                const headerTd = document.createElement('td');
+                const header = document.createElement('input');
+                header.type = 'text';
+                header.value = column.header;
+                header.addEventListener('input', () => { column.header = header.value; });
+                headerTd.appendChild(header);
+
+                const orderTd = document.createElement('td');
+                [['↑', -1], ['↓', 1]].forEach(([label, step]) => {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.textContent = label;
+                    btn.disabled = !draft.columns[index + step];
+                    btn.addEventListener('click', () => {
+                        const [moved] = draft.columns.splice(index, 1);
+                        draft.columns.splice(index + step, 0, moved);
+                        renderColumns();
+                    });
+                    orderTd.appendChild(btn);
+                });
+
+                tr.append(includeTd, keyTd, headerTd, orderTd);
+                tbodyEl.appendChild(tr);
+            });
+        }
+
+        // 편집 초안 → 프로필 (포함 컬럼만)
+        function draftToProfile(id) {
+            return OutputProfiles.normalize({
+                id,
+                name: nameEl.value.trim(),
+                format: formatEl.value,
+                dateFormat: dateFormatEl.value,
+                dataOnly: dataOnlyEl.checked,
+                traceSheet: traceSheetEl.checked,
+                columns: draft.columns.filter(c => c.include)
+            }, columns);
+        }
+
+        function save(profile) {
+            if (profile.columns.length === 0) {
+                alert('출력할 컬럼을 하나 이상 선택하세요.');
+                return;
+            }
+            // normalize는 빈 헤더를 컬럼 이름으로 바꾸므로 편집 중인 헤더로 확인
+            const problem = OutputProfiles.checkHeaders(draft.columns.filter(c => c.include));
+            if (problem) {
+                alert(problem);
+                return;
+            }
+            const index = profiles.findIndex(p => p.id === profile.id);
+            if (index >= 0) {
+                profiles[index] = profile;
+            } else {
+                profiles.push(profile);
+            }
+            selectedId = profile.id;
+            renderSelect();
+            startDraft();
+            store();
+        }
+
+        selectEl.addEventListener('change', () => {
+            selectedId = selectEl.value;
+            if (draft) startDraft();
+            LocalStore.setMeta(selectedKey(options.converterId), selectedId)
+                .catch(error => console.warn('출력 프로필 선택 저장 실패:', error));
+        });
+        container.querySelector('.edit').addEventListener('click', () => {
+            const editing = container.classList.toggle('editing');
+            if (editing) startDraft();
+        });
+        container.querySelector('.close').addEventListener('click', () => {
+            container.classList.remove('editing');
+            draft = null;
+        });
+        saveBtn.addEventListener('click', () => save(draftToProfile(selectedId)));
+        container.querySelector('.save-as').addEventListener('click', () => {
+            const profile = draftToProfile(`profile-${Date.now()}`);
+            if (profile.name === selected().name) profile.name += ' (복사본)';
+            save(profile);
+        });
+        deleteBtn.addEventListener('click', () => {
+            if (OutputProfiles.isDefault(selected())) return;
+            if (!confirm(`출력 프로필 "${selected().name}"을(를) 삭제할까요?`)) return;
+            profiles = profiles.filter(p => p.id !== selectedId);
+            selectedId = defaultProfile.id;
+            renderSelect();
+            startDraft();
+            store();
+        });
+
+        // 사용자 프로필 목록(기본 프로필 제외)과 선택 저장
+        async function store() {
+            let storeError = null;
+            try {
+                await LocalStore.setMeta(profilesKey(options.converterId), profiles.filter(p => !OutputProfiles.isDefault(p)));
+                await LocalStore.setMeta(selectedKey(options.converterId), selectedId);
+            } catch (error) {
+                console.warn('출력 프로필 저장 실패:', error);
+                storeError = error;
+            }
+            if (options.onSaved) options.onSaved(storeError);
+        }
+
+        // 저장된 사용자 프로필 목록과 선택 id로 초기화
+        function load(savedProfiles, savedSelectedId) {
+            profiles = [defaultProfile, ...(savedProfiles || []).map(p => OutputProfiles.normalize(p, columns))];
+            selectedId = profiles.some(p => p.id === savedSelectedId) ? savedSelectedId : defaultProfile.id;
+            renderSelect();
+            if (draft) startDraft();
+        }
+
+        renderSelect();
+        Promise.all([LocalStore.getMeta(profilesKey(options.converterId), []), LocalStore.getMeta(selectedKey(options.converterId))])
+            .then(([savedProfiles, savedSelectedId]) => load(savedProfiles, savedSelectedId))
+            .catch(error => console.warn('출력 프로필 로드 실패:', error));
+
+        return {
+            getSelected: selected
+        };
+    }
+};
+
+export { OutputProfiles, OutputProfileEditor, OUTPUT_FORMATS };
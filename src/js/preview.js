@@ -0,0 +1,348 @@
+/**
+ * 결과 미리보기 그리드 (시트 탭, 정렬, 필터, 셀 편집)
+ */
+
+// 한 번에 렌더링하는 최대 행 수 (대용량 결과에서 DOM 폭증 방지)
+const MAX_RENDER_ROWS = 1000;
+
+const PREVIEW_STYLE = `
+    .preview {
+        margin-top: 20px;
+        display: none;
+    }
+    .preview.has-data {
+        display: block;
+    }
+    .preview-tabs {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 8px;
+    }
+    .preview-tab {
+        padding: 6px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        font-size: 13px;
+        cursor: pointer;
+    }
+    .preview-tab.active {
+        border-color: #667eea;
+        background: #f0f0ff;
+        color: #667eea;
+        font-weight: 600;
+    }
+    .preview-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+        font-size: 12px;
+        color: #666;
+    }
+    .preview-filter {
+        flex: 1;
+        padding: 6px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        font-size: 13px;
+    }
+    .preview-table-wrap {
+        max-height: 420px;
+        overflow: auto;
+        border: 1px solid #e9ecef;
+        border-radius: 6px;
+    }
+    .preview-table {
+        border-collapse: collapse;
+        width: 100%;
+        font-size: 12px;
+    }
+    .preview-table th,
+    .preview-table td {
+        padding: 4px 8px;
+        border-bottom: 1px solid #f0f0f0;
+        white-space: nowrap;
+        text-align: left;
+    }
+    .preview-table th {
+        position: sticky;
+        top: 0;
+        background: #f8f9fa;
+        cursor: pointer;
+        user-select: none;
+    }
+    .preview-table th.sort-asc::after { content: ' ▲'; }
+    .preview-table th.sort-desc::after { content: ' ▼'; }
+    .preview-table td.editable {
+        cursor: text;
+    }
+    .preview-table td.editable:hover {
+        background: #f0f0ff;
+    }
+    .preview-table td.edited {
+        background: #fff8e1;
+    }
+    .preview-table tr.row-failed td {
+        background: #ffebee;
+    }
+    .preview-table td.link {
+        color: #667eea;
+        text-decoration: underline;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = PREVIEW_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function compareValues(a, b) {
+    if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+    if (b == null || b === '') return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), 'ko', { numeric: true });
+}
+
+const PreviewGrid = {
+    // sheets: [{ name, data, editable: ['컬럼명', ...] | true, links?: ['컬럼명', ...] }]
+    // options.onEdit(sheetName, row, column, value): 편집 반영 후 호출 (재계산은 호출측 책임)
+    // options.onCellClick(sheetName, row, column): links 컬럼의 값이 있는 셀 클릭 시 호출
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('preview');
+
+        let sheets = [];
+        let activeSheet = null;
+        let sort = { column: null, dir: 0 };
+        let filterText = '';
+        const editedCells = new WeakMap();
+
+        container.innerHTML = `
+            <div class="preview-tabs"></div>
+            <div class="preview-toolbar">
+                <input type="search" class="preview-filter" placeholder="필터 (모든 컬럼 검색)">
+                <span class="preview-count"></span>
+            </div>
+            <div class="preview-table-wrap">
+                <table class="preview-table"><thead></thead><tbody></tbody></table>
+            </div>
+        `;
+
+        const tabsEl = container.querySelector('.preview-tabs');
+        const filterEl = container.querySelector('.preview-filter');
+        const countEl = container.querySelector('.preview-count');
+        const theadEl = container.querySelector('thead');
+        const tbodyEl = container.querySelector('tbody');
+
+        filterEl.addEventListener('input', () => {
+            filterText = filterEl.value.trim().toLowerCase();
+            renderTable();
+        });
+
+        function currentSheet() {
+            return sheets.find(s => s.name === activeSheet) || null;
+        }
+
+        function getColumns(sheet) {
+            if (!sheet.data || sheet.data.length === 0) return [];
+            return Object.keys(sheet.data[0]).filter(h => !h.startsWith('_'));
+        }
+
+        function isEditable(sheet, column) {
+            if (sheet.editable === true) return true;
+            return Array.isArray(sheet.editable) && sheet.editable.includes(column);
+        }
+
+        function renderTabs() {
+            tabsEl.innerHTML = '';
+            sheets.forEach(sheet => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'preview-tab' + (sheet.name === activeSheet ? ' active' : '');
+                btn.textContent = `${sheet.name} (${sheet.data.length})`;
+                btn.addEventListener('click', () => {
+                    if (activeSheet === sheet.name) return;
+                    activeSheet = sheet.name;
+                    sort = { column: null, dir: 0 };
+                    renderTabs();
+                    renderTable();
+                });
+                tabsEl.appendChild(btn);
+            });
+        }
+
+        function renderTable() {
+            const sheet = currentSheet();
+            theadEl.innerHTML = '';
+            tbodyEl.innerHTML = '';
+            if (!sheet) {
+                countEl.textContent = '';
+                return;
+            }
+
+            const columns = getColumns(sheet);
+
+            // 헤더 (클릭 시 오름차순 → 내림차순 → 원래 순서)
+            const headRow = document.createElement('tr');
+            columns.forEach(column => {
+                const th = document.createElement('th');
+                th.textContent = column;
+                if (sort.column === column) {
+                    th.className = sort.dir > 0 ? 'sort-asc' : 'sort-desc';
+                }
+                th.addEventListener('click', () => {
+                    if (sort.column !== column) {
+                        sort = { column, dir: 1 };
+                    } else if (sort.dir === 1) {
+                        sort.dir = -1;
+                    } else {
+                        sort = { column: null, dir: 0 };
+                    }
+                    renderTable();
+                });
+                headRow.appendChild(th);
+            });
+            theadEl.appendChild(headRow);
+
+            // 필터 + 정렬
+            let rows = sheet.data;
+            if (filterText) {
+                rows = rows.filter(row => columns.some(column => {
+                    const v = row[column];
+                    return v != null && String(v).toLowerCase().includes(filterText);
+                }));
+            }
+            if (sort.column) {
+                const column = sort.column;
+                rows = [...rows].sort((a, b) => compareValues(a[column], b[column]) * sort.dir);
+            }
+
+            const visible = rows.slice(0, MAX_RENDER_ROWS);
+            countEl.textContent = rows.length > visible.length
+                ? `${rows.length}건 중 ${visible.length}건 표시`
+                : `${rows.length}건`;
+
+            const fragment = document.createDocumentFragment();
+            visible.forEach(row => {
+                const tr = document.createElement('tr');
+                if (row['_isMappingFailed']) tr.className = 'row-failed';
+
+                columns.forEach(column => {
+                    const td = document.createElement('td');
+                    const value = row[column];
+                    td.innerHTML = value == null ? '' : escapeHtml(value);
+
+                    const edited = editedCells.get(row);
+                    if (edited && edited.has(column)) td.classList.add('edited');
+
+                    if (options.onCellClick && sheet.links && sheet.links.includes(column) && value) {
+                        td.classList.add('link');
+                        td.addEventListener('click', () => options.onCellClick(sheet.name, row, column));
+                    } else if (isEditable(sheet, column)) {
+                        td.classList.add('editable');
+                        td.title = '더블클릭하여 수정';
+                        td.addEventListener('dblclick', () => startEdit(td, sheet, row, column));
+                    }
+                    tr.appendChild(td);
+                });
+                fragment.appendChild(tr);
+            });
+            tbodyEl.appendChild(fragment);
+        }
+
+        function startEdit(td, sheet, row, column) {
+            if (td.querySelector('input')) return;
+
+            const original = row[column];
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = original == null ? '' : String(original);
+            input.style.width = Math.max(60, td.offsetWidth - 16) + 'px';
+            td.innerHTML = '';
+            td.appendChild(input);
+            input.focus();
+            input.select();
+
+            let done = false;
+            const finish = (commit) => {
+                if (done) return;
+                done = true;
+
+                if (commit) {
+                    let value = input.value.trim();
+                    // 숫자 컬럼은 숫자로만 수정 가능
+                    if (typeof original === 'number') {
+                        if (value === '' || isNaN(Number(value))) {
+                            renderTable();
+                            return;
+                        }
+                        value = Number(value);
+                    }
+                    if (value !== original) {
+                        row[column] = value;
+                        if (!editedCells.has(row)) editedCells.set(row, new Set());
+                        editedCells.get(row).add(column);
+                        if (options.onEdit) {
+                            options.onEdit(sheet.name, row, column, value);
+                            return;
+                        }
+                    }
+                }
+                renderTable();
+            };
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') finish(true);
+                else if (e.key === 'Escape') finish(false);
+            });
+            input.addEventListener('blur', () => finish(true));
+        }
+
+        return {
+            // 시트 목록 갱신 (활성 시트, 정렬, 필터 상태 유지)
+            render(newSheets) {
+                sheets = newSheets || [];
+                if (!sheets.some(s => s.name === activeSheet)) {
+                    activeSheet = sheets.length > 0 ? sheets[0].name : null;
+                    sort = { column: null, dir: 0 };
+                }
+                container.classList.toggle('has-data', sheets.length > 0);
+                renderTabs();
+                renderTable();
+            },
+            clear() {
+                sheets = [];
+                activeSheet = null;
+                sort = { column: null, dir: 0 };
+                filterText = '';
+                filterEl.value = '';
+                container.classList.remove('has-data');
+                tabsEl.innerHTML = '';
+                theadEl.innerHTML = '';
+                tbodyEl.innerHTML = '';
+                countEl.textContent = '';
+            }
+        };
+    }
+};
+
+export { PreviewGrid };
@@ -0,0 +1,372 @@
+/**
+ * 단품 마스터 (단품명 → 단품코드)
+ * 업로드/편집한 단품 목록({ name, code, aliases, unitsPerBox })을 컨버터별로 저장하고,
+ * 원본 파일 층별 시트에서 읽은 단품코드와 합쳐 단품명을 단품코드로 변환
+ * 같은 단품명에 코드가 여러 개면 충돌로 보고, 찾지 못한 단품명은 유사 단품 추천
+ * 단품 마스터 패널(ProductMasterPanel)에서 파일 불러오기/편집/삭제
+ */
+
+import { ExcelCore } from './core.js?v=10';
+import { LocalStore } from './storage.js?v=10';
+import { StringMatcher } from './matching.js?v=10';
+import { MappingEditor, readHeaderTable, workbookSheets, splitAliases } from './mapping-editor.js?v=10';
+
+// 단품 마스터 컬럼 (내보내기 순서 그대로)
+const PRODUCT_COLUMNS = [
+    { key: 'name', header: '단품명' },
+    { key: 'code', header: '단품코드' },
+    { key: 'aliases', header: '별칭' },
+    { key: 'unitsPerBox', header: '박스 입수' }
+];
+
+// 헤더 별칭 (공백 무시, 정확히 일치)
+const PRODUCT_HEADER_ALIASES = {
+    name: ['단품명', '품목명', '상품명'],
+    code: ['단품코드', '바코드', '상품코드'],
+    aliases: ['별칭', '단품명 별칭'],
+    unitsPerBox: ['박스 입수', '박스당 입수', '입수']
+};
+
+const REQUIRED_KEYS = ['name', 'code'];
+
+const MASTER_LABEL = '단품 마스터';
+const EXACT = '정확히 일치';
+const ALIAS = '별칭';
+
+// 추천 후보 최소 유사도 (정규화 후 같으면 1)
+const SUGGEST_MIN_SCORE = 0.5;
+
+const masterKey = (converterId) => `productMaster:${converterId}`;
+
+const ProductRows = {
+    // 행 목록 → 단품 항목 [{ name, code, aliases, unitsPerBox }] (단품명/단품코드가 없는 행 제외)
+    toEntries(rows) {
+        return rows
+            .map(row => ({
+                name: String(row.name == null ? '' : row.name).trim(),
+                code: String(row.code == null ? '' : row.code).trim(),
+                aliases: splitAliases(row.aliases),
+                unitsPerBox: row.unitsPerBox === '' || row.unitsPerBox == null ? null : Number(row.unitsPerBox)
+            }))
+            .filter(entry => entry.name && entry.code);
+    },
+
+    fromSheets(sheets, aliases = PRODUCT_HEADER_ALIASES) {
+        return readHeaderTable(sheets, aliases, REQUIRED_KEYS, '단품 마스터');
+    },
+
+    fromWorkbook(workbook, aliases = PRODUCT_HEADER_ALIASES) {
+        return ProductRows.fromSheets(workbookSheets(workbook), aliases);
+    },
+
+    // 엑셀/CSV 출력용 행 (단품명 / 단품코드 / 별칭 / 박스 입수)
+    toSheetRows(rows) {
+        return rows.map(row => {
+            const out = {};
+            PRODUCT_COLUMNS.forEach(({ key, header }) => {
+                out[header] = row[key] == null ? '' : row[key];
+            });
+            return out;
+        });
+    },
+
+    toWorkbook(rows) {
+        const workbook = ExcelCore.createWorkbook();
+        ExcelCore.addSheet(workbook, ProductRows.toSheetRows(rows), MASTER_LABEL);
+        return workbook;
+    },
+
+    // 행별 문제 목록 (행 인덱스 → ['...'])
+    // - 단품명/단품코드 빈값, 박스 입수가 숫자가 아님
+    // - 같은 단품명이 여러 행 (코드가 다르면 단품코드 충돌)
+    // - 별칭이 다른 행의 단품명과 같음 (단품명이 우선)
+    findIssues(rows) {
+        const issues = rows.map(() => []);
+        const byName = new Map();
+
+        rows.forEach((row, index) => {
+            const name = String(row.name || '').trim();
+            const code = String(row.code || '').trim();
+            const units = String(row.unitsPerBox == null ? '' : row.unitsPerBox).trim();
+
+            if (!name) issues[index].push('단품명 없음');
+            if (!code) issues[index].push('단품코드 없음');
+            if (units && !Number.isFinite(Number(units))) issues[index].push('박스 입수가 숫자가 아님');
+
+            if (name) {
+                if (!byName.has(name)) byName.set(name, []);
+                byName.get(name).push(index);
+            }
+        });
+
+        byName.forEach(indices => {
+            if (indices.length < 2) return;
+            const codes = new Set(indices.map(i => String(rows[i].code || '').trim()));
+            indices.forEach(i => issues[i].push(codes.size > 1 ? '단품코드 충돌' : '단품명 중복'));
+        });
+        rows.forEach((row, index) => {
+            splitAliases(row.aliases).forEach(alias => {
+                const owners = byName.get(alias);
+                if (owners && !owners.includes(index)) issues[index].push(`별칭 ${alias} 중복`);
+            });
+        });
+
+        return issues;
+    }
+};
+
+const ProductCodes = {
+    masterLabel: MASTER_LABEL,
+
+    // 단품코드 출처 목록 → 변환기 (앞 출처 우선, 같은 출처 안에서는 먼저 나온 행 우선)
+    // sources: [{ label, entries: [{ name, code, aliases? }] }] (예: 층별 시트들, 단품 마스터)
+    create(sources) {
+        const byName = new Map();  // 단품명 → [{ code, source }] (코드별 첫 출처)
+        const aliasIndex = new Map();  // 별칭 → 단품명
+
+        sources.forEach(source => {
+            source.entries.forEach(entry => {
+                const name = String(entry.name == null ? '' : entry.name).trim();
+                const code = String(entry.code == null ? '' : entry.code).trim();
+                if (!name || !code) return;
+                if (!byName.has(name)) byName.set(name, []);
+                const codes = byName.get(name);
+                if (!codes.some(c => c.code === code)) codes.push({ code, source: source.label });
+                (entry.aliases || []).forEach(alias => {
+                    if (!aliasIndex.has(alias)) aliasIndex.set(alias, name);
+                });
+            });
+        });
+
+        const aliasesOf = new Map();
+        aliasIndex.forEach((name, alias) => {
+            if (!aliasesOf.has(name)) aliasesOf.set(name, []);
+            aliasesOf.get(name).push(alias);
+        });
+        const candidates = [...byName.entries()].map(([name, codes]) => ({
+            name,
+            code: codes[0].code,
+            source: codes[0].source,
+            keys: [name, ...(aliasesOf.get(name) || [])]
+        }));
+
+        return {
+            size: byName.size,
+
+            // 단품명 → { code, source, rule } 또는 null (단품명 정확히 일치 또는 별칭만, 유사 단품은 suggest)
+            resolve(productName) {
+                const name = String(productName == null ? '' : productName).trim();
+                if (byName.has(name)) {
+                    const [first] = byName.get(name);
+                    return { code: first.code, source: first.source, rule: EXACT };
+                }
+                if (aliasIndex.has(name)) {
+                    const [first] = byName.get(aliasIndex.get(name));
+                    return { code: first.code, source: first.source, rule: ALIAS };
+                }
+                return null;
+            },
+
+            // 찾지 못한 단품명의 추천 후보 [{ name, code, source, score }] (유사도 순)
+            suggest(productName, limit = 3) {
+                return StringMatcher.rank(String(productName).normalize('NFKC'), candidates, { limit, minScore: SUGGEST_MIN_SCORE })
+                    .map(({ name, code, source, score }) => ({ name, code, source, score }));
+            },
+
+            // 같은 단품명에 코드가 둘 이상 [{ name, code, source, others: [{ code, source }] }] (code: 적용된 코드)
+            conflicts() {
+                return [...byName.entries()]
+                    .filter(([, codes]) => codes.length > 1)
+                    .map(([name, [first, ...others]]) => ({ name, code: first.code, source: first.source, others }));
+            }
+        };
+    }
+};
+
+const ProductMasterStore = {
+    // 저장된 단품 마스터 ({ fileName, savedAt, rows } 또는 null)
+    async get(converterId) {
+        return LocalStore.getMeta(masterKey(converterId));
+    },
+
+    async save(converterId, fileName, rows) {
+        const record = { fileName, savedAt: new Date().toISOString(), rows };
+        await LocalStore.setMeta(masterKey(converterId), record);
+        return record;
+    },
+
+    async clear(converterId) {
+        await LocalStore.setMeta(masterKey(converterId), null);
+    }
+};
+
+const PRODUCT_MASTER_STYLE = `
+    .product-master {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #555;
+    }
+    .product-master-active {
+        color: #2e7d32;
+        margin-bottom: 6px;
+    }
+    .product-master-controls {
+        display: flex;
+        gap: 6px;
+    }
+    .product-master-controls button {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = PRODUCT_MASTER_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 단품 마스터 파일 (.xlsx/.xls는 헤더 별칭으로 시트를 찾고, .csv는 그대로)
+async function readProductFile(file) {
+    if (/\.csv$/i.test(file.name)) {
+        return ProductRows.fromSheets([{ name: file.name, records: ExcelCore.parseCsv(await file.text()) }]);
+    }
+    return ProductRows.fromWorkbook(await ExcelCore.readFile(file));
+}
+
+const ProductMasterPanel = {
+    // 단품 마스터 패널 (저장된 마스터 표시, 파일 불러오기, 편집, 매핑실패 단품 추가, 삭제)
+    // options.converterId: 단품 마스터를 저장할 컨버터
+    // options.onSaved(master): 저장 후 ({ fileName, savedAt, rows }, 저장 실패 시 이번 세션에서만 사용)
+    // options.onError(error): 파일을 읽지 못함
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        container.classList.add('product-master');
+        container.innerHTML = `
+            <div class="product-master-bar"></div>
+            <input type="file" class="product-master-file" accept=".xlsx,.xls,.csv" style="display: none;">
+            <div id="${containerId}-editor"></div>
+        `;
+
+        const barEl = container.querySelector('.product-master-bar');
+        const fileEl = container.querySelector('.product-master-file');
+        let master = null;  // { fileName, savedAt, rows }
+        let failures = [];  // 매핑실패 단품 [{ name, code }] (편집기에 추가할 행)
+
+        function render() {
+            barEl.innerHTML = '';
+
+            const active = document.createElement('div');
+            active.className = master ? 'product-master-active' : '';
+            active.textContent = master
+                ? `단품 마스터: ${master.fileName} (${ProductRows.toEntries(master.rows).length}개 단품, ` +
+                  `${new Date(master.savedAt).toLocaleString('ko-KR')})`
+                : '단품 마스터 없음 (원본 파일 층별 시트의 단품코드만 사용)';
+
+            const controls = document.createElement('div');
+            controls.className = 'product-master-controls';
+            const button = (text, onClick) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = text;
+                btn.addEventListener('click', onClick);
+                controls.appendChild(btn);
+            };
+
+            button('단품 마스터 불러오기', () => fileEl.click());
+            button(master ? '단품 마스터 편집' : '단품 마스터 새로 만들기', () => openEditor(false));
+            if (failures.length > 0) {
+                button(`매핑실패 단품 ${failures.length}개 추가`, () => openEditor(true));
+            }
+            if (master) {
+                button('삭제', async () => {
+                    if (!confirm('저장된 단품 마스터를 삭제할까요?')) return;
+                    try {
+                        await ProductMasterStore.clear(options.converterId);
+                    } catch (error) {
+                        console.warn('단품 마스터 삭제 실패:', error);
+                    }
+                    master = null;
+                    render();
+                });
+            }
+
+            barEl.append(active, controls);
+        }
+
+        async function save(fileName, rows) {
+            try {
+                master = await ProductMasterStore.save(options.converterId, fileName, rows);
+            } catch (storeError) {
+                console.warn('단품 마스터 저장 실패:', storeError);
+                master = { fileName, savedAt: new Date().toISOString(), rows };
+            }
+            render();
+            if (options.onSaved) options.onSaved(master);
+        }
+
+        fileEl.addEventListener('change', async () => {
+            const file = fileEl.files[0];
+            fileEl.value = '';
+            if (!file) return;
+            try {
+                await save(file.name, await readProductFile(file));
+            } catch (error) {
+                console.error(error);
+                if (options.onError) options.onError(error);
+            }
+        });
+
+        const editor = MappingEditor.setup(`${containerId}-editor`, {
+            columns: PRODUCT_COLUMNS,
+            model: ProductRows,
+            keyColumn: 'name',
+            saveLabel: '단품 마스터 저장',
+            onSave: async (rows) => {
+                editor.close();
+                await save(master ? master.fileName : '단품마스터.xlsx', rows);
+            }
+        });
+
+        // withFailures: 매핑실패 단품을 마스터에 없는 것만 행으로 추가
+        function openEditor(withFailures) {
+            const rows = master ? [...master.rows] : [];
+            if (withFailures) {
+                const known = new Set(rows.map(row => String(row.name).trim()));
+                failures.forEach(failure => {
+                    if (known.has(failure.name)) return;
+                    rows.push({ name: failure.name, code: failure.code, aliases: '', unitsPerBox: '' });
+                });
+            }
+            const baseName = master ? master.fileName.replace(/\.(xlsx?|csv)$/i, '') : '단품마스터';
+            editor.open(rows, baseName);
+        }
+
+        ProductMasterStore.get(options.converterId)
+            .then(saved => { master = saved || null; })
+            .catch(error => console.warn('단품 마스터 로드 실패:', error))
+            .finally(render);
+
+        return {
+            // 저장된 단품 마스터 행 (없으면 null)
+            getRows: () => (master ? master.rows : null),
+            // 현재 결과의 매핑실패 단품 [{ name, code }] (code: 정규화 후 같은 추천 단품의 코드, 없으면 빈 문자열)
+            setFailures(items) {
+                failures = items;
+                render();
+            }
+        };
+    }
+};
+
+export { ProductRows, ProductCodes, ProductMasterStore, ProductMasterPanel, PRODUCT_COLUMNS, PRODUCT_HEADER_ALIASES };
@@ -0,0 +1,99 @@
+/**
+ * 브라우저 로컬 저장소 (IndexedDB) 공통 래퍼
+ */
+
+const DB_NAME = 'excel-converter';
+const DB_VERSION = 2;
+
+// 오브젝트 스토어 정의 (스토어 추가 시 DB_VERSION을 올리면 업그레이드 시 생성됨)
+const STORES = {
+    // 매핑 테이블 버전 ({ id, converterId, version, fileName, savedAt, data, mapping })
+    mappings: { keyPath: 'id', autoIncrement: true, indexes: ['converterId'] },
+    // 키-값 설정 ({ key, value })
+    meta: { keyPath: 'key' },
+    // 변환 기록 ({ id, converterId, createdAt, inputs, mapping, mode, count, validation, elapsed, output })
+    history: { keyPath: 'id', autoIncrement: true, indexes: ['converterId'] }
+};
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const LocalStore = {
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!LocalStore.isSupported()) {
+                reject(new Error('이 브라우저는 IndexedDB를 지원하지 않습니다.'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, def]) => {
+                    if (db.objectStoreNames.contains(name)) return;
+                    const store = db.createObjectStore(name, {
+                        keyPath: def.keyPath,
+                        autoIncrement: !!def.autoIncrement
+                    });
+                    (def.indexes || []).forEach(index => store.createIndex(index, index));
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // 실패 시 다음 호출에서 재시도
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    },
+
+    async _store(storeName, mode) {
+        const db = await LocalStore.open();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    },
+
+    async get(storeName, key) {
+        const store = await LocalStore._store(storeName, 'readonly');
+        return promisifyRequest(store.get(key));
+    },
+
+    async getAll(storeName, indexName, indexValue) {
+        const store = await LocalStore._store(storeName, 'readonly');
+        const source = indexName ? store.index(indexName) : store;
+        return promisifyRequest(indexValue !== undefined ? source.getAll(indexValue) : source.getAll());
+    },
+
+    // 저장 후 키 반환
+    async put(storeName, value) {
+        const store = await LocalStore._store(storeName, 'readwrite');
+        return promisifyRequest(store.put(value));
+    },
+
+    async delete(storeName, key) {
+        const store = await LocalStore._store(storeName, 'readwrite');
+        return promisifyRequest(store.delete(key));
+    },
+
+    async getMeta(key, defaultValue = null) {
+        const entry = await LocalStore.get('meta', key);
+        return entry ? entry.value : defaultValue;
+    },
+
+    async setMeta(key, value) {
+        return LocalStore.put('meta', { key, value });
+    }
+};
+
+export { LocalStore };
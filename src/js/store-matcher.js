@@ -0,0 +1,147 @@
+/**
+ * 매장명 매칭 (정규화 단계 + 치환 규칙 + 매핑 테이블 별칭)
+ * 원본 매장명을 매핑 테이블 키와 단계적으로 비교하고, 어떤 단계(규칙)로 일치했는지 함께 반환
+ */
+
+// 기본 치환 규칙 (원본 매장명과 매핑 테이블 키 양쪽에 동일하게 적용)
+const DEFAULT_STORE_NAME_RULES = [
+    { name: '층 표기 (3F → 3층)', pattern: '(\\d+)\\s*[Ff](?![A-Za-z])', replace: '$1층' },
+    { name: '괄호 안쪽/앞 공백 제거', pattern: '\\s*([()])\\s*', replace: '$1' }
+];
+
+const EXACT = '정확히 일치';
+const ALIAS = '별칭';
+
+// 누적 정규화 단계 (앞 단계 결과에 이어서 적용)
+const BASE_STAGES = [
+    { label: '공백 정리', fn: s => s.replace(/\s+/g, ' ').trim() },
+    { label: '전각/반각·대소문자 통일', fn: s => s.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim() },
+    { label: '끝 구두점 제거', fn: s => s.replace(/[\s.,:;·~!?_-]+$/, '') }
+];
+
+function compileRules(rules) {
+    return (rules || []).map(rule => {
+        try {
+            return { ...rule, regex: new RegExp(rule.pattern, rule.flags || 'g') };
+        } catch (e) {
+            console.warn(`매장명 규칙 무시 (잘못된 정규식): ${rule.name}`, e.message);
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+// 단계별 정규화 함수 목록 (기본 단계 + 규칙마다 한 단계)
+function buildStages(rules) {
+    const stages = [...BASE_STAGES];
+    compileRules(rules).forEach(rule => {
+        stages.push({
+            label: `규칙: ${rule.name}`,
+            fn: s => s.replace(rule.regex, rule.replace).replace(/\s+/g, ' ').trim()
+        });
+    });
+    return stages;
+}
+
+const StoreMatcher = {
+    // mapping: {원본 사업장명 → {code, systemName, aliases?}}
+    create(mapping, rules = DEFAULT_STORE_NAME_RULES) {
+        const stages = buildStages(rules);
+
+        // 비교 대상: 매핑 키 + 별칭 (별칭은 해당 매핑 키로 연결)
+        const targets = [];
+        const exactAliases = new Map();
+        Object.entries(mapping).forEach(([key, entry]) => {
+            targets.push({ text: key, key, isAlias: false });
+            (entry.aliases || []).forEach(alias => {
+                targets.push({ text: alias, key, isAlias: true });
+                if (!exactAliases.has(alias)) exactAliases.set(alias, key);
+            });
+        });
+
+        // 단계별 색인 (정규화 결과가 서로 다른 키로 겹치면 모호하므로 null 처리)
+        const indexes = [];
+        let current = targets.map(t => String(t.text));
+        stages.forEach(stage => {
+            current = current.map(text => stage.fn(text));
+            const index = new Map();
+            current.forEach((normalized, i) => {
+                if (!normalized) return;
+                const target = targets[i];
+                const existing = index.get(normalized);
+                if (existing === undefined) {
+                    index.set(normalized, target);
+                } else if (existing && existing.key !== target.key) {
+                    index.set(normalized, null);
+                }
+            });
+            indexes.push(index);
+        });
+
+        return {
+            // 일치 항목 { key, entry, rule } 또는 null
+            match(storeName) {
+                if (storeName == null) return null;
+                if (mapping[storeName]) {
+                    return { key: storeName, entry: mapping[storeName], rule: EXACT };
+                }
+                if (exactAliases.has(storeName)) {
+                    const key = exactAliases.get(storeName);
+                    return { key, entry: mapping[key], rule: ALIAS };
+                }
+
+                let normalized = String(storeName);
+                for (let i = 0; i < stages.length; i++) {
+                    normalized = stages[i].fn(normalized);
+                    const target = indexes[i].get(normalized);
+                    if (target) {
+                        return {
+                            key: target.key,
+                            entry: mapping[target.key],
+                            rule: stages[i].label + (target.isAlias ? ` (${ALIAS})` : '')
+                        };
+                    }
+                }
+                return null;
+            }
+        };
+    }
+};
+
+// 규칙 텍스트 (한 줄에 하나: "이름 | 정규식 | 치환") ↔ 규칙 목록
+// 칸 구분자는 앞뒤에 공백이 있는 | 앞의 두 개뿐 (정규식의 a|b 대체 패턴은 그대로, 세 번째 칸은 줄 끝까지)
+const RULE_SEPARATOR = /\s+\|(?:\s+|$)/;
+
+function splitRule(line) {
+    const parts = [];
+    let rest = line;
+    while (parts.length < 2) {
+        const match = rest.match(RULE_SEPARATOR);
+        if (!match) break;
+        parts.push(rest.slice(0, match.index));
+        rest = rest.slice(match.index + match[0].length);
+    }
+    parts.push(rest);
+    return parts.map(part => part.trim());
+}
+
+const StoreNameRules = {
+    defaults: DEFAULT_STORE_NAME_RULES,
+
+    parse(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const [name, pattern, replace = ''] = splitRule(line);
+                if (!pattern) throw new Error(`규칙 형식 오류 (이름 | 정규식 | 치환, | 앞뒤 공백 필요): ${line}`);
+                new RegExp(pattern, 'g');  // 유효성 확인 (오류 시 예외)
+                return { name: name || pattern, pattern, replace };
+            });
+    },
+
+    format(rules) {
+        return rules.map(rule => `${rule.name} | ${rule.pattern} | ${rule.replace}`).join('\n');
+    }
+};
+
+export { StoreMatcher, StoreNameRules };
@@ -0,0 +1,320 @@
+/**
+ * 규칙 기반 검증 엔진
+ * 규칙 정의(check 함수)를 설정(사용 여부, 심각도, 매개변수)에 따라 실행하여
+ * 문제 목록과 규칙별 통과/경고/실패 요약을 만들고, 규칙 설정 편집 UI 제공
+ */
+
+import { LocalStore } from './storage.js?v=10';
+
+// 심각도 (순서: 높은 것부터)
+const SEVERITIES = {
+    fail: '실패',
+    warn: '경고',
+    info: '참고'
+};
+
+const STATUS_LABELS = {
+    pass: '통과',
+    ...SEVERITIES
+};
+
+const SEVERITY_ORDER = ['fail', 'warn', 'info'];
+
+// 여러 심각도 중 가장 높은 것 (없으면 'pass')
+function worstSeverity(severities) {
+    return SEVERITY_ORDER.find(severity => severities.includes(severity)) || 'pass';
+}
+
+const ValidationEngine = {
+    severities: SEVERITIES,
+    statusLabels: STATUS_LABELS,
+    worstSeverity,
+
+    // 규칙 정의 → 기본 설정
+    // rules: [{ id, name, description, severity, params?: [{ key, label, default }], check(context, params) }]
+    defaults(rules) {
+        const settings = { blockOnFail: true, rules: {} };
+        rules.forEach(rule => {
+            const params = {};
+            (rule.params || []).forEach(param => { params[param.key] = param.default; });
+            settings.rules[rule.id] = { enabled: true, severity: rule.severity, params };
+        });
+        return settings;
+    },
+
+    // 저장된 설정을 현재 규칙 정의에 맞춤 (새 규칙은 기본값, 없어진 규칙은 제거)
+    normalize(saved, rules) {
+        const settings = ValidationEngine.defaults(rules);
+        if (!saved) return settings;
+        if (saved.blockOnFail !== undefined) settings.blockOnFail = !!saved.blockOnFail;
+        rules.forEach(rule => {
+            const savedRule = saved.rules && saved.rules[rule.id];
+            if (!savedRule) return;
+            const target = settings.rules[rule.id];
+            if (savedRule.enabled !== undefined) target.enabled = !!savedRule.enabled;
+            if (SEVERITIES[savedRule.severity]) target.severity = savedRule.severity;
+            (rule.params || []).forEach(param => {
+                const value = Number(savedRule.params && savedRule.params[param.key]);
+                if (Number.isFinite(value)) target.params[param.key] = value;
+            });
+        });
+        return settings;
+    },
+
+    // 규칙 실행
+    // check 반환: [{ message, date?, store?, ref?, fileName? }]
+    // 반환: { issues: [{ ruleId, ruleName, severity, ... }], summary: [{ rule, severity, status, count }], counts, status, blocked }
+    // - blocked: 설정의 blockOnFail이 켜져 있고 실패 항목이 있음 (다운로드 차단)
+    run(context, rules, settings) {
+        settings = settings || ValidationEngine.defaults(rules);
+        const issues = [];
+        const summary = [];
+
+        rules.forEach(rule => {
+            const ruleSettings = settings.rules[rule.id] || { enabled: true, severity: rule.severity, params: {} };
+            if (!ruleSettings.enabled) {
+                summary.push({ rule, severity: ruleSettings.severity, status: 'skipped', count: 0 });
+                return;
+            }
+
+            const found = rule.check(context, ruleSettings.params || {}) || [];
+            found.forEach(issue => issues.push({
+                ruleId: rule.id,
+                ruleName: rule.name,
+                severity: ruleSettings.severity,
+                ...issue
+            }));
+            summary.push({
+                rule,
+                severity: ruleSettings.severity,
+                status: found.length > 0 ? ruleSettings.severity : 'pass',
+                count: found.length
+            });
+        });
+
+        const counts = { fail: 0, warn: 0, info: 0 };
+        issues.forEach(issue => { counts[issue.severity]++; });
+
+        return {
+            issues,
+            summary,
+            counts,
+            status: worstSeverity(issues.map(issue => issue.severity)),
+            blocked: !!settings.blockOnFail && counts.fail > 0
+        };
+    },
+
+    // 요약 시트 행
+    summaryRows(report) {
+        return report.summary.map(({ rule, severity, status, count }) => ({
+            '규칙': rule.name,
+            '심각도': SEVERITIES[severity],
+            '결과': status === 'skipped' ? '사용 안 함' : STATUS_LABELS[status],
+            '건수': count,
+            '설명': rule.description
+        }));
+    },
+
+    // 상세 시트 행 (일괄 변환이면 원본 파일 컬럼 포함)
+    issueRows(report) {
+        const hasFiles = report.issues.some(issue => issue.fileName);
+        return report.issues.map(issue => {
+            const row = {};
+            if (hasFiles) row['원본 파일'] = issue.fileName || '';
+            return Object.assign(row, {
+                '심각도': SEVERITIES[issue.severity],
+                '규칙': issue.ruleName,
+                '일자': issue.date || '',
+                '매장': issue.store || '',
+                '위치': issue.ref || '',
+                '내용': issue.message
+            });
+        });
+    },
+
+    // 문제 목록 → 상태 문구 (예: "검증 실패 2건 · 경고 3건")
+    describe(issues) {
+        if (issues.length === 0) return '검증 통과';
+        const parts = SEVERITY_ORDER
+            .map(severity => [severity, issues.filter(issue => issue.severity === severity).length])
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${SEVERITIES[severity]} ${count}건`);
+        return '검증 ' + parts.join(' · ');
+    }
+};
+
+// ========== 규칙 설정 UI ==========
+
+const SETTINGS_STYLE = `
+    .validation-settings {
+        margin-top: 8px;
+        font-size: 13px;
+        color: #555;
+    }
+    .validation-settings summary {
+        cursor: pointer;
+    }
+    .validation-settings table {
+        width: 100%;
+        margin-top: 6px;
+        border-collapse: collapse;
+    }
+    .validation-settings td {
+        padding: 4px 6px;
+        border-top: 1px solid #f0f0f0;
+        vertical-align: top;
+    }
+    .validation-settings .rule-description {
+        font-size: 12px;
+        color: #888;
+    }
+    .validation-settings select,
+    .validation-settings input[type="number"] {
+        padding: 2px 4px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+    }
+    .validation-settings input[type="number"] {
+        width: 70px;
+    }
+    .validation-settings label {
+        display: inline;
+        margin: 0;
+        font-weight: normal;
+    }
+    .validation-settings-actions {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 6px;
+        margin-top: 6px;
+    }
+    .validation-settings-actions button {
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fafafa;
+        cursor: pointer;
+    }
+`;
+
+let styleInjected = false;
+
+function injectStyle() {
+    if (styleInjected) return;
+    const style = document.createElement('style');
+    style.textContent = SETTINGS_STYLE;
+    document.head.appendChild(style);
+    styleInjected = true;
+}
+
+// 저장 키 (규칙 설정)
+const settingsKey = (converterId) => `validationRules:${converterId}`;
+
+const ValidationSettingsEditor = {
+    // options.rules: 규칙 정의
+    // options.converterId: 설정을 저장할 컨버터 (브라우저에 저장, setup 시 불러옴)
+    // options.onSaved(error): 설정 저장 후 (저장 실패 시 error, 이번 세션에서만 사용)
+    setup(containerId, options = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        injectStyle();
+        const rules = options.rules || [];
+        let settings = ValidationEngine.defaults(rules);
+
+        container.innerHTML = `
+            <details class="validation-settings">
+                <summary>검증 규칙</summary>
+                <table><tbody></tbody></table>
+                <div class="validation-settings-actions">
+                    <label><input type="checkbox" class="block-on-fail"> 실패 항목이 있으면 다운로드 차단</label>
+                    <span>
+                        <button type="button" class="reset">기본값</button>
+                        <button type="button" class="save">규칙 저장</button>
+                    </span>
+                </div>
+            </details>
+        `;
+
+        const tbodyEl = container.querySelector('tbody');
+        const blockEl = container.querySelector('.block-on-fail');
+
+        function render() {
+            tbodyEl.innerHTML = '';
+            blockEl.checked = settings.blockOnFail;
+
+            rules.forEach(rule => {
+                const ruleSettings = settings.rules[rule.id];
+                const tr = document.createElement('tr');
+
+                const enabledTd = document.createElement('td');
+                const enabled = document.createElement('input');
+                enabled.type = 'checkbox';
+                enabled.checked = ruleSettings.enabled;
+                enabled.addEventListener('change', () => { ruleSettings.enabled = enabled.checked; });
+                enabledTd.appendChild(enabled);
+
+                const nameTd = document.createElement('td');
+                nameTd.textContent = rule.name;
+                const description = document.createElement('div');
+                description.className = 'rule-description';
+                description.textContent = rule.description;
+                nameTd.appendChild(description);
+
+                (rule.params || []).forEach(param => {
+                    const label = document.createElement('label');
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.value = ruleSettings.params[param.key];
+                    input.addEventListener('change', () => {
+                        const value = Number(input.value);
+                        if (Number.isFinite(value)) ruleSettings.params[param.key] = value;
+                    });
+                    label.append(`${param.label} `, input);
+                    nameTd.appendChild(label);
+                });
+
+                const severityTd = document.createElement('td');
+                const severity = document.createElement('select');
+                Object.entries(SEVERITIES).forEach(([value, text]) => severity.appendChild(new Option(text, value)));
+                severity.value = ruleSettings.severity;
+                severity.addEventListener('change', () => { ruleSettings.severity = severity.value; });
+                severityTd.appendChild(severity);
+
+                tr.append(enabledTd, nameTd, severityTd);
+                tbodyEl.appendChild(tr);
+            });
+        }
+
+        blockEl.addEventListener('change', () => { settings.blockOnFail = blockEl.checked; });
+        container.querySelector('.reset').addEventListener('click', () => {
+            settings = ValidationEngine.defaults(rules);
+            render();
+        });
+        container.querySelector('.save').addEventListener('click', async () => {
+            let storeError = null;
+            try {
+                await LocalStore.setMeta(settingsKey(options.converterId), settings);
+            } catch (error) {
+                console.warn('검증 규칙 저장 실패:', error);
+                storeError = error;
+            }
+            if (options.onSaved) options.onSaved(storeError);
+        });
+
+        render();
+        LocalStore.getMeta(settingsKey(options.converterId))
+            .then(saved => {
+                settings = ValidationEngine.normalize(saved, rules);
+                render();
+            })
+            .catch(error => console.warn('검증 규칙 로드 실패:', error));
+
+        return {
+            get: () => JSON.parse(JSON.stringify(settings))
+        };
+    }
+};
+
+export { ValidationEngine, ValidationSettingsEditor };
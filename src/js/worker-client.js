@@ -0,0 +1,148 @@
+/**
+ * 작업 워커 클라이언트
+ * 워커에 작업을 보내고 진행 상황/결과를 받음. 취소 시 워커를 종료하고 다음 작업에서 새로 생성
+ * 워커를 만들 수 없거나 워커 초기화에 실패하면 같은 작업을 메인 스레드에서 실행 (취소 불가)
+ *
+ * 워커 메시지 규약
+ * - 요청: { id, task, payload }
+ * - 응답: { id, type: 'progress', progress } / { id, type: 'done', result } / { id, type: 'error', error }
+ * - 초기화: { type: 'ready', ... } (onReady에 전달) / { type: 'failed', message }
+ */
+
+// 워커에서 받은 오류 → Error (message 외 속성은 그대로 복사)
+function toError(data) {
+    const error = new Error(data.message);
+    Object.entries(data).forEach(([key, value]) => {
+        if (key !== 'message' && value != null) error[key] = value;
+    });
+    return error;
+}
+
+function cancelledError() {
+    const error = new Error('작업이 취소되었습니다');
+    error.cancelled = true;
+    return error;
+}
+
+const WorkerClient = {
+    // url: 워커 스크립트 URL
+    // options.fallback: { init(), run(task, payload, onProgress) } - 메인 스레드 실행 (init 결과는 onReady에 전달)
+    // options.onReady(info): 워커 준비 완료 ({ ...워커 ready 메시지, worker: true } 또는 { ...init 결과, worker: false })
+    create(url, options = {}) {
+        let worker = null;
+        let useFallback = typeof Worker === 'undefined';
+        let fallbackReady = null;
+        let nextId = 1;
+        const pending = new Map();  // id → { task, payload, onProgress, resolve, reject }
+
+        function ready(info) {
+            if (options.onReady) options.onReady(info);
+        }
+
+        // 메인 스레드 실행으로 전환 (대기 중인 작업도 메인 스레드에서 다시 실행)
+        function switchToFallback(reason) {
+            console.warn('워커를 사용할 수 없어 메인 스레드에서 실행합니다:', reason);
+            useFallback = true;
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            const jobs = [...pending.values()];
+            pending.clear();
+            jobs.forEach(job => runFallback(job.task, job.payload, job.onProgress).then(job.resolve, job.reject));
+        }
+
+        function initFallback() {
+            if (!fallbackReady) {
+                fallbackReady = Promise.resolve(options.fallback.init()).then(info => {
+                    ready({ ...info, worker: false });
+                });
+            }
+            return fallbackReady;
+        }
+
+        async function runFallback(task, payload, onProgress) {
+            await initFallback();
+            return options.fallback.run(task, payload, onProgress);
+        }
+
+        function spawn() {
+            try {
+                worker = new Worker(url);
+            } catch (error) {
+                switchToFallback(error.message);
+                return;
+            }
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'ready') {
+                    ready({ ...message, worker: true });
+                    return;
+                }
+                if (message.type === 'failed') {
+                    switchToFallback(message.message);
+                    return;
+                }
+
+                const job = pending.get(message.id);
+                if (!job) return;
+                if (message.type === 'progress') {
+                    if (job.onProgress) job.onProgress(message.progress);
+                } else {
+                    pending.delete(message.id);
+                    if (message.type === 'done') {
+                        job.resolve(message.result);
+                    } else {
+                        job.reject(toError(message.error));
+                    }
+                }
+            };
+
+            // 스크립트 로드 실패 등 워커 자체 오류
+            worker.onerror = (e) => {
+                e.preventDefault();
+                switchToFallback(e.message || '워커 오류');
+            };
+        }
+
+        if (useFallback) {
+            initFallback();
+        } else {
+            spawn();
+        }
+
+        return {
+            // 작업 실행 → 결과 Promise (onProgress: 진행 상황 콜백)
+            run(task, payload, onProgress) {
+                if (useFallback) return runFallback(task, payload, onProgress);
+                if (!worker) spawn();
+                if (useFallback) return runFallback(task, payload, onProgress);
+
+                const id = nextId++;
+                return new Promise((resolve, reject) => {
+                    pending.set(id, { task, payload, onProgress, resolve, reject });
+                    worker.postMessage({ id, task, payload });
+                });
+            },
+
+            // 워커에서 실행 중이면 취소 가능
+            get cancellable() {
+                return !useFallback;
+            },
+
+            // 실행 중인 작업 모두 취소 (error.cancelled = true로 거부)
+            cancel() {
+                if (useFallback || !worker) return false;
+                worker.terminate();
+                worker = null;
+                const jobs = [...pending.values()];
+                pending.clear();
+                jobs.forEach(job => job.reject(cancelledError()));
+                return jobs.length > 0;
+            }
+        };
+    }
+};
+
+export { WorkerClient };
@@ -0,0 +1,101 @@
+/**
+ * 서비스 워커 (오프라인 사용)
+ * 앱 파일(index.html, JS 모듈, WASM, 라이브러리)을 설치할 때 캐시하고, 이후 요청은 캐시에서 응답 (없으면 네트워크)
+ * 새 버전(VERSION이 다른 sw.js)은 설치 후 대기하고, 페이지가 새로고침을 안내해 사용자가 고르면 적용 (offline.js)
+ */
+
+// 배포 버전 (GitHub Actions가 커밋 해시로 바꿈). 바뀌어야 브라우저가 새 버전으로 인식
+const VERSION = 'dev';
+const CACHE_PREFIX = 'excel-converter-';
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+
+// 미리 캐시할 파일 (sw.js 기준 경로, 모듈의 ?v= 쿼리는 응답할 때 무시). 모듈/라이브러리를 추가하면 여기에도 추가
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/exceljs.min.js',
+    'vendor/FileSaver.min.js',
+    'vendor/jszip.min.js',
+    'vendor/xlsx.full.min.js',
+    'js/app.js',
+    'js/converter-manifest.js',
+    'js/core.js',
+    'js/errors.js',
+    'js/history.js',
+    'js/layout.js',
+    'js/mapping-editor.js',
+    'js/mapping-resolver.js',
+    'js/mapping-store.js',
+    'js/matching.js',
+    'js/offline.js',
+    'js/output-profiles.js',
+    'js/preview.js',
+    'js/product-master.js',
+    'js/storage.js',
+    'js/store-matcher.js',
+    'js/validation.js',
+    'js/worker-client.js',
+    'js/converters/hyundai.js',
+    'js/converters/hyundai-batch.js',
+    'js/converters/hyundai-compare.js',
+    'js/converters/hyundai-dates.js',
+    'js/converters/hyundai-layouts.js',
+    'js/converters/hyundai-parity.js',
+    'js/converters/hyundai-rules.js',
+    'js/converters/hyundai-worker.js',
+    'wasm/excel_converter_wasm.js',
+    'wasm/excel_converter_wasm_bg.wasm'
+];
+
+// 설치: 모든 파일을 HTTP 캐시를 거치지 않고 받아 저장 (하나라도 실패하면 설치 실패, 이전 버전 유지)
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE.map(path => new Request(path, { cache: 'reload' })))
+        )
+    );
+});
+
+// 활성화: 이전 버전 캐시 삭제, 열려 있는 페이지도 바로 이 워커가 처리
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 페이지에서 새로고침을 고르면 대기 중인 새 버전 적용
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// 같은 출처 GET 요청: 캐시 우선, 없으면 네트워크. 오프라인에서 페이지 이동은 index.html
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        try {
+            return await fetch(request);
+        } catch (error) {
+            if (request.mode === 'navigate') {
+                const index = await cache.match('index.html');
+                if (index) return index;
+            }
+            throw error;
+        }
+    })());
+});
@@ -0,0 +1,75 @@
+/**
+ * 구조화된 변환 오류 (ConvertError.create, describe, fromWasm, report)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConvertError } from '../src/js/errors.js?v=10';
+
+test('create/describe: 코드 기본값, 위치 필드는 문자열', () => {
+    const error = ConvertError.create('date-invalid', '날짜를 인식할 수 없습니다', { sheet: '월', cell: 'B2', expected: '날짜', found: 12 });
+    assert.ok(error instanceof Error);
+    assert.equal(error.severity, 'fail');
+    assert.equal(error.hint, ConvertError.codes['date-invalid'].hint);
+
+    assert.deepEqual(ConvertError.describe(error), {
+        code: 'date-invalid',
+        title: '날짜 인식 불가',
+        severity: 'fail',
+        message: '날짜를 인식할 수 없습니다',
+        hint: ConvertError.codes['date-invalid'].hint,
+        sheet: '월',
+        cell: 'B2',
+        expected: '날짜',
+        found: '12'
+    });
+
+    const warn = ConvertError.create('sheet-missing', '시트 없음', { severity: 'warn', hint: '직접 지정' });
+    assert.equal(warn.severity, 'warn');
+    assert.equal(warn.hint, '직접 지정');
+    assert.equal(warn.sheet, '');
+});
+
+test('describe: 코드가 없거나 모르는 오류는 unknown', () => {
+    for (const error of [new Error('디스크 오류'), ConvertError.create('no-such-code', '디스크 오류')]) {
+        const info = ConvertError.describe(error);
+        assert.equal(info.code, 'unknown');
+        assert.equal(info.title, '오류');
+        assert.equal(info.message, '디스크 오류');
+        assert.equal(info.cell, '');
+    }
+    assert.equal(ConvertError.describe('문자열 오류').message, '문자열 오류');
+});
+
+test('fromWasm: error_info가 있으면 그 코드, 없으면 wasm-failed', () => {
+    const structured = ConvertError.fromWasm({
+        error: '필수 컬럼 없음',
+        error_info: { code: 'header-columns', message: '매핑 테이블 헤더에 필수 컬럼이 없습니다', sheet: '매핑', cell: 'A1' }
+    });
+    assert.equal(structured.code, 'header-columns');
+    assert.equal(structured.message, '매핑 테이블 헤더에 필수 컬럼이 없습니다');
+    assert.equal(structured.sheet, '매핑');
+
+    const legacy = ConvertError.fromWasm({ error: 'panic' });
+    assert.equal(legacy.code, 'wasm-failed');
+    assert.equal(legacy.message, 'panic');
+    assert.equal(ConvertError.fromWasm({}).message, '변환 실패');
+});
+
+test('report: 메시지는 위치와 제목만, 실제 값은 비움', () => {
+    const errors = [
+        { ...ConvertError.describe(ConvertError.create('date-invalid', '본관 2026-13-01', { sheet: '월', cell: 'B2', found: '본관 2026-13-01' })), fileName: 'a.xlsx' },
+        ConvertError.describe(new Error('본관 김밥'))
+    ];
+    const report = ConvertError.report({ converter: 'hyundai', errors, files: [{ role: 'origin', name: 'a.xlsx' }] });
+
+    assert.equal(report.converter, 'hyundai');
+    assert.ok(!Number.isNaN(Date.parse(report.generatedAt)));
+    assert.deepEqual(report.files, [{ role: 'origin', name: 'a.xlsx' }]);
+    assert.equal(report.errors[0].message, '[월] B2 날짜 인식 불가');
+    assert.equal(report.errors[0].found, '');
+    assert.equal(report.errors[0].fileName, 'a.xlsx');
+    assert.equal(report.errors[0].expected, errors[0].expected);
+    assert.equal(report.errors[1].message, '오류');
+    assert.doesNotMatch(JSON.stringify(report.errors), /본관/);
+});
@@ -0,0 +1,107 @@
+/**
+ * 회귀 테스트 (원본/매핑/기대 결과 묶음)
+ * test/fixtures/<이름>/ 마다 JS와 WASM 엔진으로 각각 변환해 기대 결과와 데이터/검증/매장별 상세를 필드별로 비교
+ * - origin.xlsx(.xls), mapping.xlsx(.xls), expected.json (hyundai-parity.js의 toExpected 형식)
+ * - options.json (선택): { engines: ['js', 'wasm'], weekStart: 'YYYY-MM-DD' }
+ * 기대 결과 갱신: UPDATE_FIXTURES=1 npm test (JS 결과로 expected.json 저장, 변경 내용은 git diff로 확인)
+ *   WASM 케이스가 있는 묶음은 WASM 빌드가 wasm/src와 맞고 JS와 결과가 같을 때만 저장 (JS만으로 기대 결과를 만들지 않음)
+ * WASM 빌드(src/wasm)가 없거나 wasm/src와 형식 버전이 다르면 WASM 케이스는 건너뜀. REQUIRE_WASM=1이면 실패 (GitHub Actions)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fileOf, loadWasm } from '../cli/node-env.js';
+import { HYUNDAI_TASKS, loadMappingSource } from '../src/js/converters/hyundai.js?v=10';
+import { diffResults, describeDiff, toExpected } from '../src/js/converters/hyundai-parity.js?v=10';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const UPDATE = !!process.env.UPDATE_FIXTURES;
+const REQUIRE_WASM = !!process.env.REQUIRE_WASM;
+
+// 실패 메시지에 넣을 차이 항목 수
+const SHOWN_DIFFERENCES = 20;
+
+const wasmReady = await loadWasm();
+
+test('WASM 빌드', { skip: REQUIRE_WASM ? false : 'REQUIRE_WASM 없음' }, () => {
+    assert.ok(wasmReady, 'WASM 빌드가 없거나 wasm/src보다 오래됨 (wasm/build.sh)');
+});
+
+// 폴더 안의 이름이 base인 파일 (확장자 xlsx/xls)
+async function findFile(dir, base) {
+    const names = await readdir(dir);
+    const name = names.find(n => new RegExp(`^${base}\\.xlsx?$`, 'i').test(n));
+    if (!name) throw new Error(`${dir}에 ${base}.xlsx가 없습니다`);
+    return join(dir, name);
+}
+
+async function readJson(path, defaultValue) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return defaultValue;
+        throw error;
+    }
+}
+
+function formatDifferences(diff) {
+    const lines = diff.differences.slice(0, SHOWN_DIFFERENCES).map(d =>
+        `  [${d.sheet}] ${d.key} · ${d.field}: 기대 ${JSON.stringify(d.expected)} / 결과 ${JSON.stringify(d.actual)}`
+    );
+    if (diff.differences.length > SHOWN_DIFFERENCES) lines.push(`  ... 외 ${diff.differences.length - SHOWN_DIFFERENCES}건`);
+    return `${describeDiff(diff)}\n${lines.join('\n')}`;
+}
+
+async function convertFixture(dir, fixtureOptions, engine) {
+    const mappingSource = await loadMappingSource(await fileOf(await findFile(dir, 'mapping')));
+    const options = { engine };
+    if (fixtureOptions.weekStart) options.dateChoice = { source: 'override', weekStart: fixtureOptions.weekStart };
+
+    const { result } = await HYUNDAI_TASKS.convert({
+        file: await fileOf(await findFile(dir, 'origin')),
+        mappingSource,
+        options
+    });
+    return result;
+}
+
+const fixtures = (await readdir(FIXTURES_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+for (const name of fixtures) {
+    const dir = join(FIXTURES_DIR, name);
+    const fixtureOptions = await readJson(join(dir, 'options.json'), {});
+    const engines = fixtureOptions.engines || ['js', 'wasm'];
+    const expectedPath = join(dir, 'expected.json');
+
+    if (UPDATE) {
+        test(`${name} (갱신)`, async () => {
+            const result = await convertFixture(dir, fixtureOptions, 'js');
+            // 한 엔진만 틀린 결과를 기대 결과로 굳히지 않도록 WASM과 비교
+            if (engines.includes('wasm')) {
+                assert.ok(wasmReady, 'WASM 빌드가 없거나 wasm/src보다 오래되어 저장하지 않음 (wasm/build.sh로 빌드 후 다시 실행)');
+                const diff = diffResults(toExpected(result), await convertFixture(dir, fixtureOptions, 'wasm'));
+                assert.ok(diff.equal, `JS와 WASM 결과가 달라 저장하지 않음\n${formatDifferences(diff)}`);
+            }
+            await writeFile(expectedPath, JSON.stringify(toExpected(result), null, 2) + '\n');
+        });
+        continue;
+    }
+
+    for (const engine of engines) {
+        const skip = engine === 'wasm' && !wasmReady ? 'WASM 빌드 없음 또는 wasm/src보다 오래됨 (wasm/build.sh)' : false;
+
+        test(`${name} (${engine})`, { skip }, async () => {
+            const result = await convertFixture(dir, fixtureOptions, engine);
+            const expected = await readJson(expectedPath, null);
+            assert.ok(expected, `${expectedPath}가 없습니다 (UPDATE_FIXTURES=1 npm test로 생성)`);
+            const diff = diffResults(expected, result);
+            assert.ok(diff.equal, formatDifferences(diff));
+        });
+    }
+}
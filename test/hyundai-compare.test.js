@@ -0,0 +1,67 @@
+/**
+ * 현대차 주간 비교 (compareWeeks, describeChanges)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWeeks, describeChanges } from '../src/js/converters/hyundai-compare.js?v=10';
+
+// 이전 결과 (loadPreviousResult 형식: 요일/매장/품목별 Box 합계)
+const PREVIOUS = {
+    name: '이전_result.xlsx',
+    weekStart: '2026-01-12',
+    rows: [
+        { day: '월', store: '본관', product: '김밥', box: 10 },
+        { day: '월', store: '본관', product: '라면', box: 4 },
+        { day: '월', store: '본관', product: '우동', box: 2 },
+        { day: '월', store: '별관', product: '김밥', box: 3 },
+        { day: '화', store: '본관', product: '떡볶이', box: 8 },
+        { day: '화', store: '본관', product: '김밥', box: 10 }
+    ]
+};
+
+const row = (date, store, product, box) => ({ '일자': date, '원본 사업장명': store, '사업장명': `[시스템] ${store}`, '품목명': product, 'Box 입수': box });
+
+const CURRENT = [
+    row('2026-01-19', '본관', '김밥', 6),
+    row('2026-01-19', '본관', '김밥', 10),     // 같은 품목은 합산 (16, 60% 증가)
+    row('2026-01-19', '본관', '라면', 3),      // 25% 감소
+    row('2026-01-19', '본관', '떡볶이', 5),    // 이전 주 화요일에 있던 품목
+    row('2026-01-19', '본관', '샌드위치', 2),  // 이전 주 전체에 없던 품목
+    row('2026-01-19', '신관', '김밥', 7),
+    row('2026-01-20', '본관', '떡볶이', 1),    // 급감
+    row('2026-01-20', '본관', '김밥', 10)      // 변경 없음
+];
+
+const summary = change => [change['요일'], change['매장'], change['품목명'], change['변경'], change['이전 Box'], change['현재 Box'], change['비고']];
+
+test('매장/품목 추가·삭제, 수량 변경과 급증·급감, 요일/매장/품목 순 정렬', () => {
+    const changes = compareWeeks(PREVIOUS, CURRENT);
+    assert.deepEqual(changes.map(summary), [
+        ['월', '별관', '', '매장 삭제', 3, 0, '품목 1개'],
+        ['월', '본관', '김밥', '수량 변경', 10, 16, '급증'],
+        ['월', '본관', '떡볶이', '품목 추가', 0, 5, ''],
+        ['월', '본관', '라면', '수량 변경', 4, 3, ''],
+        ['월', '본관', '샌드위치', '품목 추가', 0, 2, '신규 품목'],
+        ['월', '본관', '우동', '품목 삭제', 2, 0, ''],
+        ['월', '신관', '', '매장 추가', 0, 7, '품목 1개'],
+        ['화', '본관', '떡볶이', '수량 변경', 8, 1, '급감']
+    ]);
+    assert.equal(changes[1]['차이'], 6);
+});
+
+test('매장 기준은 원본 사업장명, 없으면 사업장명', () => {
+    const changes = compareWeeks(
+        { rows: [{ day: '월', store: '본관', product: '김밥', box: 1 }] },
+        [{ '일자': '2026-01-19', '사업장명': '본관', '품목명': '김밥', 'Box 입수': 1 }]
+    );
+    assert.deepEqual(changes, []);
+});
+
+test('변경사항 요약 문구', () => {
+    assert.equal(describeChanges([]), '이전 결과와 변경사항 없음');
+    assert.equal(
+        describeChanges(compareWeeks(PREVIOUS, CURRENT)),
+        '변경사항 8건 (매장 +1/-1, 신규 품목 1개, 급증/급감 2건)'
+    );
+});
@@ -0,0 +1,88 @@
+/**
+ * 현대차 원본 날짜 결정 (collectDateCandidates 후보/충돌, resolveDates)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fileOf } from '../cli/node-env.js';
+import { ExcelCore } from '../src/js/core.js?v=10';
+import { HYUNDAI_TASKS, loadMappingSource } from '../src/js/converters/hyundai.js?v=10';
+import { collectDateCandidates, resolveDates } from '../src/js/converters/hyundai-dates.js?v=10';
+import { getLayout } from '../src/js/converters/hyundai-layouts.js?v=10';
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/day-sheets/', import.meta.url));
+
+// 요일 시트 날짜 셀을 비운 원본 (파일명에도 날짜 없음)
+async function originWithoutDates() {
+    const layout = getLayout('day-sheets');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await readFile(join(FIXTURE_DIR, 'origin.xlsx')));
+    layout.daySheets.forEach(day => {
+        const sheet = workbook.getWorksheet(day);
+        if (sheet) sheet.getCell(layout.date.cell).value = null;
+    });
+    return new File([await workbook.xlsx.writeBuffer()], '원본.xlsx');
+}
+
+const DAY_SHEET_DATES = { '월': '2026-01-19', '화': '2026-01-20', '수': '2026-01-21', '목': '2026-01-22', '금': '2026-01-23' };
+
+const readOrigin = async (name = 'day-sheets') =>
+    ExcelCore.readBuffer(await readFile(fileURLToPath(new URL(`./fixtures/${name}/origin.xlsx`, import.meta.url))));
+
+test('시트 날짜 셀과 파일명 후보가 같은 주면 충돌 없음', async () => {
+    const collected = collectDateCandidates('발주 26년 1월 (1.19~1.23).xlsx', await readOrigin(), getLayout('day-sheets'));
+    assert.deepEqual(collected.days, ['월', '화', '수', '목', '금']);
+    assert.deepEqual(collected.candidates.map(c => [c.source, c.weekStart]), [['sheet', '2026-01-19'], ['fileName', '2026-01-19']]);
+    assert.deepEqual(collected.candidates[0].dates, DAY_SHEET_DATES);
+    assert.equal(collected.conflict, false);
+    assert.equal(collected.defaultSource, 'sheet');
+});
+
+test('파일명 후보가 다른 주면 충돌, 선택한 후보나 직접 입력한 주로 결정', async () => {
+    const collected = collectDateCandidates('발주 (1.26~1.30).xlsx', await readOrigin(), getLayout('day-sheets'));
+    assert.equal(collected.conflict, true);
+    // 파일명에 연도가 없으면 시트 날짜의 연도로 가정
+    assert.deepEqual(collected.candidates[1].notes, ['연도 없음 (2026년으로 가정)']);
+
+    assert.deepEqual(resolveDates(collected, undefined).dates, DAY_SHEET_DATES);
+    assert.equal(resolveDates(collected, { source: 'fileName' }).dates['금'], '2026-01-30');
+
+    // 시작일이 월요일이 아니어도 요일 차이로 계산 (수요일 시작 → 월/화는 다음 주)
+    const override = resolveDates(collected, { source: 'override', weekStart: '2026-02-04' });
+    assert.equal(override.label, '직접 입력 (2026-02-04 시작)');
+    assert.deepEqual(override.dates, { '월': '2026-02-09', '화': '2026-02-10', '수': '2026-02-04', '목': '2026-02-05', '금': '2026-02-06' });
+});
+
+test('시트 하나의 날짜 셀이 비면 시트 후보에 표시하고 충돌', async () => {
+    const workbook = await readOrigin();
+    delete workbook.Sheets['화'].B2;
+
+    const collected = collectDateCandidates('원본.xlsx', workbook, getLayout('day-sheets'));
+    assert.equal(collected.candidates.length, 1);
+    assert.deepEqual(collected.candidates[0].notes, ['화 시트 B2 날짜 없음']);
+    assert.equal(collected.candidates[0].dates['화'], undefined);
+    assert.equal(collected.conflict, true);
+});
+
+test('☆메뉴표 양식은 주간 범위 시작일로 블록 요일 날짜 계산', async () => {
+    const collected = collectDateCandidates('원본.xlsx', await readOrigin('horizontal'), getLayout('menu-horizontal'));
+    assert.deepEqual(collected.candidates.map(c => c.dates), [{ '월': '2026-05-18', '수': '2026-05-20' }]);
+    assert.equal(collected.conflict, false);
+});
+
+test('날짜 후보가 없고 선택도 없으면 null', () => {
+    const collected = { days: ['월'], candidates: [], defaultSource: 'override' };
+    assert.equal(resolveDates(collected, undefined), null);
+    assert.equal(resolveDates(collected, { source: 'override' }), null);
+});
+
+test('날짜가 없는 파일은 date-unresolved 오류', async () => {
+    const mappingSource = await loadMappingSource(await fileOf(join(FIXTURE_DIR, 'mapping.xlsx')));
+    await assert.rejects(
+        HYUNDAI_TASKS.convert({ file: await originWithoutDates(), mappingSource, options: { engine: 'js' } }),
+        { code: 'date-unresolved' }
+    );
+});
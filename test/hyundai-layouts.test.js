@@ -0,0 +1,51 @@
+/**
+ * 현대차 원본 형식 판별 (detectLayout 신뢰도, createDetectionError)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import '../cli/node-env.js';
+import { ExcelCore } from '../src/js/core.js?v=10';
+import { detectLayout, createDetectionError, describeDetection } from '../src/js/converters/hyundai-layouts.js?v=10';
+
+const fixture = async name => ExcelCore.readBuffer(await readFile(new URL(`./fixtures/${name}/origin.xlsx`, import.meta.url)));
+
+test('요일별 시트와 ☆메뉴표 양식을 각각 신뢰도 100%로 판별', async () => {
+    const daySheets = detectLayout(await fixture('day-sheets'));
+    assert.equal(daySheets.layout.id, 'day-sheets');
+    assert.equal(daySheets.confidence, 1);
+    assert.deepEqual(daySheets.candidates.map(c => c.layout.id), ['day-sheets', 'menu-horizontal']);
+    assert.equal(describeDetection(daySheets), '요일별 시트 (3열 매장 블록), 신뢰도 100%');
+
+    const horizontal = detectLayout(await fixture('horizontal'));
+    assert.equal(horizontal.layout.id, 'menu-horizontal');
+    assert.equal(horizontal.confidence, 1);
+});
+
+test('시트 이름만 맞으면 신뢰도 부족으로 판별하지 않음', () => {
+    const workbook = { SheetNames: ['월', '화'], Sheets: { '월': { '!ref': 'A1:A1' }, '화': { '!ref': 'A1:A1' } } };
+    const detection = detectLayout(workbook);
+    assert.equal(detection.layout, null);
+    assert.equal(detection.confidence, 0.3);
+
+    const [best] = detection.candidates;
+    assert.equal(best.layout.id, 'day-sheets');
+    assert.ok(best.missing.includes('날짜 셀 B2 형식 불일치'));
+    assert.ok(best.missing.includes('블록 앵커 셀을 찾지 못함'));
+
+    const error = createDetectionError(detection);
+    assert.equal(error.code, 'layout-unknown');
+    assert.equal(error.detection, detection);
+    assert.match(error.expected, /^요일별 시트 \(3열 매장 블록\): /);
+});
+
+test('요일 시트가 있으면 ☆메뉴표 양식은 후보에서 감점', async () => {
+    const workbook = await fixture('horizontal');
+    workbook.SheetNames.push('월');
+    workbook.Sheets['월'] = { '!ref': 'A1:A1' };
+
+    const menu = detectLayout(workbook).candidates.find(c => c.layout.id === 'menu-horizontal');
+    assert.ok(menu.confidence < 1);
+    assert.ok(menu.missing.some(m => m.startsWith('이 형식에 없어야 할 시트: 월')));
+});
@@ -0,0 +1,53 @@
+/**
+ * 레거시 .xls 읽기 (ExcelCore.readLegacyBuffer)
+ * 회귀 테스트 원본/매핑을 SheetJS로 .xls(BIFF8)로 저장해 xlsx와 같은 결과로 변환되는지 비교
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fileOf } from '../cli/node-env.js';
+import { ExcelCore } from '../src/js/core.js?v=10';
+import { HYUNDAI_TASKS, loadMappingSource } from '../src/js/converters/hyundai.js?v=10';
+import { diffResults, describeDiff } from '../src/js/converters/hyundai-parity.js?v=10';
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/day-sheets/', import.meta.url));
+
+// xlsx 파일 → 같은 내용의 .xls File
+async function toXls(path, name) {
+    const workbook = XLSX.read(await readFile(path), { type: 'buffer', cellDates: true });
+    return new File([XLSX.write(workbook, { type: 'array', bookType: 'biff8' })], name);
+}
+
+async function convert(file, mappingFile) {
+    const { result, mode } = await HYUNDAI_TASKS.convert({
+        file,
+        mappingSource: await loadMappingSource(mappingFile),
+        options: { engine: 'auto' }
+    });
+    return { result, mode };
+}
+
+test('.xls 원본/매핑 테이블은 xlsx와 같은 결과', async () => {
+    const xlsx = await convert(await fileOf(join(FIXTURE_DIR, 'origin.xlsx')), await fileOf(join(FIXTURE_DIR, 'mapping.xlsx')));
+    const xls = await convert(
+        await toXls(join(FIXTURE_DIR, 'origin.xlsx'), 'origin.xls'),
+        await toXls(join(FIXTURE_DIR, 'mapping.xlsx'), 'mapping.xls')
+    );
+
+    // WASM은 xlsx만 읽으므로 .xls는 JS로 변환
+    assert.doesNotMatch(xls.mode, /WASM/);
+    const diff = diffResults(xlsx.result, xls.result);
+    assert.ok(diff.equal, describeDiff(diff));
+    assert.ok(xls.result.data.length > 0);
+});
+
+test('읽을 수 없는 .xls는 file-unreadable 오류', async () => {
+    const header = new Uint8Array([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+    const buffer = new Uint8Array(1024);
+    buffer.set(header);
+    assert.equal(ExcelCore.detectFormat(buffer), 'cfb');
+    await assert.rejects(ExcelCore.readBuffer(buffer.buffer), { code: 'file-unreadable' });
+});
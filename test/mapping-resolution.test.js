@@ -0,0 +1,54 @@
+/**
+ * 매핑실패 해결 (applyMappingResolution)
+ * 해결값을 반영한 결과가 같은 매핑으로 다시 변환한 결과와 같은지 (데이터/검증/매장별 상세, 매핑실패 목록)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fileOf } from '../cli/node-env.js';
+import { HYUNDAI_TASKS, applyMappingResolution, loadMappingSource } from '../src/js/converters/hyundai.js?v=10';
+import { diffResults, describeDiff } from '../src/js/converters/hyundai-parity.js?v=10';
+import { StoreNameRules } from '../src/js/store-matcher.js?v=10';
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/day-sheets/', import.meta.url));
+const ENTRY = { code: 'T0001', systemName: '테스트 사업장' };
+
+async function convertFixture(mapping) {
+    const mappingSource = await loadMappingSource(await fileOf(join(FIXTURE_DIR, 'mapping.xlsx')));
+    if (mapping) mappingSource.mapping = mapping;
+    return HYUNDAI_TASKS.convert({
+        file: await fileOf(join(FIXTURE_DIR, 'origin.xlsx')),
+        mappingSource,
+        options: { engine: 'js', storeNameRules: StoreNameRules.defaults }
+    });
+}
+
+test('해결 결과 = 갱신한 매핑으로 다시 변환한 결과', async () => {
+    const conversion = await convertFixture();
+    const storeName = conversion.result.mappingFailures[0]['매장명'];
+    const failures = conversion.result.mappingFailures.length;
+
+    applyMappingResolution(conversion.result, conversion.mapping, storeName, ENTRY, StoreNameRules.defaults);
+    const fresh = await convertFixture({ ...conversion.mapping });
+
+    const diff = diffResults(fresh.result, conversion.result);
+    assert.ok(diff.equal, describeDiff(diff));
+    assert.deepEqual(conversion.result.mappingFailures, fresh.result.mappingFailures);
+    assert.equal(conversion.result.mappingFailures.length, failures - 1);
+    assert.ok(conversion.result.storeDaily.some(row => row['코드'] === ENTRY.code));
+    assert.ok(conversion.result.data
+        .filter(row => row['원본 사업장명'] === storeName)
+        .every(row => row['_matchRule'] === '수동 지정'));
+});
+
+test('다른 매장의 미리보기 수정값은 유지', async () => {
+    const conversion = await convertFixture();
+    const storeName = conversion.result.mappingFailures[0]['매장명'];
+    const edited = conversion.result.data.find(row => !row['_isMappingFailed']);
+    edited['코드'] = 'EDITED';
+
+    applyMappingResolution(conversion.result, conversion.mapping, storeName, ENTRY, StoreNameRules.defaults);
+    assert.equal(edited['코드'], 'EDITED');
+});
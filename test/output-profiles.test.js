@@ -0,0 +1,60 @@
+/**
+ * 결과 출력 프로필 (OutputProfiles.mapRows, apply, checkHeaders)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutputProfiles } from '../src/js/output-profiles.js?v=10';
+
+const COLUMNS = [
+    { key: '일자', date: true },
+    { key: '코드', text: true },
+    { key: '사업장명' },
+    { key: 'Box 입수' },
+    { key: '원본 위치', optional: true }
+];
+
+const ROWS = [
+    { '일자': '2026-01-19', '코드': '0012', '사업장명': '본관', 'Box 입수': 3, '원본 위치': '월!B14:F14', '_isMappingFailed': false },
+    { '일자': '2026-01-20', '코드': '0034', '사업장명': '별관', 'Box 입수': null, '원본 위치': '화!B9:F9', '_isMappingFailed': true }
+];
+
+const profile = (fields) => ({ ...OutputProfiles.createDefault(COLUMNS), id: 'p', ...fields });
+
+test('mapRows: 컬럼 순서/헤더 이름/날짜 형식, 내부 필드 유지', () => {
+    const rows = OutputProfiles.mapRows(ROWS, profile({
+        dateFormat: 'YY.MM.DD',
+        columns: [{ key: 'Box 입수', header: '수량' }, { key: '일자', header: '납품일' }, { key: '코드', header: '코드' }]
+    }), COLUMNS);
+
+    assert.deepEqual(Object.keys(rows[0]), ['수량', '납품일', '코드', '_isMappingFailed']);
+    assert.deepEqual(rows[0], { '수량': 3, '납품일': '26.01.19', '코드': '0012', '_isMappingFailed': false });
+    assert.equal(rows[1]['수량'], '');
+    assert.equal(rows[1]['_isMappingFailed'], true);
+});
+
+test('mapRows: 기본 프로필은 선택 컬럼 제외', () => {
+    const [row] = OutputProfiles.mapRows(ROWS, OutputProfiles.createDefault(COLUMNS), COLUMNS);
+    assert.deepEqual(Object.keys(row), ['일자', '코드', '사업장명', 'Box 입수', '_isMappingFailed']);
+});
+
+test('apply: 텍스트 컬럼은 헤더 이름으로, xlsx가 아니거나 데이터 시트만이면 첫 시트만', () => {
+    const workbook = { sheets: [{ name: '데이터', data: ROWS }, { name: '검증', data: [] }] };
+    const columns = [{ key: '코드', header: '사업장 코드' }, { key: '사업장명', header: '사업장명' }];
+
+    const xlsx = OutputProfiles.apply(workbook, profile({ columns }), COLUMNS);
+    assert.deepEqual(xlsx.sheets.map(s => s.name), ['데이터', '검증']);
+    assert.deepEqual(xlsx.sheets[0].textColumns, ['사업장 코드']);
+    assert.equal(xlsx.sheets[0].data[0]['사업장 코드'], '0012');
+    assert.equal(workbook.sheets[0].data, ROWS);
+
+    assert.equal(OutputProfiles.apply(workbook, profile({ columns, dataOnly: true }), COLUMNS).sheets.length, 1);
+    assert.equal(OutputProfiles.apply(workbook, profile({ columns, format: 'csv' }), COLUMNS).sheets.length, 1);
+});
+
+test('checkHeaders: 빈 이름, 중복, _로 시작하는 이름 거부', () => {
+    assert.equal(OutputProfiles.checkHeaders([{ key: '코드', header: '코드' }, { key: '사업장명', header: '이름' }]), '');
+    assert.match(OutputProfiles.checkHeaders([{ key: '코드', header: ' ' }]), /비어 있습니다 \(코드\)/);
+    assert.match(OutputProfiles.checkHeaders([{ key: '코드', header: '이름' }, { key: '사업장명', header: ' 이름 ' }]), /중복/);
+    assert.match(OutputProfiles.checkHeaders([{ key: '코드', header: '_코드' }]), /_로 시작/);
+});
@@ -0,0 +1,29 @@
+/**
+ * 매장명 정규화 규칙 텍스트 파싱 (StoreNameRules)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StoreNameRules } from '../src/js/store-matcher.js?v=10';
+
+test('정규식의 대체 패턴(|)은 칸 구분자가 아님', () => {
+    const rules = StoreNameRules.parse('본관 표기 | (본관|본점)\\s* | 본관 ');
+    assert.deepEqual(rules, [{ name: '본관 표기', pattern: '(본관|본점)\\s*', replace: '본관' }]);
+    assert.equal('본점 3층'.replace(new RegExp(rules[0].pattern, 'g'), rules[0].replace), '본관3층');
+});
+
+test('치환 칸은 줄 끝까지, 비어 있어도 됨', () => {
+    assert.deepEqual(StoreNameRules.parse('구분 | - | A | B\n# 주석\n\n삭제 | \\s+ |'), [
+        { name: '구분', pattern: '-', replace: 'A | B' },
+        { name: '삭제', pattern: '\\s+', replace: '' }
+    ]);
+});
+
+test('기본 규칙은 format → parse 후 그대로', () => {
+    assert.deepEqual(StoreNameRules.parse(StoreNameRules.format(StoreNameRules.defaults)), StoreNameRules.defaults);
+});
+
+test('칸이 하나뿐이거나 정규식이 잘못되면 오류', () => {
+    assert.throws(() => StoreNameRules.parse('A|B'), /규칙 형식 오류/);
+    assert.throws(() => StoreNameRules.parse('이름 | ([ | x'));
+});
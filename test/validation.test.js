@@ -0,0 +1,106 @@
+/**
+ * 규칙 기반 검증 (ValidationEngine.normalize, run)와 현대차 검증 규칙 (HYUNDAI_RULES)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationEngine } from '../src/js/validation.js?v=10';
+import { HYUNDAI_RULES } from '../src/js/converters/hyundai-rules.js?v=10';
+
+const rule = id => HYUNDAI_RULES.find(r => r.id === id);
+
+const row = (store, box, fields = {}) => ({
+    '일자': '2026-01-19', '원본 사업장명': store, '품목명': '김밥', 'Box 입수': box, '단품코드': '8801', ...fields
+});
+
+const context = (fields) => ({ data: [], validation: [], blocks: [], productConflicts: [], productSuggestions: {}, ...fields });
+
+test('normalize: 저장된 설정을 현재 규칙에 맞춤', () => {
+    const settings = ValidationEngine.normalize({
+        blockOnFail: false,
+        rules: {
+            'box-threshold': { enabled: false, severity: 'info', params: { max: '30' } },
+            'day-total': { severity: 'critical' },
+            'empty-day': { params: { max: 'abc' } },
+            'removed-rule': { enabled: false }
+        }
+    }, HYUNDAI_RULES);
+
+    assert.equal(settings.blockOnFail, false);
+    assert.deepEqual(settings.rules['box-threshold'], { enabled: false, severity: 'info', params: { max: 30 } });
+    assert.equal(settings.rules['day-total'].severity, 'fail');
+    assert.deepEqual(settings.rules['empty-day'], { enabled: true, severity: 'warn', params: {} });
+    assert.equal(settings.rules['removed-rule'], undefined);
+    assert.deepEqual(Object.keys(settings.rules), HYUNDAI_RULES.map(r => r.id));
+    assert.deepEqual(ValidationEngine.normalize(null, HYUNDAI_RULES), ValidationEngine.defaults(HYUNDAI_RULES));
+});
+
+test('run: 사용 안 함, 심각도 변경, 실패가 있으면 다운로드 차단', () => {
+    const rules = [
+        { id: 'a', name: 'A', severity: 'fail', check: () => [{ message: 'a1' }] },
+        { id: 'b', name: 'B', severity: 'warn', check: () => [{ message: 'b1' }, { message: 'b2' }] },
+        { id: 'c', name: 'C', severity: 'fail', check: () => [] }
+    ];
+
+    const report = ValidationEngine.run({}, rules);
+    assert.deepEqual(report.counts, { fail: 1, warn: 2, info: 0 });
+    assert.equal(report.status, 'fail');
+    assert.equal(report.blocked, true);
+    assert.deepEqual(report.summary.map(s => s.status), ['fail', 'warn', 'pass']);
+    assert.deepEqual(report.issues[0], { ruleId: 'a', ruleName: 'A', severity: 'fail', message: 'a1' });
+
+    const settings = ValidationEngine.defaults(rules);
+    settings.rules.a.enabled = false;
+    settings.rules.b.severity = 'info';
+    const changed = ValidationEngine.run({}, rules, settings);
+    assert.deepEqual(changed.summary.map(s => s.status), ['skipped', 'info', 'pass']);
+    assert.equal(changed.status, 'info');
+    assert.equal(changed.blocked, false);
+    assert.equal(ValidationEngine.describe(changed.issues), '검증 참고 2건');
+});
+
+test('block-total: 같은 날 같은 매장 블록은 계를 합쳐 비교, 계 행이 없는 블록이 섞이면 건너뜀', () => {
+    const blocks = [
+        { date: '2026-01-19', day: '월', storeName: '본관', total: 3, ref: '월!F12' },
+        { date: '2026-01-19', day: '월', storeName: '본관', total: 4, ref: '월!F40' },
+        { date: '2026-01-19', day: '월', storeName: '별관', total: 5, ref: '월!O12' },
+        { date: '2026-01-19', day: '월', storeName: '신관', total: null, ref: '월!X12' }
+    ];
+    const data = [row('본관', 2), row('본관', 5), row('별관', 4), row('신관', 9)];
+
+    const issues = rule('block-total').check(context({ data, blocks }));
+    assert.deepEqual(issues, [{
+        fileName: undefined,
+        date: '2026-01-19',
+        store: '별관',
+        ref: '월!O12',
+        message: '추출 4 / 블록 계 5 (차이: -1)'
+    }]);
+
+    const split = rule('block-total').check(context({ data: [row('본관', 2), row('본관', 4)], blocks: blocks.slice(0, 2) }));
+    assert.equal(split.length, 1);
+    assert.equal(split[0].ref, '월!F12, 월!F40');
+});
+
+test('box-threshold: 상한 매개변수 적용', () => {
+    const data = [row('본관', 6), row('본관', 5), row('별관', 120)];
+    assert.equal(rule('box-threshold').check(context({ data }), { max: 100 }).length, 1);
+
+    const settings = ValidationEngine.defaults(HYUNDAI_RULES);
+    settings.rules['box-threshold'].params.max = 5;
+    const report = ValidationEngine.run(context({ data }), HYUNDAI_RULES, settings);
+    const stores = report.issues.filter(issue => issue.ruleId === 'box-threshold').map(issue => issue.store);
+    assert.deepEqual(stores, ['본관', '별관']);
+});
+
+test('empty-day: 추출 0건인 요일 (원본 합계가 있으면 표시)', () => {
+    const validation = [
+        { '일자': '2026-01-19', '요일': '월', '추출 Box 합계': 0, '원본 Box 합계': 12 },
+        { '일자': '2026-01-20', '요일': '화', '추출 Box 합계': 0, '원본 Box 합계': 0 },
+        { '일자': '2026-01-21', '요일': '수', '추출 Box 합계': 5, '원본 Box 합계': 5 }
+    ];
+    assert.deepEqual(rule('empty-day').check(context({ validation })).map(issue => issue.message), [
+        '월요일 추출 0건 (원본 합계 12)',
+        '화요일 추출 0건'
+    ]);
+});
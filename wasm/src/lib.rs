@@ -23,6 +23,13 @@ pub fn init() {
     console_error_panic_hook::set_once();
 }
 
+// 입출력 형식 버전 (hyundai.js의 WASM_FORMAT_VERSION과 같아야 JS가 이 빌드를 사용)
+// 좌표, 옵션, 결과 형식을 바꾸면 양쪽을 함께 올림 → 다시 빌드하지 않은 WASM은 JS로 대체
+#[wasm_bindgen]
+pub fn format_version() -> u32 {
+    2
+}
+
 // 매핑 정보
 #[derive(Debug, Clone)]
 struct MappingEntry {
@@ -66,6 +73,33 @@ pub struct StoreDailyRow {
     pub box_sum: i32,
 }
 
+// 구조화된 오류 (JS errors.js의 ConvertError와 같은 코드/필드, 없는 항목은 빈 문자열)
+#[derive(Debug, Clone, Default, Serialize, Deserialize)]
+pub struct ErrorInfo {
+    pub code: String,
+    pub message: String,
+    pub sheet: String,
+    pub cell: String,
+    pub expected: String,
+    pub found: String,
+}
+
+impl ErrorInfo {
+    fn new(code: &str, message: String) -> Self {
+        ErrorInfo {
+            code: code.to_string(),
+            message,
+            ..Default::default()
+        }
+    }
+
+    fn expected(mut self, expected: String, found: String) -> Self {
+        self.expected = expected;
+        self.found = found;
+        self
+    }
+}
+
 // 변환 결과 (JS로 반환)
 #[derive(Debug, Clone, Serialize, Deserialize)]
 pub struct ConversionResult {
@@ -75,9 +109,101 @@ pub struct ConversionResult {
     pub mapping_failures: Vec<String>,
     pub success: bool,
     pub error: Option<String>,
+    pub error_info: Option<ErrorInfo>,
 }
 
-// 매장 블록 정보
+impl ConversionResult {
+    // 변환 실패 결과 (error는 이전 JS와 호환되는 메시지)
+    fn failure(info: ErrorInfo) -> Self {
+        ConversionResult {
+            data: vec![],
+            validation: vec![],
+            store_daily: vec![],
+            mapping_failures: vec![],
+            success: false,
+            error: Some(info.message.clone()),
+            error_info: Some(info),
+        }
+    }
+}
+
+// 매핑 테이블 헤더 별칭 (JS의 MAPPING_HEADER_ALIASES와 동일 구조)
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct HeaderAliases {
+    pub original_name: Vec<String>,
+    pub code: Vec<String>,
+    pub system_name: Vec<String>,
+}
+
+impl Default for HeaderAliases {
+    fn default() -> Self {
+        HeaderAliases {
+            original_name: vec!["원본 사업장명".to_string()],
+            code: vec!["코드".to_string()],
+            system_name: vec!["사업장명".to_string()],
+        }
+    }
+}
+
+// 변환 옵션 (JS에서 전달, 누락된 항목은 기본값)
+#[derive(Debug, Clone, Default, Deserialize)]
+#[serde(rename_all = "camelCase", default)]
+pub struct ConvertOptions {
+    pub header_aliases: HeaderAliases,
+    pub layout: DayLayout,
+}
+
+// 블록 컬럼 (앵커 열 기준 오프셋)
+#[derive(Debug, Clone, Deserialize)]
+#[serde(default)]
+pub struct BlockColumns {
+    pub no: u32,
+    pub afternoon: u32,
+    pub product: u32,
+    #[serde(rename = "box")]
+    pub box_qty: u32,
+}
+
+impl Default for BlockColumns {
+    fn default() -> Self {
+        BlockColumns { no: 0, afternoon: 1, product: 3, box_qty: 4 }
+    }
+}
+
+// 요일별 시트 레이아웃 (JS의 toWasmLayout 형식, 행/열은 0부터 시작)
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase", default)]
+pub struct DayLayout {
+    pub day_sheets: Vec<String>,
+    pub anchor_columns: Vec<u32>,
+    pub store_pattern: String,
+    pub columns: BlockColumns,
+    pub data_row_offset: u32,
+    pub max_rows: usize,
+    pub total_row: u32,
+    pub total_col: u32,
+}
+
+impl Default for DayLayout {
+    fn default() -> Self {
+        DayLayout {
+            day_sheets: ["월", "화", "수", "목", "금", "토", "일"].iter().map(|s| s.to_string()).collect(),
+            anchor_columns: vec![1, 10, 19], // B, K, T
+            store_pattern: r"※\s*(.+?)\s*:\s*\d*".to_string(),
+            columns: BlockColumns::default(),
+            data_row_offset: 4,
+            max_rows: 25,
+            total_row: 7, // F8
+            total_col: 5,
+        }
+    }
+}
+
+// 헤더 행 탐색 범위 (제목 행 등이 위에 있을 수 있음)
+const HEADER_SCAN_ROWS: usize = 20;
+
+// 매장 블록 정보 (행/열은 시트 기준 좌표)
 #[derive(Debug, Clone)]
 struct StoreBlock {
     store_name: String,
@@ -88,14 +214,9 @@ struct StoreBlock {
     col_box: u32,
 }
 
-// 매장명 추출
-fn extract_store_name(value: &str) -> Option<String> {
-    if !value.contains('※') {
-        return None;
-    }
-
-    let re = Regex::new(r"※\s*(.+?)\s*:\s*\d*").ok()?;
-    re.captures(value)
+// 매장명 추출 (레이아웃의 앵커 패턴, 캡처 1)
+fn extract_store_name(value: &str, re: &Regex) -> Option<String> {
+    re.captures(value.trim())
         .and_then(|caps| caps.get(1))
         .map(|m| m.as_str().trim().to_string())
 }
@@ -198,37 +319,111 @@ fn cell_to_barcode(cell: &Data) -> String {
     }
 }
 
+// 헤더 비교용 정규화 (공백 제거)
+fn normalize_header(value: &str) -> String {
+    value.chars().filter(|c| !c.is_whitespace()).collect()
+}
+
+// 행에서 별칭 중 하나와 일치하는 첫 번째 컬럼 위치
+fn find_header_column(row: &[Data], aliases: &[String]) -> Option<usize> {
+    let targets: Vec<String> = aliases.iter().map(|a| normalize_header(a)).collect();
+    row.iter().position(|cell| {
+        let header = normalize_header(&cell_to_string(cell));
+        !header.is_empty() && targets.contains(&header)
+    })
+}
+
 // 매핑 테이블 파싱
-fn parse_mapping_table(data: &[u8]) -> Result<HashMap<String, MappingEntry>, String> {
+// 모든 시트의 상단 HEADER_SCAN_ROWS 행에서 필수 컬럼(별칭 포함)이 모두 있는 첫 번째 헤더 행을 찾음
+fn parse_mapping_table(data: &[u8], aliases: &HeaderAliases) -> Result<HashMap<String, MappingEntry>, ErrorInfo> {
     let cursor = Cursor::new(data);
-    let mut workbook: Xlsx<_> = open_workbook_from_rs(cursor)
-        .map_err(|e| format!("매핑 파일 열기 실패: {}", e))?;
+    let mut workbook: Xlsx<_> = open_workbook_from_rs(cursor).map_err(|e| {
+        ErrorInfo::new("file-unreadable", format!("매핑 파일 열기 실패: {}", e))
+            .expected("xlsx".to_string(), e.to_string())
+    })?;
+
+    let required = [&aliases.original_name, &aliases.code, &aliases.system_name]
+        .iter()
+        .filter_map(|names| names.first().cloned())
+        .collect::<Vec<_>>()
+        .join(", ");
 
     let sheet_names = workbook.sheet_names().to_vec();
     if sheet_names.is_empty() {
-        return Err("매핑 파일에 시트가 없습니다".to_string());
+        return Err(ErrorInfo::new("header-columns", "매핑 파일에 시트가 없습니다".to_string())
+            .expected(required, "시트 없음".to_string()));
     }
 
-    let range = workbook.worksheet_range(&sheet_names[0])
-        .map_err(|e| format!("매핑 시트 읽기 실패: {}", e))?;
+    // 오류 메시지용: 시트별로 필수 컬럼이 가장 많이 일치한 행의 헤더
+    let mut found_columns: Vec<String> = Vec::new();
 
-    let mut mapping = HashMap::new();
-    let mut headers: HashMap<String, usize> = HashMap::new();
+    for sheet_name in &sheet_names {
+        let range = match workbook.worksheet_range(sheet_name) {
+            Ok(r) => r,
+            Err(_) => continue,
+        };
+
+        let mut best: Option<(usize, Vec<String>)> = None;
+
+        for (row_idx, row) in range.rows().take(HEADER_SCAN_ROWS).enumerate() {
+            let orig_name_idx = find_header_column(row, &aliases.original_name);
+            let code_idx = find_header_column(row, &aliases.code);
+            let sys_name_idx = find_header_column(row, &aliases.system_name);
+
+            if let (Some(orig_name_idx), Some(code_idx), Some(sys_name_idx)) =
+                (orig_name_idx, code_idx, sys_name_idx)
+            {
+                return Ok(read_mapping_rows(&range, row_idx + 1, orig_name_idx, code_idx, sys_name_idx));
+            }
 
-    if let Some(first_row) = range.rows().next() {
-        for (idx, cell) in first_row.iter().enumerate() {
-            let header = cell_to_string(cell);
-            headers.insert(header, idx);
+            let matched = [orig_name_idx, code_idx, sys_name_idx].iter().filter(|i| i.is_some()).count();
+            let headers: Vec<String> = row.iter()
+                .map(|cell| cell_to_string(cell).trim().to_string())
+                .filter(|h| !h.is_empty())
+                .collect();
+            let is_better = match &best {
+                Some((best_matched, _)) => matched > *best_matched,
+                None => true,
+            };
+            if !headers.is_empty() && is_better {
+                best = Some((matched, headers));
+            }
+        }
+
+        if let Some((_, headers)) = best {
+            found_columns.push(format!("[{}] {}", sheet_name, headers.join(", ")));
         }
     }
 
-    let code_idx = headers.get("코드").copied();
-    let orig_name_idx = headers.get("원본 사업장명").copied();
-    let sys_name_idx = headers.get("사업장명").copied();
+    let found = if found_columns.is_empty() {
+        "없음".to_string()
+    } else {
+        found_columns.join(" / ")
+    };
 
-    for row in range.rows().skip(1) {
-        let orig_name = orig_name_idx
-            .and_then(|i| row.get(i))
+    let mut info = ErrorInfo::new(
+        "header-columns",
+        format!("매핑 테이블에서 필수 컬럼({})을 찾을 수 없습니다.", required),
+    )
+    .expected(required, found);
+    if sheet_names.len() == 1 {
+        info.sheet = sheet_names[0].clone();
+    }
+    Err(info)
+}
+
+// 헤더 행 다음 행부터 매핑 항목 읽기
+fn read_mapping_rows(
+    range: &calamine::Range<Data>,
+    start_row: usize,
+    orig_name_idx: usize,
+    code_idx: usize,
+    sys_name_idx: usize,
+) -> HashMap<String, MappingEntry> {
+    let mut mapping = HashMap::new();
+
+    for row in range.rows().skip(start_row) {
+        let orig_name = row.get(orig_name_idx)
             .map(cell_to_string)
             .unwrap_or_default();
 
@@ -236,13 +431,11 @@ fn parse_mapping_table(data: &[u8]) -> Result<HashMap<String, MappingEntry>, Str
             continue;
         }
 
-        let code = code_idx
-            .and_then(|i| row.get(i))
+        let code = row.get(code_idx)
             .map(cell_to_string)
             .unwrap_or_default();
 
-        let sys_name = sys_name_idx
-            .and_then(|i| row.get(i))
+        let sys_name = row.get(sys_name_idx)
             .map(cell_to_string)
             .unwrap_or_default();
 
@@ -252,53 +445,34 @@ fn parse_mapping_table(data: &[u8]) -> Result<HashMap<String, MappingEntry>, Str
         });
     }
 
-    Ok(mapping)
+    mapping
 }
 
-// 매장 블록 찾기
-fn find_store_blocks(range: &calamine::Range<Data>) -> Vec<StoreBlock> {
-    let mut blocks = Vec::new();
-
-    for (row_idx, row) in range.rows().enumerate() {
-        if let Some(cell) = row.get(1) {
-            let value = cell_to_string(cell);
-            if let Some(store_name) = extract_store_name(&value) {
-                blocks.push(StoreBlock {
-                    store_name,
-                    row: row_idx as u32,
-                    col_no: 1,
-                    col_afternoon: 2,
-                    col_product: 4,
-                    col_box: 5,
-                });
-            }
-        }
+// 레이아웃 좌표는 시트 기준(A1 = 0, 0)이고 calamine Range의 rows()/row.get()은 사용 범위 시작 셀 기준이므로,
+// 레이아웃 좌표로 읽는 셀은 모두 get_value(시트 기준, 범위 밖이면 None)로 읽음
 
-        if let Some(cell) = row.get(10) {
-            let value = cell_to_string(cell);
-            if let Some(store_name) = extract_store_name(&value) {
-                blocks.push(StoreBlock {
-                    store_name,
-                    row: row_idx as u32,
-                    col_no: 10,
-                    col_afternoon: 11,
-                    col_product: 13,
-                    col_box: 14,
-                });
-            }
-        }
+// 매장 블록 찾기 (레이아웃의 앵커 열에서 매장명 패턴 검색)
+fn find_store_blocks(range: &calamine::Range<Data>, layout: &DayLayout, store_re: &Regex) -> Vec<StoreBlock> {
+    let mut blocks = Vec::new();
+    let (start, end) = match (range.start(), range.end()) {
+        (Some(start), Some(end)) => (start, end),
+        _ => return blocks,
+    };
 
-        if let Some(cell) = row.get(19) {
-            let value = cell_to_string(cell);
-            if let Some(store_name) = extract_store_name(&value) {
-                blocks.push(StoreBlock {
-                    store_name,
-                    row: row_idx as u32,
-                    col_no: 19,
-                    col_afternoon: 20,
-                    col_product: 22,
-                    col_box: 23,
-                });
+    for row in start.0..=end.0 {
+        for &col in &layout.anchor_columns {
+            if let Some(cell) = range.get_value((row, col)) {
+                let value = cell_to_string(cell);
+                if let Some(store_name) = extract_store_name(&value, store_re) {
+                    blocks.push(StoreBlock {
+                        store_name,
+                        row,
+                        col_no: col + layout.columns.no,
+                        col_afternoon: col + layout.columns.afternoon,
+                        col_product: col + layout.columns.product,
+                        col_box: col + layout.columns.box_qty,
+                    });
+                }
             }
         }
     }
@@ -310,46 +484,46 @@ fn find_store_blocks(range: &calamine::Range<Data>) -> Vec<StoreBlock> {
 fn extract_products_from_block(
     range: &calamine::Range<Data>,
     block: &StoreBlock,
-    max_products: usize,
+    layout: &DayLayout,
 ) -> Vec<(String, i32, String)> {
     let mut products = Vec::new();
-    let start_row = block.row as usize + 4;
+    let start_row = block.row + layout.data_row_offset;
+    let max_products = layout.max_rows as u32;
 
-    for row_idx in start_row..(start_row + max_products) {
-        if let Some(row) = range.rows().nth(row_idx) {
-            let no_val = row.get(block.col_no as usize)
-                .map(cell_to_string)
-                .unwrap_or_default();
+    for row in start_row..(start_row + max_products) {
+        // 사용 범위 밖의 행은 번호가 없으므로 블록 끝
+        let no_val = range.get_value((row, block.col_no))
+            .map(cell_to_string)
+            .unwrap_or_default();
 
-            if no_val.parse::<i32>().is_err() {
-                break;
-            }
+        if no_val.parse::<i32>().is_err() {
+            break;
+        }
 
-            let product_name = row.get(block.col_product as usize)
-                .map(cell_to_string)
-                .unwrap_or_default();
+        let product_name = range.get_value((row, block.col_product))
+            .map(cell_to_string)
+            .unwrap_or_default();
 
-            if product_name.is_empty() {
-                continue;
-            }
+        if product_name.is_empty() {
+            continue;
+        }
 
-            let box_qty = row.get(block.col_box as usize)
-                .map(cell_to_int)
-                .unwrap_or(0);
+        let box_qty = range.get_value((row, block.col_box))
+            .map(cell_to_int)
+            .unwrap_or(0);
 
-            if box_qty == 0 {
-                continue;
-            }
+        if box_qty == 0 {
+            continue;
+        }
 
-            // 오후 진열 값 추출
-            let afternoon = row.get(block.col_afternoon as usize)
-                .map(cell_to_string)
-                .unwrap_or_default()
-                .trim()
-                .to_string();
+        // 오후 진열 값 추출
+        let afternoon = range.get_value((row, block.col_afternoon))
+            .map(cell_to_string)
+            .unwrap_or_default()
+            .trim()
+            .to_string();
 
-            products.push((product_name.trim().to_string(), box_qty, afternoon));
-        }
+        products.push((product_name.trim().to_string(), box_qty, afternoon));
     }
 
     products
@@ -360,7 +534,7 @@ fn extract_products_from_block(
 // xlsx XML을 직접 파싱하여 원본 문자열 값을 보존
 fn build_product_code_map(workbook: &mut Xlsx<Cursor<&[u8]>>, raw_data: &[u8]) -> HashMap<String, String> {
     // 1단계: calamine으로 층별 시트 이름 찾기
-    let skip_sheets: Vec<&str> = vec!["월", "화", "수", "목", "금"];
+    let skip_sheets: Vec<&str> = vec!["월", "화", "수", "목", "금", "토", "일"];
     let mut floor_sheet_name: Option<String> = None;
 
     let sheet_names = workbook.sheet_names().to_vec();
@@ -378,8 +552,8 @@ fn build_product_code_map(workbook: &mut Xlsx<Cursor<&[u8]>>, raw_data: &[u8]) -
             Err(_) => continue,
         };
 
-        let is_floor_sheet = range.rows().nth(6)
-            .and_then(|row| row.get(2))
+        // C7 (시트 기준)
+        let is_floor_sheet = range.get_value((6, 2))
             .map(|cell| cell_to_string(cell).contains("단품코드"))
             .unwrap_or(false);
 
@@ -622,9 +796,11 @@ fn build_product_code_map_calamine(workbook: &mut Xlsx<Cursor<&[u8]>>, floor_she
         Err(_) => return product_code_map,
     };
 
-    for row in range.rows().skip(7) {
-        let product_code = row.get(2).map(cell_to_barcode).unwrap_or_default();
-        let product_name = row.get(3).map(cell_to_string).unwrap_or_default();
+    // 8행부터 C열 단품코드, D열 단품명 (시트 기준)
+    let end_row = range.end().map(|(r, _)| r).unwrap_or(0);
+    for row in 7..=end_row {
+        let product_code = range.get_value((row, 2)).map(cell_to_barcode).unwrap_or_default();
+        let product_name = range.get_value((row, 3)).map(cell_to_string).unwrap_or_default();
 
         let name = product_name.trim().to_string();
         let code = product_code.trim().to_string();
@@ -637,25 +813,10 @@ fn build_product_code_map_calamine(workbook: &mut Xlsx<Cursor<&[u8]>>, floor_she
     product_code_map
 }
 
-// 각 요일 시트에서 F8 셀의 Box 합계 추출
-fn get_original_box_total(range: &calamine::Range<Data>) -> i32 {
-    // F8 셀 (1-indexed row 8, col F)
-    // Range 시작점에 따라 동적으로 인덱스 계산
-    // 실제 8행 = 0-indexed row 7
-    // Range.start().0 = start_row (0-indexed)
-    // relative_row = 7 - start_row
-    let start_row = range.start().map(|(r, _)| r as usize).unwrap_or(0);
-    let target_row = 7; // 8행 (0-indexed)
-    
-    if target_row < start_row {
-        return 0;
-    }
-    
-    let relative_row = target_row - start_row;
-    
-    range.rows()
-        .nth(relative_row)
-        .and_then(|row| row.get(5)) // F열 = 0-indexed col 5
+// 각 요일 시트에서 합계 셀(기본 F8)의 Box 합계 추출
+fn get_original_box_total(range: &calamine::Range<Data>, layout: &DayLayout) -> i32 {
+    // 시트 기준 좌표 (사용 범위 밖이면 0)
+    range.get_value((layout.total_row, layout.total_col))
         .map(cell_to_int)
         .unwrap_or(0)
 }
@@ -666,8 +827,20 @@ pub fn convert_excel(
     origin_data: &[u8],
     mapping_data: &[u8],
     filename: &str,
+    options: JsValue,
 ) -> JsValue {
-    let result = convert_internal(origin_data, mapping_data, filename);
+    // 옵션이 없으면 기본값, 형식이 맞지 않으면 기본값으로 바꾸지 않고 실패 (레이아웃/별칭이 무시된 결과 방지)
+    let result = if options.is_undefined() || options.is_null() {
+        convert_internal(origin_data, mapping_data, filename, &ConvertOptions::default())
+    } else {
+        match serde_wasm_bindgen::from_value::<ConvertOptions>(options) {
+            Ok(options) => convert_internal(origin_data, mapping_data, filename, &options),
+            Err(e) => ConversionResult::failure(
+                ErrorInfo::new("layout-invalid", format!("변환 옵션 형식 오류: {}", e))
+                    .expected("레이아웃/헤더 별칭 옵션 (hyundai.js toWasmLayout)".to_string(), e.to_string()),
+            ),
+        }
+    };
     serde_wasm_bindgen::to_value(&result).unwrap_or(JsValue::NULL)
 }
 
@@ -675,22 +848,14 @@ fn convert_internal(
     origin_data: &[u8],
     mapping_data: &[u8],
     filename: &str,
+    options: &ConvertOptions,
 ) -> ConversionResult {
     console_log!("WASM: Starting conversion...");
 
     // 매핑 테이블 파싱
-    let mapping = match parse_mapping_table(mapping_data) {
+    let mapping = match parse_mapping_table(mapping_data, &options.header_aliases) {
         Ok(m) => m,
-        Err(e) => {
-            return ConversionResult {
-                data: vec![],
-                validation: vec![],
-                store_daily: vec![],
-                mapping_failures: vec![],
-                success: false,
-                error: Some(e),
-            };
-        }
+        Err(info) => return ConversionResult::failure(info),
     };
     console_log!("WASM: Mapping loaded - {} entries", mapping.len());
 
@@ -699,14 +864,10 @@ fn convert_internal(
     let mut workbook: Xlsx<_> = match open_workbook_from_rs(cursor) {
         Ok(wb) => wb,
         Err(e) => {
-            return ConversionResult {
-                data: vec![],
-                validation: vec![],
-                store_daily: vec![],
-                mapping_failures: vec![],
-                success: false,
-                error: Some(format!("원본 파일 열기 실패: {}", e)),
-            };
+            return ConversionResult::failure(
+                ErrorInfo::new("file-unreadable", format!("원본 파일 열기 실패: {}", e))
+                    .expected("xlsx".to_string(), e.to_string()),
+            );
         }
     };
 
@@ -717,19 +878,29 @@ fn convert_internal(
     let product_code_map = build_product_code_map(&mut workbook, origin_data);
     console_log!("WASM: Product code map built - {} entries", product_code_map.len());
 
-    let day_names = ["월", "화", "수", "목", "금"];
+    let layout = &options.layout;
+    let store_re = match Regex::new(&layout.store_pattern) {
+        Ok(re) => re,
+        Err(e) => {
+            return ConversionResult::failure(
+                ErrorInfo::new("layout-invalid", format!("레이아웃 매장명 패턴 오류: {}", e))
+                    .expected("정규식".to_string(), layout.store_pattern.clone()),
+            );
+        }
+    };
+
     let (base_year, base_month, base_day) = extract_date_from_filename(filename);
 
     let mut all_data: Vec<DataRow> = Vec::new();
     let mut mapping_failures: Vec<String> = Vec::new();
     let mut validation: Vec<ValidationRow> = Vec::new();
 
-    for (day_idx, day_name) in day_names.iter().enumerate() {
-        if !sheet_names.contains(&day_name.to_string()) {
+    for (day_idx, day_name) in layout.day_sheets.iter().enumerate() {
+        if !sheet_names.contains(day_name) {
             continue;
         }
 
-        let range = match workbook.worksheet_range(day_name) {
+        let range = match workbook.worksheet_range(day_name.as_str()) {
             Ok(r) => r,
             Err(_) => continue,
         };
@@ -737,7 +908,7 @@ fn convert_internal(
         let (year, month, day) = add_days(base_year, base_month, base_day, day_idx as u32);
         let date_str = format_date(year, month, day);
 
-        let blocks = find_store_blocks(&range);
+        let blocks = find_store_blocks(&range, layout, &store_re);
 
         // 해당 요일의 매핑 실패 목록
         let mut day_mapping_failures: Vec<String> = Vec::new();
@@ -762,7 +933,7 @@ fn convert_internal(
                 ("MAPPING_FAILED".to_string(), format!("[매핑실패] {}", block.store_name), true)
             };
 
-            let products = extract_products_from_block(&range, block, 25);
+            let products = extract_products_from_block(&range, block, layout);
 
             for (product_name, box_qty, afternoon) in products {
                 let product_code = product_code_map.get(&product_name)
@@ -782,8 +953,8 @@ fn convert_internal(
             }
         }
 
-        // 검증 데이터 (각 요일 시트의 F8 셀 기준)
-        let original_box = get_original_box_total(&range);
+        // 검증 데이터 (각 요일 시트의 합계 셀 기준)
+        let original_box = get_original_box_total(&range, layout);
         let extracted_box: i32 = all_data.iter()
             .filter(|r| r.date == date_str)
             .map(|r| r.box_qty)
@@ -852,5 +1023,6 @@ fn convert_internal(
         mapping_failures,
         success: true,
         error: None,
+        error_info: None,
     }
 }